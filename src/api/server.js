@@ -0,0 +1,445 @@
+import http from 'http';
+import DatabaseService from '../services/database.service.js';
+import { OUTCOMES } from '../scrapeOutcome.js';
+import { getProvider, hasProvider, listProviders } from '../providers/index.js';
+import { JOB_TYPES } from '../jobTypes.js';
+import { buildAnomalyReport } from '../dataQuality.js';
+import settings, { ConfigError } from '../config/settings.js';
+import { createLogger } from '../logger.js';
+import metrics, { METRICS_CONTENT_TYPE } from '../metrics.js';
+
+const logger = createLogger('api');
+
+const STEAM_ID64 = /^\d{17}$/;
+const LEADERBOARD_ORDER = ['kd_ratio', 'hltv_rating', 'matches_played', 'kills', 'adr', 'matches_won'];
+const BEST_MAP_ORDER = ['win_rate', 'kd_ratio', 'adr', 'matches_won', 'matches_played'];
+const WEAPON_LEADERBOARD_ORDER = ['kills', 'headshots', 'headshot_percentage', 'accuracy', 'damage'];
+const MAX_BODY_BYTES = 1024 * 1024;
+const STATUS = Symbol('status');
+
+// Handlers return plain data for a 200, or withStatus() for anything else.
+// With a content type the body is sent as it is rather than as JSON.
+const withStatus = (status, body, contentType = null) => ({ [STATUS]: status, body, contentType });
+
+export class HttpError extends Error {
+    constructor(status, message, details = undefined) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+        this.details = details;
+    }
+}
+
+// Query/body validation helpers; each throws a 400 with the offending field
+const parseLimit = (value, fallback, max = 1000) => {
+    if (value === undefined || value === null || value === '') return fallback;
+    const limit = Number(value);
+    if (!Number.isInteger(limit) || limit < 1 || limit > max) {
+        throw new HttpError(400, `limit must be an integer between 1 and ${max}`);
+    }
+    return limit;
+};
+
+const parseDate = (value, name) => {
+    if (value === undefined || value === null || value === '') return null;
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        throw new HttpError(400, `${name} must be an ISO 8601 date`);
+    }
+    return date;
+};
+
+const parseProvider = (value) => {
+    if (value === undefined || value === null) return null;
+    if (!hasProvider(value)) {
+        throw new HttpError(400, `provider must be one of ${listProviders().map(p => p.name).join(', ')}`);
+    }
+    return value;
+};
+
+const parseJobType = (value) => {
+    if (value === undefined || value === null) return null;
+    if (!Object.values(JOB_TYPES).includes(value)) {
+        throw new HttpError(400, `job must be one of ${Object.values(JOB_TYPES).join(', ')}`);
+    }
+    return value;
+};
+
+// { steam_ids, priority, provider, tag } as accepted by the queue endpoints
+const parseEnqueueBody = (body) => {
+    const { steam_ids: steamIds, priority = 1, tag = null } = body || {};
+    const provider = parseProvider(body?.provider);
+
+    if (!Array.isArray(steamIds) || steamIds.length === 0) {
+        throw new HttpError(400, 'steam_ids must be a non-empty array');
+    }
+    if (steamIds.length > 10000) {
+        throw new HttpError(400, 'steam_ids may hold at most 10000 entries');
+    }
+    if (!Number.isInteger(priority)) {
+        throw new HttpError(400, 'priority must be an integer');
+    }
+    if (tag !== null && (typeof tag !== 'string' || !/^[\w.-]{1,50}$/.test(tag))) {
+        throw new HttpError(400, 'tag must be 1-50 letters, digits, "_", "-" or "."');
+    }
+
+    const invalid = steamIds.filter(id => !STEAM_ID64.test(String(id)));
+    if (invalid.length > 0) {
+        throw new HttpError(400, 'steam_ids must be 17-digit SteamID64s', { invalid });
+    }
+
+    return { steamIds: [...new Set(steamIds.map(String))], priority, provider, tag };
+};
+
+const requireSteamId = (value, name = 'steam_id') => {
+    if (!STEAM_ID64.test(value || '')) {
+        throw new HttpError(400, `${name} must be a 17-digit SteamID64`);
+    }
+    return value;
+};
+
+class ApiServer {
+    constructor(scraperManager, options = {}) {
+        this.scraperManager = scraperManager;
+        this.port = options.port ?? settings.get('api.port');
+        this.host = options.host || settings.get('api.host');
+        this.server = null;
+        this.scrapingRun = null;
+
+        this.routes = [
+            ['GET', '/health', () => this.health()],
+            ['GET', '/metrics', async () => withStatus(200, await metrics.render(), METRICS_CONTENT_TYPE)],
+            ['GET', '/queue', () => this.queueStatus()],
+            ['POST', '/queue', (req) => this.enqueue(req)],
+            ['POST', '/queue/matches', (req) => this.enqueueMatches(req)],
+            ['GET', '/queue/jobs', () => DatabaseService.getClaimedJobs()],
+            ['GET', '/queue/dead', (req) => DatabaseService.getDeadSteamIds(parseLimit(req.query.get('limit'), 50))],
+            ['GET', '/players/:steamId', (req) => this.playerStats(req)],
+            ['GET', '/players/:steamId/history', (req) => this.playerHistory(req)],
+            ['GET', '/players/:steamId/delta', (req) => this.playerDelta(req)],
+            ['GET', '/players/:steamId/maps', (req) => this.playerMaps(req)],
+            ['GET', '/players/:steamId/weapons', (req) => DatabaseService.getPlayerWeaponStats(requireSteamId(req.params.steamId))],
+            ['GET', '/players/:steamId/matches', (req) => this.playerMatches(req)],
+            ['GET', '/matches/:matchId', (req) => this.match(req)],
+            ['GET', '/leaderboard', (req) => this.leaderboard(req)],
+            ['GET', '/leaderboard/weapons/:weapon', (req) => this.weaponLeaderboard(req)],
+            ['GET', '/logs', (req) => this.logs(req)],
+            ['GET', '/quality', (req) => buildAnomalyReport({ limit: parseLimit(req.query.get('limit'), 50) })],
+            ['GET', '/quality/quarantine', (req) => DatabaseService.getQuarantinedStats(parseLimit(req.query.get('limit'), 50))],
+            ['GET', '/providers', () => listProviders()],
+            ['GET', '/refresh', () => this.scraperManager.refreshScheduler.getStatus()],
+            ['POST', '/refresh', (req) => this.scraperManager.refreshScheduler.run({ dryRun: req.body?.dry_run === true })],
+            ['GET', '/config', () => ({ file: settings.file, settings: settings.describe() })],
+            ['POST', '/config', (req) => this.updateConfig(req)],
+            ['GET', '/scraper', () => this.scraperStatus()],
+            ['POST', '/scraper/start', (req) => this.startScraper(req)],
+            ['POST', '/scraper/stop', () => this.stopScraper()]
+        ].map(([method, path, handler]) => ({
+            method,
+            handler,
+            keys: [...path.matchAll(/:(\w+)/g)].map(match => match[1]),
+            pattern: new RegExp(`^${path.replace(/:(\w+)/g, '([^/]+)')}$`)
+        }));
+    }
+
+    async start() {
+        this.server = http.createServer((req, res) => this.handle(req, res));
+
+        await new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(this.port, this.host, resolve);
+        });
+
+        logger.info(`🌐 API server listening on http://${this.host}:${this.port}`);
+    }
+
+    async stop() {
+        if (this.server) {
+            await new Promise(resolve => this.server.close(resolve));
+            this.server = null;
+            logger.info('🔒 API server stopped');
+        }
+    }
+
+    async handle(req, res) {
+        try {
+            const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+            const path = url.pathname.replace(/\/+$/, '') || '/';
+
+            const candidates = this.routes.filter(route => route.pattern.test(path));
+            if (candidates.length === 0) {
+                throw new HttpError(404, `No route for ${path}`);
+            }
+
+            const route = candidates.find(r => r.method === req.method);
+            if (!route) {
+                res.setHeader('Allow', candidates.map(r => r.method).join(', '));
+                throw new HttpError(405, `Method ${req.method} not allowed on ${path}`);
+            }
+
+            let values;
+            try {
+                values = path.match(route.pattern).slice(1).map(decodeURIComponent);
+            } catch {
+                throw new HttpError(400, `Malformed percent-encoding in ${path}`);
+            }
+            req.params = Object.fromEntries(route.keys.map((key, index) => [key, values[index]]));
+            req.query = url.searchParams;
+            req.body = req.method === 'POST' ? await this.readBody(req) : null;
+
+            const result = await route.handler(req);
+            if (result?.[STATUS]) {
+                this.send(res, result[STATUS], result.body, result.contentType);
+            } else {
+                this.send(res, 200, result);
+            }
+        } catch (error) {
+            if (error instanceof HttpError) {
+                this.send(res, error.status, { error: error.message, details: error.details });
+            } else {
+                logger.error('❌ API request failed', { error });
+                this.send(res, 500, { error: 'Internal server error' });
+            }
+        }
+    }
+
+    async readBody(req) {
+        let size = 0;
+        const chunks = [];
+
+        for await (const chunk of req) {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                throw new HttpError(413, 'Request body too large');
+            }
+            chunks.push(chunk);
+        }
+
+        if (size === 0) return {};
+
+        try {
+            return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+        } catch {
+            throw new HttpError(400, 'Request body must be valid JSON');
+        }
+    }
+
+    send(res, status, body, contentType = null) {
+        res.statusCode = status;
+        res.setHeader('Content-Type', contentType || 'application/json; charset=utf-8');
+        res.end(contentType ? body : JSON.stringify(body ?? null));
+    }
+
+    // Handlers
+    health() {
+        return { status: 'ok', scraping: this.scraperManager.isRunning };
+    }
+
+    async queueStatus() {
+        const [stats, outcomes] = await Promise.all([
+            DatabaseService.getScrapingStats(),
+            DatabaseService.getOutcomeSummary()
+        ]);
+        return { ...stats, outcomes };
+    }
+
+    async enqueue(req) {
+        const { steamIds, priority, provider, tag } = parseEnqueueBody(req.body);
+        await DatabaseService.addMultipleSteamIds(steamIds.map(id => [id, priority, provider, tag]));
+
+        return withStatus(201, { queued: steamIds.length, priority, provider, tag });
+    }
+
+    // `{ "all": true }` schedules every player whose profile was scraped
+    async enqueueMatches(req) {
+        if (req.body?.all === true) {
+            const priority = req.body.priority ?? 1;
+            if (!Number.isInteger(priority)) {
+                throw new HttpError(400, 'priority must be an integer');
+            }
+            const queued = await DatabaseService.addMatchJobsForTrackedPlayers(priority);
+            return withStatus(201, { queued, priority });
+        }
+
+        const { steamIds, priority, provider } = parseEnqueueBody(req.body);
+        await DatabaseService.addMatchJobs(steamIds.map(id => [id, priority, provider]));
+
+        return withStatus(201, { queued: steamIds.length, priority, provider });
+    }
+
+    async playerMatches(req) {
+        const steamId64 = requireSteamId(req.params.steamId);
+        const limit = parseLimit(req.query.get('limit'), 20, 500);
+        return {
+            summary: await DatabaseService.getPlayerMatchSummary(steamId64, limit),
+            matches: await DatabaseService.getPlayerMatches(steamId64, limit)
+        };
+    }
+
+    async match(req) {
+        const matchId = Number(req.params.matchId);
+        if (!Number.isInteger(matchId) || matchId < 1) {
+            throw new HttpError(400, 'match id must be a positive integer');
+        }
+        const match = await DatabaseService.getMatch(matchId);
+        if (!match) {
+            throw new HttpError(404, `No match with id ${matchId}`);
+        }
+        return match;
+    }
+
+    async playerStats(req) {
+        const steamId64 = requireSteamId(req.params.steamId);
+        const stats = await DatabaseService.getPlayerStats(steamId64);
+        if (!stats) {
+            throw new HttpError(404, `No stats for ${steamId64}`);
+        }
+        return stats;
+    }
+
+    async playerHistory(req) {
+        const steamId64 = requireSteamId(req.params.steamId);
+        return await DatabaseService.getPlayerStatsHistory(
+            steamId64,
+            parseDate(req.query.get('from'), 'from'),
+            parseDate(req.query.get('to'), 'to'),
+            parseLimit(req.query.get('limit'), 1000, 10000)
+        );
+    }
+
+    async playerDelta(req) {
+        const steamId64 = requireSteamId(req.params.steamId);
+        const since = parseDate(req.query.get('since'), 'since');
+        if (!since) {
+            throw new HttpError(400, 'since is required');
+        }
+
+        const delta = await DatabaseService.getPlayerStatsDelta(
+            steamId64, since, parseDate(req.query.get('until'), 'until')
+        );
+        if (!delta) {
+            throw new HttpError(404, `No history for ${steamId64} in that period`);
+        }
+        return delta;
+    }
+
+    async playerMaps(req) {
+        const steamId64 = requireSteamId(req.params.steamId);
+        const bestBy = req.query.get('best_by') || 'win_rate';
+        if (!BEST_MAP_ORDER.includes(bestBy)) {
+            throw new HttpError(400, `best_by must be one of ${BEST_MAP_ORDER.join(', ')}`);
+        }
+        const minMatches = Number(req.query.get('min_matches') || 5);
+        if (!Number.isInteger(minMatches) || minMatches < 0) {
+            throw new HttpError(400, 'min_matches must be a non-negative integer');
+        }
+
+        return {
+            best_map: await DatabaseService.getBestMap(steamId64, bestBy, minMatches),
+            maps: await DatabaseService.getPlayerMapStats(steamId64)
+        };
+    }
+
+    async leaderboard(req) {
+        const orderBy = req.query.get('order_by') || 'kd_ratio';
+        if (!LEADERBOARD_ORDER.includes(orderBy)) {
+            throw new HttpError(400, `order_by must be one of ${LEADERBOARD_ORDER.join(', ')}`);
+        }
+        return await DatabaseService.getTopPlayers(parseLimit(req.query.get('limit'), 10, 100), orderBy);
+    }
+
+    async weaponLeaderboard(req) {
+        const orderBy = req.query.get('order_by') || 'kills';
+        if (!WEAPON_LEADERBOARD_ORDER.includes(orderBy)) {
+            throw new HttpError(400, `order_by must be one of ${WEAPON_LEADERBOARD_ORDER.join(', ')}`);
+        }
+        return await DatabaseService.getTopWeaponPlayers(
+            req.params.weapon, parseLimit(req.query.get('limit'), 10, 100), orderBy
+        );
+    }
+
+    async logs(req) {
+        const steamId64 = req.query.get('steam_id');
+        const outcome = req.query.get('outcome');
+
+        if (steamId64) requireSteamId(steamId64);
+        if (outcome && !Object.values(OUTCOMES).includes(outcome)) {
+            throw new HttpError(400, `outcome must be one of ${Object.values(OUTCOMES).join(', ')}`);
+        }
+
+        return await DatabaseService.getScrapeLogs(
+            parseLimit(req.query.get('limit'), 50),
+            steamId64 || null,
+            outcome || null
+        );
+    }
+
+    scraperStatus() {
+        return {
+            running: this.scraperManager.isRunning,
+            concurrency: this.scraperManager.concurrency,
+            provider: this.scraperManager.provider,
+            job: this.scraperManager.jobType,
+            processed: this.scraperManager.processedCount,
+            successful: this.scraperManager.successCount,
+            failed: this.scraperManager.failureCount,
+            discovery: { ...this.scraperManager.discovery.getSettings(), discovered: this.scraperManager.discoveredCount },
+            workers: this.scraperManager.getWorkerStatus(),
+            rate: this.scraperManager.rateLimiter.getStats()
+        };
+    }
+
+    startScraper(req) {
+        if (this.scraperManager.isRunning) {
+            throw new HttpError(409, 'Scraper is already running');
+        }
+
+        const provider = parseProvider(req.body?.provider);
+        const jobType = parseJobType(req.body?.job);
+        if (jobType === JOB_TYPES.MATCHES && !getProvider(provider || this.scraperManager.provider).supportsMatches) {
+            throw new HttpError(400, 'The stats provider does not support match history');
+        }
+        if (req.body?.discover !== undefined && typeof req.body.discover !== 'boolean') {
+            throw new HttpError(400, 'discover must be true or false');
+        }
+
+        // Runs in the background; progress is available from GET /scraper
+        this.scrapingRun = this.scraperManager.startScraping({
+            ...(provider ? { provider } : {}),
+            ...(jobType ? { jobType } : {}),
+            discover: req.body?.discover ?? null
+        }).catch(error => logger.error('❌ Scraping run failed', { error }));
+
+        return withStatus(202, { running: true, job: jobType ?? this.scraperManager.jobType });
+    }
+
+    // { "scraper.delay": 3000, ... } changes settings on the running server.
+    // The changes apply together: when one is rejected, the others are undone.
+    updateConfig(req) {
+        const changes = Object.entries(req.body || {});
+        if (changes.length === 0) {
+            throw new HttpError(400, 'body must map setting keys to new values');
+        }
+
+        try {
+            settings.setAll(changes);
+        } catch (error) {
+            if (error instanceof ConfigError) throw new HttpError(400, error.message);
+            throw error;
+        }
+
+        const changed = new Set(changes.map(([key]) => key));
+        return settings.describe().filter(({ key }) => changed.has(key));
+    }
+
+    async stopScraper() {
+        if (!this.scraperManager.isRunning) {
+            throw new HttpError(409, 'Scraper is not running');
+        }
+
+        await this.scraperManager.stopScraping();
+        return withStatus(202, { running: false });
+    }
+}
+
+export default ApiServer;
@@ -0,0 +1,861 @@
+import { parseArgs } from 'util';
+import ScraperManager from './scraperManager.js';
+import DatabaseService from './services/database.service.js';
+import { OUTCOMES } from './scrapeOutcome.js';
+import { importSteamIds, normalizeRows, printImportReport } from './importer.js';
+import { EXPORT_FORMATS, exportData, exportToFile } from './exporter.js';
+import { getProvider, hasProvider, listProviders } from './providers/index.js';
+import { reparseArchivedPages, printReparseReport } from './pageArchive.js';
+import { JOB_TYPES } from './jobTypes.js';
+import { buildAnomalyReport, printAnomalyReport, releaseQuarantined } from './dataQuality.js';
+import settings, { ConfigError, printSettings } from './config/settings.js';
+import { startMetricsServer } from './metrics.js';
+import shutdown from './shutdown.js';
+
+export const EXIT_CODES = Object.freeze({
+    OK: 0,
+    ERROR: 1,
+    USAGE: 2,
+    PARTIAL: 3 // ran, but some items failed or were rejected
+});
+
+class UsageError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'UsageError';
+    }
+}
+
+const parsePositiveInt = (value, name) => {
+    if (value === undefined) return null;
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 1) {
+        throw new UsageError(`--${name} must be a positive integer, got "${value}"`);
+    }
+    return number;
+};
+
+const parseProvider = (value) => {
+    if (value === undefined) return null;
+    if (!hasProvider(value)) {
+        throw new UsageError(`--provider must be one of ${listProviders().map(p => p.name).join(', ')}`);
+    }
+    return value;
+};
+
+const BEST_MAP_ORDER = ['win_rate', 'kd_ratio', 'adr', 'matches_won', 'matches_played'];
+const WEAPON_LEADERBOARD_ORDER = ['kills', 'headshots', 'headshot_percentage', 'accuracy', 'damage'];
+
+const parseJobType = (value) => {
+    if (value === undefined) return JOB_TYPES.PROFILE;
+    if (!Object.values(JOB_TYPES).includes(value)) {
+        throw new UsageError(`--job must be one of ${Object.values(JOB_TYPES).join(', ')}`);
+    }
+    return value;
+};
+
+// Tags name groups of Steam IDs in refresh rules (tag:NAME=6h)
+const parseTag = (value) => {
+    if (value === undefined) return null;
+    if (!/^[\w.-]{1,50}$/.test(value)) {
+        throw new UsageError(`--tag must be 1-50 letters, digits, "_", "-" or ".", got "${value}"`);
+    }
+    return value;
+};
+
+const STEAM_ID64 = /^\d{17}$/;
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Machine-readable results go to stdout; with --json everything else
+// (progress, emoji logs) is moved to stderr so stdout stays parseable
+const printJson = (data) => process.stdout.write(`${JSON.stringify(data, null, 2)}\n`);
+
+const COMMANDS = {
+    interactive: {
+        description: 'Start the interactive menu (default)',
+        usage: 'interactive',
+        options: {},
+        browser: false,
+        standalone: true,
+        async run() {
+            const { default: CS2StatsApp } = await import('./interactive.js');
+            await new CS2StatsApp().run();
+            return null; // the menu owns the process from here on
+        }
+    },
+
+    scrape: {
+        description: 'Scrape pending Steam IDs',
+        usage: 'scrape [--job profile|matches] [--once] [--limit N] [--concurrency N] [--poll SECONDS] [--provider NAME] [--archive] [--discover [--max-depth N] [--max-queue N]] [--json]',
+        options: {
+            job: { type: 'string' },
+            once: { type: 'boolean' },
+            provider: { type: 'string' },
+            archive: { type: 'boolean' },
+            discover: { type: 'boolean' },
+            'max-depth': { type: 'string' },
+            'max-queue': { type: 'string' },
+            limit: { type: 'string' },
+            concurrency: { type: 'string' },
+            poll: { type: 'string' },
+            json: { type: 'boolean' }
+        },
+        browser: true,
+        async run(manager, { values }) {
+            const limit = parsePositiveInt(values.limit, 'limit');
+            const concurrency = parsePositiveInt(values.concurrency, 'concurrency');
+            const pollSeconds = parsePositiveInt(values.poll, 'poll') ?? 30;
+            if (concurrency) settings.set('scraper.concurrency', concurrency, 'cli');
+            manager.provider = parseProvider(values.provider);
+            manager.jobType = parseJobType(values.job);
+            if (values.archive) settings.set('scraper.archivePages', true, 'cli');
+
+            const maxDepth = parsePositiveInt(values['max-depth'], 'max-depth');
+            const maxQueue = parsePositiveInt(values['max-queue'], 'max-queue');
+            if (values.discover) settings.set('discovery.enabled', true, 'cli');
+            if (maxDepth) settings.set('discovery.maxDepth', maxDepth, 'cli');
+            if (maxQueue) settings.set('discovery.maxQueue', maxQueue, 'cli');
+
+            const totals = { processed: 0, successful: 0, failed: 0, discovered: 0, runs: 0 };
+            // Stale IDs are only re-queued while we keep polling for them
+            if (!values.once) manager.refreshScheduler.start();
+            const metricsServer = settings.get('metrics.port') > 0 ? await startMetricsServer() : null;
+
+            try {
+                // Without --once keep polling for new work until shut down
+                while (!shutdown.requested) {
+                    const remaining = limit === null ? null : limit - totals.processed;
+                    const summary = await manager.startScraping({ limit: remaining });
+
+                    totals.runs++;
+                    totals.processed += summary.processed;
+                    totals.successful += summary.successful;
+                    totals.failed += summary.failed;
+                    totals.discovered += summary.discovered;
+
+                    if (values.once || summary.stopped || (limit !== null && totals.processed >= limit)) break;
+
+                    console.log(`💤 Waiting ${pollSeconds}s for new Steam IDs...`);
+                    for (let waited = 0; waited < pollSeconds && !shutdown.requested; waited++) {
+                        await delay(1000);
+                    }
+                }
+            } finally {
+                manager.refreshScheduler.stop();
+                metricsServer?.close();
+            }
+
+            if (values.json) printJson(totals);
+            return totals.failed > 0 ? EXIT_CODES.PARTIAL : EXIT_CODES.OK;
+        }
+    },
+
+    stats: {
+        description: 'Show queue and database statistics',
+        usage: 'stats [--json]',
+        options: { json: { type: 'boolean' } },
+        browser: false,
+        async run(manager, { values }) {
+            if (!values.json) {
+                await manager.getStats();
+                return EXIT_CODES.OK;
+            }
+
+            const [stats, outcomes] = await Promise.all([
+                DatabaseService.getScrapingStats(),
+                DatabaseService.getOutcomeSummary()
+            ]);
+            printJson({ ...stats, outcomes });
+            return EXIT_CODES.OK;
+        }
+    },
+
+    logs: {
+        description: 'Show recent scrape logs',
+        usage: 'logs [--steam-id ID] [--outcome OUTCOME] [--limit N] [--json]',
+        options: {
+            'steam-id': { type: 'string' },
+            outcome: { type: 'string' },
+            limit: { type: 'string' },
+            json: { type: 'boolean' }
+        },
+        browser: false,
+        async run(manager, { values }) {
+            const outcome = values.outcome || null;
+            if (outcome && !Object.values(OUTCOMES).includes(outcome)) {
+                throw new UsageError(`--outcome must be one of ${Object.values(OUTCOMES).join(', ')}`);
+            }
+
+            const logs = await DatabaseService.getScrapeLogs(
+                parsePositiveInt(values.limit, 'limit') ?? 20,
+                values['steam-id'] || null,
+                outcome
+            );
+
+            if (values.json) {
+                printJson(logs);
+            } else if (logs.length === 0) {
+                console.log('   No logs found');
+            } else {
+                logs.forEach(log => {
+                    const time = log.execution_time ? `${log.execution_time}ms` : 'N/A';
+                    console.log(`${new Date(log.created_at).toISOString()}\t${log.steam_id64}\t${log.status}\t${log.outcome || '-'}\t${time}\t${log.message || ''}`);
+                });
+            }
+            return EXIT_CODES.OK;
+        }
+    },
+
+    reset: {
+        description: 'Requeue failed and dead-lettered Steam IDs',
+        usage: 'reset [--failed] [--dead] [--include-permanent] [--json]',
+        options: {
+            failed: { type: 'boolean' },
+            dead: { type: 'boolean' },
+            'include-permanent': { type: 'boolean' },
+            json: { type: 'boolean' }
+        },
+        browser: false,
+        async run(manager, { values }) {
+            if (!values.failed && !values.dead) {
+                throw new UsageError('Choose what to reset with --failed and/or --dead');
+            }
+
+            const result = { failed: 0, dead: 0 };
+            if (values.failed) {
+                result.failed = (await DatabaseService.resetAllFailedSteamIds()).affectedRows;
+            }
+            if (values.dead) {
+                result.dead = await DatabaseService.requeueDeadSteamIds(values['include-permanent']);
+            }
+
+            if (values.json) {
+                printJson(result);
+            } else {
+                console.log(`✅ Requeued ${result.failed} failed and ${result.dead} dead-lettered Steam IDs`);
+            }
+            return EXIT_CODES.OK;
+        }
+    },
+
+    add: {
+        description: 'Add Steam IDs (any format) to the queue',
+        usage: 'add <steamId...> [--priority N] [--provider NAME] [--tag NAME] [--json]',
+        positionals: true,
+        options: {
+            priority: { type: 'string' },
+            provider: { type: 'string' },
+            tag: { type: 'string' },
+            json: { type: 'boolean' }
+        },
+        browser: false,
+        async run(manager, { values, positionals }) {
+            if (positionals.length === 0) {
+                throw new UsageError('Provide at least one Steam ID');
+            }
+
+            const priority = values.priority === undefined ? 1 : Number(values.priority);
+            if (!Number.isInteger(priority)) {
+                throw new UsageError(`--priority must be an integer, got "${values.priority}"`);
+            }
+
+            const rows = positionals
+                .flatMap(arg => arg.split(','))
+                .map(id => id.trim())
+                .filter(Boolean)
+                .map((input, index) => ({ line: index + 1, input }));
+            const { valid, invalid } = normalizeRows(rows, priority);
+            const provider = parseProvider(values.provider);
+            const tag = parseTag(values.tag);
+
+            // Like import, IDs already in the queue are reported and left untouched
+            const existing = await DatabaseService.getExistingSteamIds([...valid.keys()]);
+            const toAdd = [...valid].filter(([steamId64]) => !existing.has(steamId64));
+            if (toAdd.length > 0) {
+                await DatabaseService.addMultipleSteamIds(
+                    toAdd.map(([steamId64, rowPriority]) => [steamId64, rowPriority, provider, tag])
+                );
+            }
+
+            if (values.json) {
+                printJson({ added: toAdd.map(([steamId64]) => steamId64), already_queued: [...existing], invalid });
+            } else {
+                console.log(`✅ Added ${toAdd.length} Steam IDs to the queue`);
+                existing.forEach(steamId64 => {
+                    console.log(`📋 Already queued: ${steamId64}`);
+                });
+                invalid.forEach(({ input, reason }) => {
+                    console.log(`⚠️ Invalid Steam ID ${input}: ${reason}`);
+                });
+            }
+            return invalid.length > 0 || existing.size > 0 ? EXIT_CODES.PARTIAL : EXIT_CODES.OK;
+        }
+    },
+
+    import: {
+        description: 'Import Steam IDs from a TXT, CSV or JSON file',
+        usage: 'import <file> [--format txt|csv|json] [--priority N] [--provider NAME] [--tag NAME] [--dry-run] [--json]',
+        positionals: true,
+        options: {
+            format: { type: 'string' },
+            priority: { type: 'string' },
+            provider: { type: 'string' },
+            tag: { type: 'string' },
+            'dry-run': { type: 'boolean' },
+            json: { type: 'boolean' }
+        },
+        browser: false,
+        async run(manager, { values, positionals }) {
+            if (positionals.length !== 1) {
+                throw new UsageError('Provide exactly one file to import');
+            }
+
+            const priority = values.priority === undefined ? 1 : Number(values.priority);
+            if (!Number.isInteger(priority)) {
+                throw new UsageError(`--priority must be an integer, got "${values.priority}"`);
+            }
+
+            const report = await importSteamIds(positionals[0], {
+                format: values.format,
+                priority,
+                provider: parseProvider(values.provider),
+                tag: parseTag(values.tag),
+                dryRun: values['dry-run']
+            });
+
+            if (values.json) {
+                printJson(report);
+            } else {
+                printImportReport(report);
+            }
+            return report.invalid.length > 0 ? EXIT_CODES.PARTIAL : EXIT_CODES.OK;
+        }
+    },
+
+    export: {
+        description: 'Export player stats, history or scrape logs',
+        usage: 'export [--dataset stats|history|logs] [--format csv|json|ndjson] [--output FILE] [--columns a,b,c] [--min-matches N] [--since DATE] [--successful-only] [--steam-id ID] [--outcome OUTCOME]',
+        options: {
+            dataset: { type: 'string' },
+            format: { type: 'string' },
+            output: { type: 'string', short: 'o' },
+            columns: { type: 'string' },
+            'min-matches': { type: 'string' },
+            since: { type: 'string' },
+            'successful-only': { type: 'boolean' },
+            'steam-id': { type: 'string' },
+            outcome: { type: 'string' }
+        },
+        browser: false,
+        async run(manager, { values }) {
+            const dataset = values.dataset || 'stats';
+            const format = values.format || 'csv';
+            if (!['stats', 'history', 'logs'].includes(dataset)) {
+                throw new UsageError('--dataset must be one of stats, history, logs');
+            }
+            if (!EXPORT_FORMATS.includes(format)) {
+                throw new UsageError(`--format must be one of ${EXPORT_FORMATS.join(', ')}`);
+            }
+            if (values.since && Number.isNaN(new Date(values.since).getTime())) {
+                throw new UsageError(`--since must be a date, got "${values.since}"`);
+            }
+            if (values.outcome && !Object.values(OUTCOMES).includes(values.outcome)) {
+                throw new UsageError(`--outcome must be one of ${Object.values(OUTCOMES).join(', ')}`);
+            }
+
+            const columns = values.columns ? values.columns.split(',').map(c => c.trim()).filter(Boolean) : null;
+            const allowed = DatabaseService.getExportColumns(dataset);
+            const unknown = (columns || []).filter(column => !allowed.includes(column));
+            if (unknown.length > 0) {
+                throw new UsageError(`Unknown ${dataset} column(s): ${unknown.join(', ')} (available: ${allowed.join(', ')})`);
+            }
+
+            const options = {
+                dataset,
+                format,
+                filters: {
+                    columns,
+                    minMatches: parsePositiveInt(values['min-matches'], 'min-matches'),
+                    since: values.since || null,
+                    successfulOnly: values['successful-only'] ?? false,
+                    steamId64: values['steam-id'] || null,
+                    outcome: values.outcome || null
+                }
+            };
+
+            if (values.output) {
+                const count = await exportToFile(values.output, options);
+                console.log(`✅ Exported ${count} ${dataset} rows to ${values.output}`);
+            } else {
+                const count = await exportData(options);
+                console.error(`✅ Exported ${count} ${dataset} rows`);
+            }
+            return EXIT_CODES.OK;
+        }
+    },
+
+    reparse: {
+        description: 'Re-run extraction over archived pages (no network access)',
+        usage: 'reparse [--steam-id ID] [--archive-id N] [--provider NAME] [--since DATE] [--dry-run] [--json]',
+        options: {
+            'steam-id': { type: 'string' },
+            'archive-id': { type: 'string' },
+            provider: { type: 'string' },
+            since: { type: 'string' },
+            'dry-run': { type: 'boolean' },
+            json: { type: 'boolean' }
+        },
+        browser: false,
+        async run(manager, { values }) {
+            if (values.since && Number.isNaN(new Date(values.since).getTime())) {
+                throw new UsageError(`--since must be a date, got "${values.since}"`);
+            }
+
+            const report = await reparseArchivedPages({
+                archiveId: parsePositiveInt(values['archive-id'], 'archive-id'),
+                steamId64: values['steam-id'] || null,
+                source: parseProvider(values.provider),
+                since: values.since || null,
+                dryRun: values['dry-run'] ?? false,
+                quality: manager.dataQuality
+            });
+
+            if (values.json) {
+                printJson(report);
+            } else {
+                printReparseReport(report);
+            }
+            return report.failed > 0 ? EXIT_CODES.PARTIAL : EXIT_CODES.OK;
+        }
+    },
+
+    quality: {
+        description: 'Report data quality anomalies and review quarantined stats',
+        usage: 'quality [--limit N] [--update-flags] [--quarantine | --release ID | --discard ID] [--json]',
+        options: {
+            limit: { type: 'string' },
+            'update-flags': { type: 'boolean' },
+            quarantine: { type: 'boolean' },
+            release: { type: 'string' },
+            discard: { type: 'string' },
+            json: { type: 'boolean' }
+        },
+        browser: false,
+        async run(manager, { values }) {
+            const limit = parsePositiveInt(values.limit, 'limit') ?? 50;
+            const releaseId = parsePositiveInt(values.release, 'release');
+            const discardId = parsePositiveInt(values.discard, 'discard');
+            if ([values.quarantine, releaseId, discardId].filter(Boolean).length > 1) {
+                throw new UsageError('Use only one of --quarantine, --release and --discard');
+            }
+
+            if (releaseId || discardId) {
+                const found = releaseId
+                    ? Boolean(await releaseQuarantined(releaseId))
+                    : await DatabaseService.deleteQuarantinedStats(discardId) > 0;
+                if (values.json) {
+                    printJson({ id: releaseId || discardId, action: releaseId ? 'released' : 'discarded', found });
+                } else {
+                    console.log(found
+                        ? `✅ ${releaseId ? 'Released' : 'Discarded'} quarantined stats #${releaseId || discardId}`
+                        : `⚠️ No quarantined stats #${releaseId || discardId}`);
+                }
+                return found ? EXIT_CODES.OK : EXIT_CODES.ERROR;
+            }
+
+            if (values.quarantine) {
+                const entries = await DatabaseService.getQuarantinedStats(limit);
+                if (values.json) {
+                    printJson(entries);
+                } else {
+                    console.log(`\n🧪 Quarantined stats (${entries.length}):`);
+                    entries.forEach(entry => {
+                        console.log(`   #${entry.id} ${entry.steam_id64} (${entry.source || 'unknown'}) ${new Date(entry.created_at).toLocaleString()}: ${entry.quality_flags}`);
+                    });
+                }
+                return EXIT_CODES.OK;
+            }
+
+            const report = await buildAnomalyReport({ limit, updateFlags: values['update-flags'] ?? false });
+            if (values.json) {
+                printJson(report);
+            } else {
+                printAnomalyReport(report);
+            }
+            return report.errors > 0 ? EXIT_CODES.PARTIAL : EXIT_CODES.OK;
+        }
+    },
+
+    breakdown: {
+        description: 'Show per-map and per-weapon stats for a player',
+        usage: 'breakdown <steamId64> [--best-by win_rate|kd_ratio|adr|matches_won|matches_played] [--min-matches N] [--json]',
+        positionals: true,
+        options: {
+            'best-by': { type: 'string' },
+            'min-matches': { type: 'string' },
+            json: { type: 'boolean' }
+        },
+        browser: false,
+        async run(manager, { values, positionals }) {
+            const [steamId64] = positionals;
+            if (!STEAM_ID64.test(steamId64 || '')) {
+                throw new UsageError('Provide one 17-digit SteamID64');
+            }
+
+            const bestBy = values['best-by'] || 'win_rate';
+            if (!BEST_MAP_ORDER.includes(bestBy)) {
+                throw new UsageError(`--best-by must be one of ${BEST_MAP_ORDER.join(', ')}`);
+            }
+            const minMatches = values['min-matches'] === undefined ? 5 : Number(values['min-matches']);
+            if (!Number.isInteger(minMatches) || minMatches < 0) {
+                throw new UsageError(`--min-matches must be a non-negative integer, got "${values['min-matches']}"`);
+            }
+
+            const [bestMap, maps, weapons] = await Promise.all([
+                DatabaseService.getBestMap(steamId64, bestBy, minMatches),
+                DatabaseService.getPlayerMapStats(steamId64),
+                DatabaseService.getPlayerWeaponStats(steamId64)
+            ]);
+
+            if (values.json) {
+                printJson({ steam_id64: steamId64, best_map: bestMap, maps, weapons });
+                return EXIT_CODES.OK;
+            }
+
+            if (maps.length === 0 && weapons.length === 0) {
+                console.log(`   No map or weapon stats for ${steamId64}`);
+                return EXIT_CODES.OK;
+            }
+
+            console.log(`\n🗺️ Maps (${maps.length})`);
+            maps.forEach(map => {
+                console.log(`   ${map.map_name}\t${map.matches_played ?? '-'} matches\t${map.win_rate ?? '-'}% won\tK/D ${map.kd_ratio ?? '-'}`);
+            });
+            if (bestMap) {
+                console.log(`   🏆 Best map by ${bestBy}: ${bestMap.map_name} (${bestMap[bestBy]})`);
+            }
+
+            console.log(`\n🔫 Weapons (${weapons.length})`);
+            weapons.forEach(weapon => {
+                console.log(`   ${weapon.weapon_name}\t${weapon.kills ?? '-'} kills\t${weapon.headshot_percentage ?? '-'}% HS\t${weapon.accuracy ?? '-'}% accuracy`);
+            });
+            return EXIT_CODES.OK;
+        }
+    },
+
+    'top-weapon': {
+        description: 'Rank players by their stats with one weapon',
+        usage: 'top-weapon <weapon> [--order-by kills|headshots|headshot_percentage|accuracy|damage] [--limit N] [--json]',
+        positionals: true,
+        options: {
+            'order-by': { type: 'string' },
+            limit: { type: 'string' },
+            json: { type: 'boolean' }
+        },
+        browser: false,
+        async run(manager, { values, positionals }) {
+            const [weapon] = positionals;
+            if (!weapon) {
+                throw new UsageError('Provide a weapon name, e.g. awp');
+            }
+
+            const orderBy = values['order-by'] || 'kills';
+            if (!WEAPON_LEADERBOARD_ORDER.includes(orderBy)) {
+                throw new UsageError(`--order-by must be one of ${WEAPON_LEADERBOARD_ORDER.join(', ')}`);
+            }
+
+            const players = await DatabaseService.getTopWeaponPlayers(
+                weapon, parsePositiveInt(values.limit, 'limit') ?? 10, orderBy
+            );
+
+            if (values.json) {
+                printJson(players);
+            } else if (players.length === 0) {
+                console.log(`   No players with ${weapon} stats`);
+            } else {
+                players.forEach((player, index) => {
+                    console.log(`${index + 1}.\t${player.steam_id64}\t${player.player_name || 'Unknown'}\t${player[orderBy]}`);
+                });
+            }
+            return EXIT_CODES.OK;
+        }
+    },
+
+    'queue-matches': {
+        description: 'Schedule match history scraping',
+        usage: 'queue-matches (<steamId64...> | --all) [--priority N] [--provider NAME] [--json]',
+        positionals: true,
+        options: {
+            all: { type: 'boolean' },
+            priority: { type: 'string' },
+            provider: { type: 'string' },
+            json: { type: 'boolean' }
+        },
+        browser: false,
+        async run(manager, { values, positionals }) {
+            if (Boolean(values.all) === (positionals.length > 0)) {
+                throw new UsageError('Provide Steam IDs or --all (every player whose profile was scraped)');
+            }
+            const invalid = positionals.filter(id => !STEAM_ID64.test(id));
+            if (invalid.length > 0) {
+                throw new UsageError(`Not a 17-digit SteamID64: ${invalid.join(', ')}`);
+            }
+
+            const priority = values.priority === undefined ? 1 : Number(values.priority);
+            if (!Number.isInteger(priority)) {
+                throw new UsageError(`--priority must be an integer, got "${values.priority}"`);
+            }
+
+            const scheduled = await manager.scheduleMatchScraping(values.all ? null : [...new Set(positionals)], {
+                priority,
+                provider: parseProvider(values.provider)
+            });
+
+            if (values.json) printJson({ scheduled });
+            return EXIT_CODES.OK;
+        }
+    },
+
+    matches: {
+        description: 'Show the recent matches of a player and how they did',
+        usage: 'matches <steamId64> [--limit N] [--json]',
+        positionals: true,
+        options: {
+            limit: { type: 'string' },
+            json: { type: 'boolean' }
+        },
+        browser: false,
+        async run(manager, { values, positionals }) {
+            const [steamId64] = positionals;
+            if (!STEAM_ID64.test(steamId64 || '')) {
+                throw new UsageError('Provide one 17-digit SteamID64');
+            }
+
+            const limit = parsePositiveInt(values.limit, 'limit') ?? 20;
+            const [summary, matches] = await Promise.all([
+                DatabaseService.getPlayerMatchSummary(steamId64, limit),
+                DatabaseService.getPlayerMatches(steamId64, limit)
+            ]);
+
+            if (values.json) {
+                printJson({ summary, matches });
+                return EXIT_CODES.OK;
+            }
+
+            if (matches.length === 0) {
+                console.log(`   No matches stored for ${steamId64}`);
+                return EXIT_CODES.OK;
+            }
+
+            console.log(`\n📜 Last ${summary.matches} matches: ${summary.wins}W ${summary.losses}L ${summary.ties}T, K/D ${summary.kd_ratio ?? '-'}, ADR ${summary.avg_adr ?? '-'}, rating ${summary.avg_rating ?? '-'}`);
+            matches.forEach(match => {
+                const played = match.played_at ? new Date(match.played_at).toISOString().slice(0, 10) : 'unknown date';
+                const [own, other] = match.team === 2
+                    ? [match.team2_score, match.team1_score]
+                    : [match.team1_score, match.team2_score];
+                console.log(`   ${played}\t${match.map_name || '?'}\t${own ?? '?'}:${other ?? '?'}\t${match.result || '-'}\t${match.kills ?? '-'}/${match.deaths ?? '-'}/${match.assists ?? '-'}`);
+            });
+            return EXIT_CODES.OK;
+        }
+    },
+
+    providers: {
+        description: 'List the stats providers that can be scraped',
+        usage: 'providers [--json]',
+        options: { json: { type: 'boolean' } },
+        browser: false,
+        async run(manager, { values }) {
+            const fallback = getProvider().name;
+            const providers = listProviders().map(provider => ({ ...provider, default: provider.name === fallback }));
+
+            if (values.json) {
+                printJson(providers);
+            } else {
+                providers.forEach(({ name, label, default: isDefault }) => {
+                    console.log(`${name}\t${label}${isDefault ? '\t(default)' : ''}`);
+                });
+            }
+            return EXIT_CODES.OK;
+        }
+    },
+
+    refresh: {
+        description: 'Re-queue completed Steam IDs whose stats are stale, once',
+        usage: 'refresh [--dry-run] [--json]',
+        options: {
+            'dry-run': { type: 'boolean' },
+            json: { type: 'boolean' }
+        },
+        browser: false,
+        async run(manager, { values }) {
+            const report = await manager.refreshScheduler.run({ dryRun: values['dry-run'] });
+
+            if (values.json) {
+                printJson(report);
+            } else {
+                report.rules.forEach(({ rule, max_age, requeued }) => {
+                    console.log(`   ${rule} (older than ${max_age}): ${requeued}`);
+                });
+            }
+            return EXIT_CODES.OK;
+        }
+    },
+
+    config: {
+        description: 'Show every setting, its value and where the value comes from',
+        usage: 'config [--json]',
+        options: { json: { type: 'boolean' } },
+        browser: false,
+        standalone: true,
+        async run(manager, { values }) {
+            if (values.json) {
+                printJson({ file: settings.file, settings: settings.describe() });
+            } else {
+                printSettings();
+            }
+            return EXIT_CODES.OK;
+        }
+    },
+
+    serve: {
+        description: 'Run the HTTP API server',
+        usage: 'serve [--port N] [--host HOST]',
+        options: {
+            port: { type: 'string' },
+            host: { type: 'string' }
+        },
+        browser: false, // launched by the first POST /scraper/start
+        async run(manager, { values }) {
+            const { default: ApiServer } = await import('./api/server.js');
+            const server = new ApiServer(manager, {
+                port: parsePositiveInt(values.port, 'port') ?? undefined,
+                host: values.host
+            });
+            await server.start();
+            manager.refreshScheduler.start();
+
+            // Registered after the scraper, so requests stop before it drains
+            shutdown.register('api server', () => server.stop());
+            return await shutdown.wait();
+        }
+    }
+};
+
+function usage() {
+    console.log('Usage: node src/index.js [--config FILE] [--set key=value ...] <command> [options]\n');
+    console.log('Commands:');
+    for (const [name, command] of Object.entries(COMMANDS)) {
+        console.log(`  ${name.padEnd(12)} ${command.description}`);
+        console.log(`  ${''.padEnd(12)} ${command.usage}`);
+    }
+    console.log('\nExit codes: 0 ok, 1 error, 2 usage error, 3 partial failure, 4 interrupted by a shutdown');
+}
+
+// --config FILE and --set key=value (repeatable) apply to every command and
+// may appear anywhere on the command line
+function extractGlobalOptions(argv) {
+    const args = [];
+    const overrides = {};
+    let file = null;
+
+    for (let index = 0; index < argv.length; index++) {
+        const match = argv[index].match(/^--(config|set)(?:=(.*))?$/s);
+        if (!match) {
+            args.push(argv[index]);
+            continue;
+        }
+
+        const value = match[2] ?? argv[++index];
+        if (value === undefined) {
+            throw new UsageError(`--${match[1]} needs a value`);
+        }
+        if (match[1] === 'config') {
+            file = value;
+            continue;
+        }
+
+        const separator = value.indexOf('=');
+        if (separator < 1) {
+            throw new UsageError(`--set expects key=value, got "${value}"`);
+        }
+        overrides[value.slice(0, separator)] = value.slice(separator + 1);
+    }
+
+    return { args, file, overrides };
+}
+
+// Returns the exit code, or null when the command keeps the process alive
+export async function runCli(argv) {
+    let globals;
+    try {
+        globals = extractGlobalOptions(argv);
+        settings.load({ file: globals.file, overrides: globals.overrides });
+    } catch (error) {
+        if (!(error instanceof UsageError || error instanceof ConfigError)) throw error;
+        console.error(`❌ ${error instanceof ConfigError ? 'Invalid configuration: ' : ''}${error.message}`);
+        return EXIT_CODES.USAGE;
+    }
+
+    const [name = 'interactive', ...rest] = globals.args;
+
+    if (name === 'help' || name === '--help' || name === '-h') {
+        usage();
+        return EXIT_CODES.OK;
+    }
+
+    const command = COMMANDS[name];
+    if (!command) {
+        console.error(`❌ Unknown command "${name}"\n`);
+        usage();
+        return EXIT_CODES.USAGE;
+    }
+
+    let args;
+    try {
+        args = parseArgs({ args: rest, options: command.options, allowPositionals: Boolean(command.positionals) });
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        console.error(`Usage: node src/index.js ${command.usage}`);
+        return EXIT_CODES.USAGE;
+    }
+
+    // Exports without --output write their data to stdout as well
+    if (args.values.json || (name === 'export' && !args.values.output)) {
+        console.log = (...messages) => console.error(...messages);
+    }
+
+    // Commands that need neither the database nor the browser
+    if (command.standalone) {
+        return await command.run(null, args);
+    }
+
+    // Refresh rules and discovery lists are parsed here
+    let manager;
+    try {
+        manager = new ScraperManager();
+    } catch (error) {
+        console.error(`❌ Invalid configuration: ${error.message}`);
+        return EXIT_CODES.USAGE;
+    }
+
+    // SIGINT/SIGTERM drain the scraper before closing it
+    const unregister = shutdown.register('scraper', () => manager.shutdown());
+    try {
+        await manager.initialize({ browser: command.browser });
+        return await command.run(manager, args);
+    } catch (error) {
+        if (error instanceof UsageError || error instanceof ConfigError) {
+            console.error(`❌ ${error.message}`);
+            console.error(`Usage: node src/index.js ${command.usage}`);
+            return EXIT_CODES.USAGE;
+        }
+        console.error(`❌ ${name} failed:`, error.message);
+        return EXIT_CODES.ERROR;
+    } finally {
+        unregister();
+        if (!shutdown.requested) {
+            await manager.cleanup();
+        }
+    }
+}
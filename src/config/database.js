@@ -1,38 +1,55 @@
 import mysql from 'mysql2/promise';
-import dotenv from 'dotenv';
+import { performance } from 'perf_hooks';
+import SqliteDatabaseManager from './sqlite.js';
+import settings from './settings.js';
+import { createLogger } from '../logger.js';
+import { observeQuery, observeTransaction } from '../metrics.js';
 
-dotenv.config();
+const logger = createLogger('database');
 
 class DatabaseManager {
     constructor() {
+        this.client = 'mysql';
         this.pool = null;
-        this.config = {
-            host: process.env.DB_HOST || 'localhost',
-            port: parseInt(process.env.DB_PORT) || 3306,
-            user: process.env.DB_USER || 'root',
-            password: process.env.DB_PASSWORD,
-            database: process.env.DB_NAME || 'cs2_stats',
-            waitForConnections: true,
-            connectionLimit: 10,
-            queueLimit: 0,
-            acquireTimeout: 60000,
-            timeout: 60000,
-            reconnect: true
+        this.config = null;
+
+        // SQL fragments that differ between MySQL and SQLite
+        this.dialect = {
+            secondsFromNow: (seconds) => `DATE_ADD(CURRENT_TIMESTAMP, INTERVAL ${seconds} SECOND)`,
+            secondsUntil: (column) => `TIMESTAMPDIFF(SECOND, CURRENT_TIMESTAMP, ${column})`,
+            inserted: (column) => `VALUES(${column})`,
+            upsert: (key, updates) => `ON DUPLICATE KEY UPDATE ${
+                Object.entries(updates).map(([column, value]) => `${column} = ${value}`).join(', ')
+            }`
         };
     }
 
     async initialize() {
         try {
+            // Read on connect rather than at import, so command line overrides apply
+            this.config = {
+                host: settings.get('db.host'),
+                port: settings.get('db.port'),
+                user: settings.get('db.user'),
+                password: settings.get('db.password') || undefined,
+                database: settings.get('db.name'),
+                waitForConnections: true,
+                connectionLimit: settings.get('db.connectionLimit'),
+                queueLimit: 0,
+                acquireTimeout: 60000,
+                timeout: 60000,
+                reconnect: true
+            };
             this.pool = mysql.createPool(this.config);
             
             // Test connection
             const connection = await this.pool.getConnection();
-            console.log('✅ Database connected successfully');
+            logger.info('✅ Database connected successfully');
             connection.release();
             
             return true;
         } catch (error) {
-            console.error('❌ Database connection failed:', error.message);
+            logger.error('❌ Database connection failed', { error });
             throw error;
         }
     }
@@ -47,19 +64,61 @@ class DatabaseManager {
     async execute(query, params = []) {
         const connection = await this.getConnection();
         try {
+            const startedAt = performance.now();
             const [results] = await connection.execute(query, params);
+            observeQuery(query, startedAt);
+            return results;
+        } catch (error) {
+            logger.error('❌ Query execution failed', { error, sql: query });
+            throw error;
+        } finally {
+            connection.release();
+        }
+    }
+
+    // Uses the text protocol, which DDL and multi-row `VALUES ?` inserts require
+    async query(query, params = []) {
+        const connection = await this.getConnection();
+        try {
+            const startedAt = performance.now();
+            const [results] = await connection.query(query, params);
+            observeQuery(query, startedAt);
             return results;
         } catch (error) {
-            console.error('❌ Query execution failed:', error.message);
+            logger.error('❌ Query failed', { error, sql: query });
             throw error;
         } finally {
             connection.release();
         }
     }
 
+    // Yields rows one at a time instead of buffering the whole result set
+    async *stream(query, params = []) {
+        const connection = await this.getConnection();
+        let rows = null;
+        let finished = false;
+        try {
+            rows = connection.connection.query(query, params).stream({ highWaterMark: 100 });
+            for await (const row of rows) {
+                yield row;
+            }
+            finished = true;
+        } finally {
+            // A consumer that stops early (or fails) leaves the rest of the
+            // result set on the wire, so that connection can't be reused
+            if (finished) {
+                connection.release();
+            } else {
+                rows?.destroy();
+                connection.destroy();
+            }
+        }
+    }
+
     async transaction(queries) {
         const connection = await this.getConnection();
         try {
+            const startedAt = performance.now();
             await connection.beginTransaction();
             
             const results = [];
@@ -69,10 +128,11 @@ class DatabaseManager {
             }
             
             await connection.commit();
+            observeTransaction(startedAt);
             return results;
         } catch (error) {
             await connection.rollback();
-            console.error('❌ Transaction failed:', error.message);
+            logger.error('❌ Transaction failed', { error });
             throw error;
         } finally {
             connection.release();
@@ -82,9 +142,16 @@ class DatabaseManager {
     async close() {
         if (this.pool) {
             await this.pool.end();
-            console.log('🔒 Database connections closed');
+            logger.info('🔒 Database connections closed');
         }
     }
 }
 
-export default new DatabaseManager();
\ No newline at end of file
+// The db.client setting (DB_CLIENT) picks the storage backend; both expose
+// the same interface
+const DB_CLIENTS = {
+    mysql: DatabaseManager,
+    sqlite: SqliteDatabaseManager
+};
+
+export default new DB_CLIENTS[settings.get('db.client')]();
\ No newline at end of file
@@ -0,0 +1,85 @@
+export const description = 'Create steam_ids, player_stats and scrape_logs tables';
+
+export async function up(db) {
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS steam_ids (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            steam_id64 VARCHAR(20) NOT NULL UNIQUE,
+            status ENUM('pending', 'processing', 'completed', 'failed') DEFAULT 'pending',
+            priority INT DEFAULT 1,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            INDEX idx_status (status),
+            INDEX idx_priority (priority),
+            INDEX idx_created (created_at)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS player_stats (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            steam_id64 VARCHAR(20) NOT NULL,
+            player_name VARCHAR(255),
+            profile_url TEXT,
+
+            -- Core Stats
+            kd_ratio DECIMAL(4,2),
+            hltv_rating DECIMAL(4,2),
+            win_rate VARCHAR(10),
+            headshot_percentage VARCHAR(10),
+            adr INT,
+
+            -- Match Stats
+            matches_played INT,
+            matches_won INT,
+            matches_lost INT,
+            matches_tied INT DEFAULT 0,
+
+            -- Performance Stats
+            kills INT,
+            deaths INT,
+            assists INT,
+            headshots INT,
+            total_damage BIGINT,
+            rounds_played INT,
+
+            -- Additional Stats
+            clutch_success VARCHAR(10),
+            entry_success VARCHAR(10),
+
+            -- Metadata
+            last_scraped TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            scrape_success BOOLEAN DEFAULT TRUE,
+            error_message TEXT,
+
+            UNIQUE KEY unique_steam_id (steam_id64),
+            INDEX idx_steam_id (steam_id64),
+            INDEX idx_player_name (player_name),
+            INDEX idx_last_scraped (last_scraped),
+            INDEX idx_kd_ratio (kd_ratio),
+            INDEX idx_matches_played (matches_played)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS scrape_logs (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            steam_id64 VARCHAR(20) NOT NULL,
+            status ENUM('started', 'success', 'failed') NOT NULL,
+            message TEXT,
+            execution_time INT,
+            stats_extracted INT DEFAULT 0,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+            INDEX idx_steam_id (steam_id64),
+            INDEX idx_status (status),
+            INDEX idx_created (created_at)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+}
+
+export async function down(db) {
+    await db.query('DROP TABLE IF EXISTS scrape_logs');
+    await db.query('DROP TABLE IF EXISTS player_stats');
+    await db.query('DROP TABLE IF EXISTS steam_ids');
+}
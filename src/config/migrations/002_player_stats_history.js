@@ -0,0 +1,61 @@
+export const description = 'Add player_stats_history snapshot table';
+
+const SNAPSHOT_COLUMNS = `
+    steam_id64, player_name,
+    kd_ratio, hltv_rating, win_rate, headshot_percentage, adr,
+    matches_played, matches_won, matches_lost, matches_tied,
+    kills, deaths, assists, headshots, total_damage, rounds_played,
+    clutch_success, entry_success
+`;
+
+export async function up(db) {
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS player_stats_history (
+            id BIGINT AUTO_INCREMENT PRIMARY KEY,
+            steam_id64 VARCHAR(20) NOT NULL,
+            player_name VARCHAR(255),
+
+            -- Core Stats
+            kd_ratio DECIMAL(4,2),
+            hltv_rating DECIMAL(4,2),
+            win_rate VARCHAR(10),
+            headshot_percentage VARCHAR(10),
+            adr INT,
+
+            -- Match Stats
+            matches_played INT,
+            matches_won INT,
+            matches_lost INT,
+            matches_tied INT DEFAULT 0,
+
+            -- Performance Stats
+            kills INT,
+            deaths INT,
+            assists INT,
+            headshots INT,
+            total_damage BIGINT,
+            rounds_played INT,
+
+            -- Additional Stats
+            clutch_success VARCHAR(10),
+            entry_success VARCHAR(10),
+
+            scraped_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+            INDEX idx_steam_id_scraped (steam_id64, scraped_at),
+            INDEX idx_scraped (scraped_at)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    // Seed the history with the latest stats we already have
+    await db.query(`
+        INSERT INTO player_stats_history (${SNAPSHOT_COLUMNS}, scraped_at)
+        SELECT ${SNAPSHOT_COLUMNS}, last_scraped
+        FROM player_stats
+        WHERE scrape_success = TRUE
+    `);
+}
+
+export async function down(db) {
+    await db.query('DROP TABLE IF EXISTS player_stats_history');
+}
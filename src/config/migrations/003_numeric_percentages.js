@@ -0,0 +1,36 @@
+export const description = 'Store percentage stats as numbers instead of "55%" strings';
+
+const TABLES = ['player_stats', 'player_stats_history'];
+const COLUMNS = ['win_rate', 'headshot_percentage', 'clutch_success', 'entry_success'];
+
+export async function up(db) {
+    for (const table of TABLES) {
+        for (const column of COLUMNS) {
+            await db.query(`
+                UPDATE ${table}
+                SET ${column} = NULLIF(TRIM(REPLACE(${column}, '%', '')), '')
+                WHERE ${column} IS NOT NULL
+            `);
+        }
+        await db.query(`
+            ALTER TABLE ${table}
+            ${COLUMNS.map(column => `MODIFY ${column} DECIMAL(5,2)`).join(',\n            ')}
+        `);
+    }
+}
+
+export async function down(db) {
+    for (const table of TABLES) {
+        await db.query(`
+            ALTER TABLE ${table}
+            ${COLUMNS.map(column => `MODIFY ${column} VARCHAR(10)`).join(',\n            ')}
+        `);
+        for (const column of COLUMNS) {
+            await db.query(`
+                UPDATE ${table}
+                SET ${column} = CONCAT(TRIM(TRAILING '.00' FROM ${column}), '%')
+                WHERE ${column} IS NOT NULL
+            `);
+        }
+    }
+}
@@ -0,0 +1,29 @@
+export const description = 'Add claim owner and lease columns to steam_ids';
+
+export async function up(db) {
+    await db.query(`
+        ALTER TABLE steam_ids
+            ADD COLUMN claimed_by VARCHAR(255) NULL DEFAULT NULL,
+            ADD COLUMN claimed_at TIMESTAMP NULL DEFAULT NULL,
+            ADD COLUMN lease_token CHAR(36) NULL DEFAULT NULL,
+            ADD COLUMN lease_expires_at TIMESTAMP NULL DEFAULT NULL,
+            ADD COLUMN heartbeat_at TIMESTAMP NULL DEFAULT NULL,
+            ADD INDEX idx_lease (status, lease_expires_at),
+            ADD INDEX idx_claimed_by (claimed_by),
+            ADD INDEX idx_lease_token (lease_token)
+    `);
+}
+
+export async function down(db) {
+    await db.query(`
+        ALTER TABLE steam_ids
+            DROP INDEX idx_lease_token,
+            DROP INDEX idx_claimed_by,
+            DROP INDEX idx_lease,
+            DROP COLUMN heartbeat_at,
+            DROP COLUMN lease_expires_at,
+            DROP COLUMN lease_token,
+            DROP COLUMN claimed_at,
+            DROP COLUMN claimed_by
+    `);
+}
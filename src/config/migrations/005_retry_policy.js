@@ -0,0 +1,26 @@
+export const description = 'Add attempt counters, retry scheduling and the dead-letter status';
+
+export async function up(db) {
+    await db.query(`
+        ALTER TABLE steam_ids
+            MODIFY status ENUM('pending', 'processing', 'completed', 'failed', 'dead') DEFAULT 'pending',
+            ADD COLUMN attempts INT NOT NULL DEFAULT 0,
+            ADD COLUMN next_attempt_at TIMESTAMP NULL DEFAULT NULL,
+            ADD COLUMN last_error TEXT,
+            ADD COLUMN last_error_type ENUM('transient', 'permanent') NULL DEFAULT NULL,
+            ADD INDEX idx_next_attempt (status, next_attempt_at)
+    `);
+}
+
+export async function down(db) {
+    await db.query(`UPDATE steam_ids SET status = 'failed' WHERE status = 'dead'`);
+    await db.query(`
+        ALTER TABLE steam_ids
+            DROP INDEX idx_next_attempt,
+            DROP COLUMN last_error_type,
+            DROP COLUMN last_error,
+            DROP COLUMN next_attempt_at,
+            DROP COLUMN attempts,
+            MODIFY status ENUM('pending', 'processing', 'completed', 'failed') DEFAULT 'pending'
+    `);
+}
@@ -0,0 +1,27 @@
+export const description = 'Record a structured outcome code for every scrape';
+
+const OUTCOME_ENUM = `ENUM(
+    'success', 'private_profile', 'not_found', 'no_data',
+    'blocked', 'layout_changed', 'timeout', 'error'
+)`;
+
+export async function up(db) {
+    await db.query(`
+        ALTER TABLE scrape_logs
+            ADD COLUMN outcome ${OUTCOME_ENUM} NULL DEFAULT NULL,
+            ADD INDEX idx_outcome (outcome)
+    `);
+    await db.query(`
+        ALTER TABLE steam_ids
+            ADD COLUMN last_outcome ${OUTCOME_ENUM} NULL DEFAULT NULL,
+            ADD INDEX idx_last_outcome (last_outcome)
+    `);
+
+    await db.query(`UPDATE scrape_logs SET outcome = 'success' WHERE status = 'success'`);
+    await db.query(`UPDATE scrape_logs SET outcome = 'error' WHERE status = 'failed'`);
+}
+
+export async function down(db) {
+    await db.query('ALTER TABLE steam_ids DROP INDEX idx_last_outcome, DROP COLUMN last_outcome');
+    await db.query('ALTER TABLE scrape_logs DROP INDEX idx_outcome, DROP COLUMN outcome');
+}
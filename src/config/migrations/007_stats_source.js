@@ -0,0 +1,27 @@
+export const description = 'Record which stats provider each row came from, and allow a per-ID provider';
+
+export async function up(db) {
+    await db.query(`
+        ALTER TABLE steam_ids
+            ADD COLUMN provider VARCHAR(50) NULL DEFAULT NULL
+    `);
+    await db.query(`
+        ALTER TABLE player_stats
+            ADD COLUMN source VARCHAR(50) NULL DEFAULT NULL,
+            ADD INDEX idx_source (source)
+    `);
+    await db.query(`
+        ALTER TABLE player_stats_history
+            ADD COLUMN source VARCHAR(50) NULL DEFAULT NULL
+    `);
+
+    // Everything scraped so far came from csgostats.gg
+    await db.query(`UPDATE player_stats SET source = 'csgostats' WHERE scrape_success = TRUE`);
+    await db.query(`UPDATE player_stats_history SET source = 'csgostats'`);
+}
+
+export async function down(db) {
+    await db.query('ALTER TABLE player_stats_history DROP COLUMN source');
+    await db.query('ALTER TABLE player_stats DROP INDEX idx_source, DROP COLUMN source');
+    await db.query('ALTER TABLE steam_ids DROP COLUMN provider');
+}
@@ -0,0 +1,27 @@
+export const description = 'Archive the raw HTML of scraped pages for offline re-parsing';
+
+export async function up(db) {
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS page_archive (
+            id BIGINT AUTO_INCREMENT PRIMARY KEY,
+            steam_id64 VARCHAR(20) NOT NULL,
+            source VARCHAR(50) NOT NULL,
+            url TEXT,
+            outcome ENUM(
+                'success', 'private_profile', 'not_found', 'no_data',
+                'blocked', 'layout_changed', 'timeout', 'error'
+            ) NULL DEFAULT NULL,
+            content_hash CHAR(64) NOT NULL,
+            html_size INT NOT NULL,
+            html_gzip LONGBLOB NOT NULL,
+            scraped_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+            INDEX idx_steam_id_scraped (steam_id64, scraped_at),
+            INDEX idx_content_hash (content_hash)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+}
+
+export async function down(db) {
+    await db.query('DROP TABLE IF EXISTS page_archive');
+}
@@ -0,0 +1,49 @@
+export const description = 'Store per-map and per-weapon stats for each player';
+
+export async function up(db) {
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS player_map_stats (
+            id BIGINT AUTO_INCREMENT PRIMARY KEY,
+            steam_id64 VARCHAR(20) NOT NULL,
+            map_name VARCHAR(50) NOT NULL,
+            matches_played INT,
+            matches_won INT,
+            matches_lost INT,
+            win_rate DECIMAL(5,2),
+            kd_ratio DECIMAL(4,2),
+            adr INT,
+            kills INT,
+            deaths INT,
+            source VARCHAR(50),
+            last_scraped TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+            UNIQUE KEY uniq_steam_id_map (steam_id64, map_name),
+            INDEX idx_map_win_rate (map_name, win_rate)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS player_weapon_stats (
+            id BIGINT AUTO_INCREMENT PRIMARY KEY,
+            steam_id64 VARCHAR(20) NOT NULL,
+            weapon_name VARCHAR(50) NOT NULL,
+            kills INT,
+            headshots INT,
+            headshot_percentage DECIMAL(5,2),
+            accuracy DECIMAL(5,2),
+            shots INT,
+            hits INT,
+            damage BIGINT,
+            source VARCHAR(50),
+            last_scraped TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+            UNIQUE KEY uniq_steam_id_weapon (steam_id64, weapon_name),
+            INDEX idx_weapon_kills (weapon_name, kills)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+}
+
+export async function down(db) {
+    await db.query('DROP TABLE IF EXISTS player_weapon_stats');
+    await db.query('DROP TABLE IF EXISTS player_map_stats');
+}
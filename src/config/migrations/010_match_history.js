@@ -0,0 +1,90 @@
+export const description = 'Add match history tables and the match scraping job queue';
+
+export async function up(db) {
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS matches (
+            id BIGINT AUTO_INCREMENT PRIMARY KEY,
+            source VARCHAR(50) NOT NULL,
+            source_match_id VARCHAR(64) NOT NULL,
+            url TEXT,
+            map_name VARCHAR(50),
+            played_at DATETIME NULL DEFAULT NULL,
+            team1_score INT,
+            team2_score INT,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+            UNIQUE KEY uniq_source_match (source, source_match_id),
+            INDEX idx_played_at (played_at),
+            INDEX idx_map_name (map_name)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS match_players (
+            id BIGINT AUTO_INCREMENT PRIMARY KEY,
+            match_id BIGINT NOT NULL,
+            steam_id64 VARCHAR(20) NOT NULL,
+            player_name VARCHAR(255),
+            team TINYINT,
+            result ENUM('win', 'loss', 'tie') NULL DEFAULT NULL,
+            kills INT,
+            deaths INT,
+            assists INT,
+            adr DECIMAL(6,2),
+            headshot_percentage DECIMAL(5,2),
+            rating DECIMAL(4,2),
+            mvps INT,
+
+            UNIQUE KEY uniq_match_player (match_id, steam_id64),
+            INDEX idx_steam_id (steam_id64),
+            CONSTRAINT fk_match_players_match FOREIGN KEY (match_id) REFERENCES matches (id) ON DELETE CASCADE
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    // Same status, lease and retry columns as steam_ids
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS match_jobs (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            steam_id64 VARCHAR(20) NOT NULL UNIQUE,
+            status ENUM('pending', 'processing', 'completed', 'failed', 'dead') DEFAULT 'pending',
+            priority INT DEFAULT 1,
+            provider VARCHAR(50) NULL DEFAULT NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            claimed_by VARCHAR(255) NULL DEFAULT NULL,
+            claimed_at TIMESTAMP NULL DEFAULT NULL,
+            lease_token CHAR(36) NULL DEFAULT NULL,
+            lease_expires_at TIMESTAMP NULL DEFAULT NULL,
+            heartbeat_at TIMESTAMP NULL DEFAULT NULL,
+            attempts INT NOT NULL DEFAULT 0,
+            next_attempt_at TIMESTAMP NULL DEFAULT NULL,
+            last_error TEXT,
+            last_error_type ENUM('transient', 'permanent') NULL DEFAULT NULL,
+            last_outcome ENUM(
+                'success', 'private_profile', 'not_found', 'no_data',
+                'blocked', 'layout_changed', 'timeout', 'error'
+            ) NULL DEFAULT NULL,
+
+            INDEX idx_status (status),
+            INDEX idx_priority (priority),
+            INDEX idx_lease (status, lease_expires_at),
+            INDEX idx_claimed_by (claimed_by),
+            INDEX idx_lease_token (lease_token),
+            INDEX idx_next_attempt (status, next_attempt_at)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    await db.query(`
+        ALTER TABLE scrape_logs
+            ADD COLUMN job_type ENUM('profile', 'matches') NOT NULL DEFAULT 'profile',
+            ADD INDEX idx_job_type (job_type)
+    `);
+}
+
+export async function down(db) {
+    await db.query('ALTER TABLE scrape_logs DROP INDEX idx_job_type, DROP COLUMN job_type');
+    await db.query('DROP TABLE IF EXISTS match_jobs');
+    await db.query('DROP TABLE IF EXISTS match_players');
+    await db.query('DROP TABLE IF EXISTS matches');
+}
@@ -0,0 +1,19 @@
+export const description = 'Record how Steam IDs found by the discovery crawl were reached';
+
+export async function up(db) {
+    await db.query(`
+        ALTER TABLE steam_ids
+            ADD COLUMN discovery_depth INT NULL DEFAULT NULL,
+            ADD COLUMN discovered_from VARCHAR(20) NULL DEFAULT NULL,
+            ADD INDEX idx_discovery_depth (discovery_depth)
+    `);
+}
+
+export async function down(db) {
+    await db.query(`
+        ALTER TABLE steam_ids
+            DROP INDEX idx_discovery_depth,
+            DROP COLUMN discovered_from,
+            DROP COLUMN discovery_depth
+    `);
+}
@@ -0,0 +1,17 @@
+export const description = 'Add tags to steam_ids for per-tag refresh rules';
+
+export async function up(db) {
+    await db.query(`
+        ALTER TABLE steam_ids
+            ADD COLUMN tag VARCHAR(50) NULL DEFAULT NULL,
+            ADD INDEX idx_tag (tag)
+    `);
+}
+
+export async function down(db) {
+    await db.query(`
+        ALTER TABLE steam_ids
+            DROP INDEX idx_tag,
+            DROP COLUMN tag
+    `);
+}
@@ -0,0 +1,55 @@
+export const description = 'Store data quality flags and quarantine suspicious stats';
+
+const OUTCOMES = [
+    'success', 'private_profile', 'not_found', 'no_data',
+    'blocked', 'layout_changed', 'timeout', 'error'
+];
+
+// Every column holding a scrape outcome
+const OUTCOME_COLUMNS = [
+    ['scrape_logs', 'outcome'],
+    ['steam_ids', 'last_outcome'],
+    ['match_jobs', 'last_outcome'],
+    ['page_archive', 'outcome']
+];
+
+const outcomeEnum = (values) => `ENUM(${values.map(value => `'${value}'`).join(', ')})`;
+
+export async function up(db) {
+    await db.query(`
+        ALTER TABLE player_stats
+            ADD COLUMN quality_flags TEXT NULL DEFAULT NULL
+    `);
+
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS stats_quarantine (
+            id BIGINT AUTO_INCREMENT PRIMARY KEY,
+            steam_id64 VARCHAR(20) NOT NULL,
+            source VARCHAR(50),
+            data LONGTEXT NOT NULL,
+            quality_flags TEXT NOT NULL,
+            quality_messages TEXT,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+            INDEX idx_steam_id (steam_id64),
+            INDEX idx_created (created_at)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    for (const [table, column] of OUTCOME_COLUMNS) {
+        await db.query(`
+            ALTER TABLE ${table}
+                MODIFY COLUMN ${column} ${outcomeEnum([...OUTCOMES, 'invalid_data'])} NULL DEFAULT NULL
+        `);
+    }
+}
+
+export async function down(db) {
+    for (const [table, column] of OUTCOME_COLUMNS) {
+        await db.query(`UPDATE ${table} SET ${column} = 'error' WHERE ${column} = 'invalid_data'`);
+        await db.query(`ALTER TABLE ${table} MODIFY COLUMN ${column} ${outcomeEnum(OUTCOMES)} NULL DEFAULT NULL`);
+    }
+
+    await db.query('DROP TABLE IF EXISTS stats_quarantine');
+    await db.query('ALTER TABLE player_stats DROP COLUMN quality_flags');
+}
@@ -0,0 +1,16 @@
+export const description = 'Add the interrupted status for scrape logs of jobs cut short by a shutdown';
+
+export async function up(db) {
+    await db.query(`
+        ALTER TABLE scrape_logs
+            MODIFY status ENUM('started', 'success', 'failed', 'interrupted') NOT NULL
+    `);
+}
+
+export async function down(db) {
+    await db.query(`UPDATE scrape_logs SET status = 'failed' WHERE status = 'interrupted'`);
+    await db.query(`
+        ALTER TABLE scrape_logs
+            MODIFY status ENUM('started', 'success', 'failed') NOT NULL
+    `);
+}
@@ -0,0 +1,15 @@
+export const description = 'Store ADR with its decimals instead of rounding it to a whole number';
+
+const TABLES = ['player_stats', 'player_stats_history', 'player_map_stats'];
+
+export async function up(db) {
+    for (const table of TABLES) {
+        await db.query(`ALTER TABLE ${table} MODIFY adr DECIMAL(6,2)`);
+    }
+}
+
+export async function down(db) {
+    for (const table of TABLES) {
+        await db.query(`ALTER TABLE ${table} MODIFY adr INT`);
+    }
+}
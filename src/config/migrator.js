@@ -0,0 +1,157 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import dbManager from './database.js';
+
+const MIGRATIONS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'migrations');
+const MIGRATION_FILE = /^(\d+)_([\w-]+)\.js$/;
+
+class Migrator {
+    constructor(directory = MIGRATIONS_DIR) {
+        this.directory = directory;
+        this.tableName = 'schema_migrations';
+    }
+
+    async ensureMigrationsTable() {
+        await dbManager.query(`
+            CREATE TABLE IF NOT EXISTS ${this.tableName} (
+                version INT PRIMARY KEY,
+                name VARCHAR(255) NOT NULL,
+                applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+        `);
+    }
+
+    // Every file in the directory must be a migration; a misnamed one would
+    // otherwise be skipped without a word, or run under the wrong version
+    async loadMigrations() {
+        const files = (await fs.readdir(this.directory))
+            .filter(file => !file.startsWith('.'))
+            .sort();
+
+        const misnamed = files.filter(file => !MIGRATION_FILE.test(file));
+        if (misnamed.length > 0) {
+            throw new Error(`Migration files must be named NNN_short_description.js: ${misnamed.join(', ')}`);
+        }
+
+        const migrations = [];
+        for (const file of files) {
+            const [, version, name] = file.match(MIGRATION_FILE);
+            const module = await import(pathToFileURL(path.join(this.directory, file)).href);
+
+            if (typeof module.up !== 'function' || typeof module.down !== 'function') {
+                throw new Error(`Migration ${file} must export up() and down() functions`);
+            }
+
+            migrations.push({
+                version: Number(version),
+                name,
+                description: module.description || name,
+                up: module.up,
+                down: module.down
+            });
+        }
+
+        const seen = new Set();
+        for (const { version } of migrations) {
+            if (seen.has(version)) {
+                throw new Error(`Duplicate migration version ${version}`);
+            }
+            seen.add(version);
+        }
+
+        return migrations.sort((a, b) => a.version - b.version);
+    }
+
+    async getAppliedMigrations() {
+        await this.ensureMigrationsTable();
+        const rows = await dbManager.query(
+            `SELECT version, name, applied_at FROM ${this.tableName} ORDER BY version ASC`
+        );
+        return new Map(rows.map(row => [row.version, row]));
+    }
+
+    async status() {
+        const migrations = await this.loadMigrations();
+        const applied = await this.getAppliedMigrations();
+
+        const result = migrations.map(migration => ({
+            version: migration.version,
+            name: migration.name,
+            description: migration.description,
+            applied: applied.has(migration.version),
+            applied_at: applied.get(migration.version)?.applied_at || null
+        }));
+
+        // Versions recorded in the database whose files are gone
+        for (const [version, row] of applied) {
+            if (!migrations.some(m => m.version === version)) {
+                result.push({
+                    version,
+                    name: row.name,
+                    description: 'Migration file missing',
+                    applied: true,
+                    applied_at: row.applied_at,
+                    missing: true
+                });
+            }
+        }
+
+        return result.sort((a, b) => a.version - b.version);
+    }
+
+    async up(targetVersion = null) {
+        const migrations = await this.loadMigrations();
+        const applied = await this.getAppliedMigrations();
+
+        const pending = migrations.filter(m =>
+            !applied.has(m.version) && (targetVersion === null || m.version <= targetVersion)
+        );
+
+        if (pending.length === 0) {
+            console.log('✅ Database schema is up to date');
+            return [];
+        }
+
+        for (const migration of pending) {
+            console.log(`⬆️ Applying migration ${migration.version}_${migration.name}...`);
+            await migration.up(dbManager);
+            await dbManager.execute(
+                `INSERT INTO ${this.tableName} (version, name) VALUES (?, ?)`,
+                [migration.version, migration.name]
+            );
+        }
+
+        console.log(`✅ Applied ${pending.length} migration(s)`);
+        return pending.map(m => m.version);
+    }
+
+    async down(steps = 1) {
+        const migrations = await this.loadMigrations();
+        const applied = await this.getAppliedMigrations();
+
+        const toRevert = migrations
+            .filter(m => applied.has(m.version))
+            .sort((a, b) => b.version - a.version)
+            .slice(0, steps);
+
+        if (toRevert.length === 0) {
+            console.log('⚠️ No applied migrations to revert');
+            return [];
+        }
+
+        for (const migration of toRevert) {
+            console.log(`⬇️ Reverting migration ${migration.version}_${migration.name}...`);
+            await migration.down(dbManager);
+            await dbManager.execute(
+                `DELETE FROM ${this.tableName} WHERE version = ?`,
+                [migration.version]
+            );
+        }
+
+        console.log(`✅ Reverted ${toRevert.length} migration(s)`);
+        return toRevert.map(m => m.version);
+    }
+}
+
+export default new Migrator();
@@ -0,0 +1,334 @@
+import fs from 'fs';
+import path from 'path';
+import { EventEmitter } from 'events';
+import dotenv from 'dotenv';
+import { parseCron } from '../cron.js';
+
+dotenv.config();
+
+const DEFAULT_CONFIG_FILE = 'cs2-stats.config.json';
+
+// Puppeteer's request resource types
+const RESOURCE_TYPES = [
+    'document', 'stylesheet', 'image', 'media', 'font', 'script', 'texttrack', 'xhr', 'fetch',
+    'prefetch', 'eventsource', 'websocket', 'manifest', 'signedexchange', 'ping', 'cspviolationreport',
+    'preflight', 'other'
+];
+
+// "image,font" -> Set { 'image', 'font' }
+export function parseResourceTypes(value) {
+    const types = String(value || '').split(',').map(type => type.trim().toLowerCase()).filter(Boolean);
+    const unknown = types.find(type => !RESOURCE_TYPES.includes(type));
+    if (unknown) {
+        throw new Error(`unknown resource type "${unknown}" (use ${RESOURCE_TYPES.join(', ')})`);
+    }
+    return new Set(types);
+}
+
+// Every setting, its type, default and environment variable. `apply` says
+// when a running instance picks up a change made with `set`:
+//   live      immediately
+//   next-run  from the next scraping run
+//   restart   only at startup, so `set` refuses it
+export const SETTINGS = {
+    'db.client': { type: 'enum', values: ['mysql', 'sqlite'], default: 'mysql', env: 'DB_CLIENT', apply: 'restart', startup: true, description: 'Storage backend' },
+    'db.host': { type: 'string', default: 'localhost', env: 'DB_HOST', apply: 'restart', description: 'MySQL host' },
+    'db.port': { type: 'integer', default: 3306, min: 1, max: 65535, env: 'DB_PORT', apply: 'restart', description: 'MySQL port' },
+    'db.user': { type: 'string', default: 'root', env: 'DB_USER', apply: 'restart', description: 'MySQL user' },
+    'db.password': { type: 'string', default: '', env: 'DB_PASSWORD', apply: 'restart', secret: true, description: 'MySQL password' },
+    'db.name': { type: 'string', default: 'cs2_stats', env: 'DB_NAME', apply: 'restart', description: 'MySQL database' },
+    'db.connectionLimit': { type: 'integer', default: 10, min: 1, max: 1000, env: 'DB_CONNECTION_LIMIT', apply: 'restart', description: 'MySQL pool size' },
+    'db.file': { type: 'string', default: 'data/cs2_stats.db', env: 'DB_FILE', apply: 'restart', description: 'SQLite database file' },
+
+    'scraper.concurrency': { type: 'integer', default: 1, min: 1, max: 64, env: 'SCRAPER_CONCURRENCY', apply: 'next-run', description: 'Browser pages scraping in parallel' },
+    'scraper.batchSize': { type: 'integer', default: 5, min: 1, max: 1000, env: 'SCRAPER_BATCH_SIZE', apply: 'live', description: 'Steam IDs claimed at a time' },
+    'scraper.delay': { type: 'integer', default: 2000, min: 0, max: 600000, env: 'SCRAPER_DELAY_MS', apply: 'live', description: 'Minimum milliseconds between request starts across all workers' },
+    'scraper.leaseSeconds': { type: 'integer', default: 300, min: 10, max: 86400, env: 'SCRAPER_LEASE_SECONDS', apply: 'next-run', description: 'How long a claimed Steam ID stays reserved without a heartbeat' },
+    'scraper.provider': { type: 'string', default: 'csgostats', env: 'STATS_PROVIDER', apply: 'live', description: 'Stats provider used when neither the Steam ID nor the run picks one' },
+    'scraper.archivePages': { type: 'boolean', default: false, env: 'ARCHIVE_PAGES', apply: 'live', description: 'Keep the rendered HTML of every scrape' },
+    'scraper.matchHistoryLimit': { type: 'integer', default: 20, min: 1, max: 1000, env: 'MATCH_HISTORY_LIMIT', apply: 'live', description: 'Recent matches read per match history job' },
+
+    'browser.headless': { type: 'boolean', default: true, env: 'BROWSER_HEADLESS', apply: 'restart', description: 'Run Chromium without a window' },
+    'browser.userAgent': { type: 'string', default: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36', env: 'BROWSER_USER_AGENT', apply: 'live', description: 'User agent of new pages' },
+    'browser.viewportWidth': { type: 'integer', default: 1920, min: 320, max: 7680, env: 'BROWSER_VIEWPORT_WIDTH', apply: 'live', description: 'Viewport width of new pages' },
+    'browser.viewportHeight': { type: 'integer', default: 1080, min: 240, max: 4320, env: 'BROWSER_VIEWPORT_HEIGHT', apply: 'live', description: 'Viewport height of new pages' },
+    'browser.selectorTimeout': { type: 'integer', default: 30000, min: 1000, max: 300000, env: 'BROWSER_SELECTOR_TIMEOUT_MS', apply: 'live', description: 'Milliseconds to wait for stats to appear on a page' },
+    'browser.recyclePages': { type: 'integer', default: 200, min: 0, env: 'BROWSER_RECYCLE_PAGES', apply: 'live', description: 'Relaunch the browser after this many pages (0 = never)' },
+    'browser.recycleMemoryMb': { type: 'integer', default: 1024, min: 0, env: 'BROWSER_RECYCLE_MEMORY_MB', apply: 'live', description: 'Relaunch the browser once it uses this much memory (0 = never; Linux only)' },
+    'browser.blockResources': { type: 'string', default: 'image,font,media', env: 'BROWSER_BLOCK_RESOURCES', apply: 'live', validate: parseResourceTypes, description: 'Resource types pages do not load (empty = load everything)' },
+    'browser.blockAds': { type: 'boolean', default: true, env: 'BROWSER_BLOCK_ADS', apply: 'live', description: 'Skip requests to ad and tracking hosts' },
+
+    'retry.maxAttempts': { type: 'integer', default: 5, min: 1, max: 100, env: 'SCRAPER_MAX_ATTEMPTS', apply: 'live', description: 'Attempts before a Steam ID is dead-lettered' },
+    'retry.baseDelay': { type: 'integer', default: 60, min: 1, env: 'SCRAPER_RETRY_BASE_SECONDS', apply: 'live', description: 'Seconds before the first retry' },
+    'retry.maxDelay': { type: 'integer', default: 6 * 60 * 60, min: 1, env: 'SCRAPER_RETRY_MAX_SECONDS', apply: 'live', description: 'Longest retry backoff in seconds' },
+
+    'discovery.enabled': { type: 'boolean', default: false, env: 'DISCOVERY_ENABLED', apply: 'live', description: 'Queue the players seen on scraped pages' },
+    'discovery.maxDepth': { type: 'integer', default: 2, min: 1, max: 100, env: 'DISCOVERY_MAX_DEPTH', apply: 'live', description: 'Hops away from the seed players' },
+    'discovery.maxQueue': { type: 'integer', default: 10000, min: 1, env: 'DISCOVERY_MAX_QUEUE', apply: 'live', description: 'Stop discovering while this many IDs are pending' },
+    'discovery.basePriority': { type: 'integer', default: 0, env: 'DISCOVERY_BASE_PRIORITY', apply: 'live', description: 'Priority of players one hop from a seed' },
+    'discovery.priorityStep': { type: 'integer', default: 1, min: 1, env: 'DISCOVERY_PRIORITY_STEP', apply: 'live', description: 'Priority lost per further hop' },
+    'discovery.allow': { type: 'string', default: '', env: 'DISCOVERY_ALLOW', apply: 'live', description: 'Only ever queue these IDs (comma-separated, @file)' },
+    'discovery.deny': { type: 'string', default: '', env: 'DISCOVERY_DENY', apply: 'live', description: 'Never queue these IDs (comma-separated, @file)' },
+
+    'refresh.enabled': { type: 'boolean', default: false, env: 'REFRESH_ENABLED', apply: 'live', description: 'Re-queue stale completed IDs on a schedule' },
+    'refresh.schedule': { type: 'string', default: '0 * * * *', env: 'REFRESH_SCHEDULE', apply: 'live', validate: parseCron, description: 'Cron expression of the refresh runs' },
+    'refresh.maxAge': { type: 'string', default: '7d', env: 'REFRESH_MAX_AGE', apply: 'live', description: 'Freshness target of IDs no rule matches' },
+    'refresh.rules': { type: 'string', default: '', env: 'REFRESH_RULES', apply: 'live', description: 'Freshness targets per tag or priority, e.g. tag:pro=6h' },
+    'refresh.maxPerRun': { type: 'integer', default: 1000, min: 1, env: 'REFRESH_MAX_PER_RUN', apply: 'live', description: 'Re-queue at most this many IDs per run' },
+    'refresh.cleanupLogsDays': { type: 'integer', default: 0, min: 0, env: 'REFRESH_CLEANUP_LOGS_DAYS', apply: 'live', description: 'Also delete scrape logs older than this many days (0 = never)' },
+
+    'quality.mode': { type: 'enum', values: ['flag', 'quarantine', 'reject'], default: 'flag', env: 'DATA_QUALITY_MODE', apply: 'live', description: 'What happens to stats that fail a data quality check' },
+
+    'log.level': { type: 'enum', values: ['error', 'warn', 'info', 'debug'], default: 'info', env: 'LOG_LEVEL', apply: 'live', description: 'Least severe level printed on the console' },
+    'log.format': { type: 'enum', values: ['pretty', 'json'], default: 'pretty', env: 'LOG_FORMAT', apply: 'live', description: 'Console output: readable messages or one JSON record per line' },
+    'log.file': { type: 'string', default: '', env: 'LOG_FILE', apply: 'live', description: 'Also append JSON records to this file (empty = off)' },
+    'log.fileLevel': { type: 'enum', values: ['error', 'warn', 'info', 'debug'], default: 'info', env: 'LOG_FILE_LEVEL', apply: 'live', description: 'Least severe level written to the log file' },
+    'log.fileMaxSize': { type: 'integer', default: 10 * 1024 * 1024, min: 1024, env: 'LOG_FILE_MAX_BYTES', apply: 'live', description: 'Rotate the log file once it reaches this many bytes' },
+    'log.fileMaxFiles': { type: 'integer', default: 5, min: 1, max: 100, env: 'LOG_FILE_MAX_FILES', apply: 'live', description: 'Rotated log files kept (file.1 is the newest)' },
+
+    'shutdown.drainTimeout': { type: 'integer', default: 30, min: 0, env: 'SHUTDOWN_DRAIN_TIMEOUT', apply: 'live', description: 'Seconds jobs in progress get to finish on shutdown before they are returned to the queue' },
+
+    'api.port': { type: 'integer', default: 3000, min: 1, max: 65535, env: 'API_PORT', apply: 'restart', description: 'HTTP API port' },
+    'api.host': { type: 'string', default: '127.0.0.1', env: 'API_HOST', apply: 'restart', description: 'HTTP API host' },
+
+    'metrics.port': { type: 'integer', default: 0, min: 0, max: 65535, env: 'METRICS_PORT', apply: 'restart', description: 'Serve /metrics on this port during scrape and the interactive menu (0 = off)' },
+    'metrics.host': { type: 'string', default: '127.0.0.1', env: 'METRICS_HOST', apply: 'restart', description: 'Host of the /metrics listener' }
+};
+
+export class ConfigError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ConfigError';
+    }
+}
+
+const BOOLEANS = { true: true, false: false, 1: true, 0: false, yes: true, no: false, on: true, off: false };
+
+// Turns a raw value (a string from env or the command line, or anything from
+// the config file) into the setting's type, or throws a ConfigError saying
+// where the bad value came from
+export function coerceSetting(key, raw, origin = key) {
+    const schema = SETTINGS[key];
+    if (!schema) {
+        throw new ConfigError(`Unknown setting "${key}" (see the config command for all settings)`);
+    }
+
+    const text = String(raw).trim();
+    let value;
+    switch (schema.type) {
+        case 'integer':
+            value = typeof raw === 'number' ? raw : (/^-?\d+$/.test(text) ? Number(text) : NaN);
+            if (!Number.isInteger(value)) {
+                throw new ConfigError(`${origin} must be an integer, got "${raw}"`);
+            }
+            break;
+        case 'boolean':
+            value = typeof raw === 'boolean' ? raw : BOOLEANS[text.toLowerCase()];
+            if (value === undefined) {
+                throw new ConfigError(`${origin} must be true or false, got "${raw}"`);
+            }
+            break;
+        case 'enum':
+            value = text.toLowerCase();
+            if (!schema.values.includes(value)) {
+                throw new ConfigError(`${origin} must be one of ${schema.values.join(', ')}, got "${raw}"`);
+            }
+            break;
+        default:
+            if (typeof raw === 'object' && raw !== null) {
+                throw new ConfigError(`${origin} must be a string`);
+            }
+            value = String(raw);
+    }
+
+    if (schema.min !== undefined && value < schema.min) {
+        throw new ConfigError(`${origin} must be at least ${schema.min}, got ${value}`);
+    }
+    if (schema.max !== undefined && value > schema.max) {
+        throw new ConfigError(`${origin} must be at most ${schema.max}, got ${value}`);
+    }
+    if (schema.validate) {
+        try {
+            schema.validate(value);
+        } catch (error) {
+            throw new ConfigError(`${origin}: ${error.message}`);
+        }
+    }
+
+    return value;
+}
+
+// { "scraper": { "batchSize": 10 } } and { "scraper.batchSize": 10 } are the same
+const flatten = (object, prefix = '') => Object.entries(object).flatMap(([key, value]) => (
+    value !== null && typeof value === 'object' && !Array.isArray(value)
+        ? flatten(value, `${prefix}${key}.`)
+        : [[`${prefix}${key}`, value]]
+));
+
+// Settings are resolved from defaults, then the config file, then the
+// environment, then command line flags; `set` on a running instance wins
+// over all of them. Listeners of 'change' apply a new value and may throw
+// to reject it.
+class Settings extends EventEmitter {
+    constructor() {
+        super();
+        this.file = null;
+        this.loaded = false;
+        this.layers = { file: {}, env: {}, cli: {}, runtime: {} };
+    }
+
+    // `file` defaults to CS2_CONFIG, then cs2-stats.config.json when it exists.
+    // `overrides` are command line values as { key: rawValue }.
+    load({ file = null, overrides = {} } = {}) {
+        const layers = { file: {}, env: {}, cli: {}, runtime: {} };
+        const configFile = file || process.env.CS2_CONFIG || (fs.existsSync(DEFAULT_CONFIG_FILE) ? DEFAULT_CONFIG_FILE : null);
+
+        if (configFile) {
+            let content;
+            try {
+                content = JSON.parse(fs.readFileSync(configFile, 'utf8'));
+            } catch (error) {
+                throw new ConfigError(`Cannot read config file ${configFile}: ${error.message}`);
+            }
+            for (const [key, raw] of flatten(content)) {
+                layers.file[key] = coerceSetting(key, raw, `${key} in ${configFile}`);
+            }
+        }
+
+        for (const [key, { env }] of Object.entries(SETTINGS)) {
+            const raw = process.env[env];
+            if (raw !== undefined && raw !== '') {
+                layers.env[key] = coerceSetting(key, raw, `${env} (${key})`);
+            }
+        }
+
+        for (const [key, raw] of Object.entries(overrides)) {
+            layers.cli[key] = coerceSetting(key, raw, `--set ${key}`);
+        }
+
+        // Startup settings were used the moment the modules were imported
+        if (this.loaded) {
+            for (const key of Object.keys(SETTINGS).filter(key => SETTINGS[key].startup)) {
+                const layer = ['cli', 'env', 'file'].find(name => key in layers[name]);
+                if ((layer ? layers[layer][key] : SETTINGS[key].default) !== this.get(key)) {
+                    throw new ConfigError(`${key} is read at startup; set it with ${SETTINGS[key].env} or in ${DEFAULT_CONFIG_FILE}`);
+                }
+            }
+        }
+
+        this.file = configFile ? path.resolve(configFile) : null;
+        this.layers = layers;
+        this.loaded = true;
+        return this;
+    }
+
+    source(key) {
+        return ['runtime', 'cli', 'env', 'file'].find(layer => key in this.layers[layer]) || 'default';
+    }
+
+    get(key) {
+        const schema = SETTINGS[key];
+        if (!schema) {
+            throw new ConfigError(`Unknown setting "${key}"`);
+        }
+        const layer = this.source(key);
+        return layer === 'default' ? schema.default : this.layers[layer][key];
+    }
+
+    // Validates a value for set() without applying it
+    check(key, raw, layer = 'runtime') {
+        const value = coerceSetting(key, raw);
+        if (layer === 'runtime' && SETTINGS[key].apply === 'restart') {
+            throw new ConfigError(`${key} only takes effect at startup; set it in the config file or ${SETTINGS[key].env}`);
+        }
+        return value;
+    }
+
+    // Changes a setting on the running instance. `layer` is 'cli' for
+    // per-run command line flags. Returns the new value.
+    set(key, raw, layer = 'runtime') {
+        const value = this.check(key, raw, layer);
+
+        const previous = this.get(key);
+        const had = key in this.layers[layer];
+        const before = this.layers[layer][key];
+        this.layers[layer][key] = value;
+
+        try {
+            if (value !== previous) this.emit('change', { key, value, previous });
+        } catch (error) {
+            if (had) {
+                this.layers[layer][key] = before;
+            } else {
+                delete this.layers[layer][key];
+            }
+            throw error instanceof ConfigError ? error : new ConfigError(`${key}: ${error.message}`);
+        }
+        return value;
+    }
+
+    // Sets several [key, raw] pairs as one change: when a value is rejected,
+    // by its check or by a listener, the keys set before it are put back and
+    // their listeners see the old values again
+    setAll(changes, layer = 'runtime') {
+        changes.forEach(([key, raw]) => this.check(key, raw, layer));
+
+        const applied = [];
+        try {
+            for (const [key, raw] of changes) {
+                const had = key in this.layers[layer];
+                const before = this.layers[layer][key];
+                this.set(key, raw, layer);
+                applied.push({ key, had, before });
+            }
+        } catch (error) {
+            for (const { key, had, before } of applied.reverse()) {
+                const current = this.get(key);
+                if (had) {
+                    this.layers[layer][key] = before;
+                } else {
+                    delete this.layers[layer][key];
+                }
+                const restored = this.get(key);
+                if (restored !== current) this.emit('change', { key, value: restored, previous: current });
+            }
+            throw error;
+        }
+    }
+
+    // Every setting with its effective value and where it came from
+    describe() {
+        return Object.entries(SETTINGS).map(([key, schema]) => {
+            const value = this.get(key);
+            return {
+                key,
+                value: schema.secret && value ? '********' : value,
+                source: this.source(key),
+                env: schema.env,
+                apply: schema.apply,
+                description: schema.description
+            };
+        });
+    }
+}
+
+export function printSettings(entries = settings.describe()) {
+    console.log(`\n⚙️ Settings${settings.file ? ` (config file ${settings.file})` : ''}:`);
+    entries.forEach(({ key, value, source, apply }) => {
+        const when = apply === 'live' ? '' : `, ${apply}`;
+        console.log(`   ${key.padEnd(26)} ${JSON.stringify(value)} (${source}${when})`);
+    });
+}
+
+const settings = new Settings();
+
+// Everything reads its settings while starting up, so they are loaded on
+// import. A bad environment or config file leaves the defaults in place: the
+// entry points load again and turn the ConfigError into exit code 2.
+try {
+    settings.load();
+} catch (error) {
+    if (!(error instanceof ConfigError)) throw error;
+}
+
+export default settings;
@@ -0,0 +1,189 @@
+import fs from 'fs';
+import path from 'path';
+import { performance } from 'perf_hooks';
+import { TABLES } from './sqliteSchema.js';
+import settings from './settings.js';
+import { createLogger } from '../logger.js';
+import { observeQuery, observeTransaction } from '../metrics.js';
+
+const logger = createLogger('database');
+
+const DATE_TYPE = /^(DATETIME|TIMESTAMP)$/i;
+
+// SQLite stores timestamps as UTC text in the same format as CURRENT_TIMESTAMP,
+// which keeps comparisons against it correct
+const toParam = (value) => {
+    if (value === undefined) return null;
+    if (value instanceof Date) return value.toISOString().slice(0, 19).replace('T', ' ');
+    if (typeof value === 'boolean') return value ? 1 : 0;
+    return value;
+};
+
+const toDate = (value) => (typeof value === 'string' ? new Date(`${value.replace(' ', 'T')}Z`) : value);
+
+// File-based storage with the same interface as the MySQL DatabaseManager.
+// better-sqlite3 is synchronous; methods stay async so callers don't care.
+class SqliteDatabaseManager {
+    constructor() {
+        this.client = 'sqlite';
+        this.db = null;
+        this.statements = new Map();
+        this.config = null;
+
+        // SQL fragments that differ between MySQL and SQLite
+        this.dialect = {
+            secondsFromNow: (seconds) => `datetime('now', (${seconds}) || ' seconds')`,
+            secondsUntil: (column) => `(unixepoch(${column}) - unixepoch('now'))`,
+            inserted: (column) => `excluded.${column}`,
+            upsert: (key, updates) => `ON CONFLICT (${key}) DO UPDATE SET ${
+                Object.entries(updates).map(([column, value]) => `${column} = ${value}`).join(', ')
+            }`
+        };
+    }
+
+    async initialize() {
+        try {
+            let Database;
+            try {
+                ({ default: Database } = await import('better-sqlite3'));
+            } catch {
+                throw new Error('DB_CLIENT=sqlite needs the better-sqlite3 package (npm install better-sqlite3)');
+            }
+
+            this.config = { file: path.resolve(settings.get('db.file')) };
+            fs.mkdirSync(path.dirname(this.config.file), { recursive: true });
+            this.db = new Database(this.config.file);
+            this.db.pragma('journal_mode = WAL');
+            this.db.pragma('busy_timeout = 5000');
+            this.applySchema();
+
+            logger.info(`✅ SQLite database ready at ${this.config.file}`);
+            return true;
+        } catch (error) {
+            logger.error('❌ Database connection failed', { error });
+            throw error;
+        }
+    }
+
+    applySchema() {
+        this.db.transaction(() => {
+            for (const [table, { columns, indexes = {}, uniqueIndexes = {} }] of Object.entries(TABLES)) {
+                const definitions = Object.entries(columns).map(([name, type]) => `${name} ${type}`);
+                this.db.exec(`CREATE TABLE IF NOT EXISTS ${table} (${definitions.join(', ')})`);
+
+                const existing = new Set(this.db.pragma(`table_info(${table})`).map(column => column.name));
+                for (const [name, type] of Object.entries(columns)) {
+                    if (!existing.has(name)) {
+                        this.db.exec(`ALTER TABLE ${table} ADD COLUMN ${name} ${type}`);
+                    }
+                }
+
+                for (const [name, indexColumns] of Object.entries(uniqueIndexes)) {
+                    this.db.exec(`CREATE UNIQUE INDEX IF NOT EXISTS ${name} ON ${table} (${indexColumns})`);
+                }
+                for (const [name, indexColumns] of Object.entries(indexes)) {
+                    this.db.exec(`CREATE INDEX IF NOT EXISTS ${name} ON ${table} (${indexColumns})`);
+                }
+            }
+        })();
+    }
+
+    async getConnection() {
+        if (!this.db) {
+            await this.initialize();
+        }
+        return this.db;
+    }
+
+    // Statements are prepared once; the date columns of each are remembered
+    // so rows come back with Date objects, like mysql2 returns them
+    prepare(query) {
+        let entry = this.statements.get(query);
+        if (!entry) {
+            const statement = this.db.prepare(query);
+            const dateColumns = statement.reader
+                ? statement.columns().filter(column => DATE_TYPE.test(column.type || '')).map(column => column.name)
+                : [];
+            entry = { statement, dateColumns };
+            this.statements.set(query, entry);
+        }
+        return entry;
+    }
+
+    convertRow(row, dateColumns) {
+        for (const column of dateColumns) {
+            row[column] = toDate(row[column]);
+        }
+        return row;
+    }
+
+    run(query, params = []) {
+        const { statement, dateColumns } = this.prepare(query);
+        const values = params.map(toParam);
+
+        if (statement.reader) {
+            return statement.all(values).map(row => this.convertRow(row, dateColumns));
+        }
+
+        const result = statement.run(values);
+        return { affectedRows: result.changes, insertId: Number(result.lastInsertRowid) };
+    }
+
+    async execute(query, params = []) {
+        await this.getConnection();
+        try {
+            const startedAt = performance.now();
+            const results = this.run(query, params);
+            observeQuery(query, startedAt);
+            return results;
+        } catch (error) {
+            logger.error('❌ Query execution failed', { error, sql: query });
+            throw error;
+        }
+    }
+
+    async query(query, params = []) {
+        await this.getConnection();
+        try {
+            const startedAt = performance.now();
+            const results = this.run(query, params);
+            observeQuery(query, startedAt);
+            return results;
+        } catch (error) {
+            logger.error('❌ Query failed', { error, sql: query });
+            throw error;
+        }
+    }
+
+    async *stream(query, params = []) {
+        await this.getConnection();
+        const { statement, dateColumns } = this.prepare(query);
+        for (const row of statement.iterate(params.map(toParam))) {
+            yield this.convertRow(row, dateColumns);
+        }
+    }
+
+    async transaction(queries) {
+        await this.getConnection();
+        try {
+            const startedAt = performance.now();
+            const results = this.db.transaction(() => queries.map(({ query, params }) => this.run(query, params)))();
+            observeTransaction(startedAt);
+            return results;
+        } catch (error) {
+            logger.error('❌ Transaction failed', { error });
+            throw error;
+        }
+    }
+
+    async close() {
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+            this.statements.clear();
+            logger.info('🔒 Database connections closed');
+        }
+    }
+}
+
+export default SqliteDatabaseManager;
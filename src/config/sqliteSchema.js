@@ -0,0 +1,268 @@
+// SQLite counterpart of the MySQL migrations. Missing tables, columns and
+// indexes are created on every start, so new columns must not use a
+// non-constant default (SQLite can't ALTER TABLE ADD those). ENUM columns are
+// plain TEXT; the application only ever writes valid values.
+// `uniqueIndexes` are created like `indexes`, but as UNIQUE.
+
+// Status, lease and retry columns shared by the job queues (steam_ids, match_jobs)
+const JOB_COLUMNS = {
+    id: 'INTEGER PRIMARY KEY AUTOINCREMENT',
+    steam_id64: 'TEXT NOT NULL UNIQUE',
+    status: "TEXT DEFAULT 'pending'",
+    priority: 'INTEGER DEFAULT 1',
+    created_at: 'DATETIME DEFAULT CURRENT_TIMESTAMP',
+    updated_at: 'DATETIME DEFAULT CURRENT_TIMESTAMP',
+    claimed_by: 'TEXT',
+    claimed_at: 'DATETIME',
+    lease_token: 'TEXT',
+    lease_expires_at: 'DATETIME',
+    heartbeat_at: 'DATETIME',
+    attempts: 'INTEGER NOT NULL DEFAULT 0',
+    next_attempt_at: 'DATETIME',
+    last_error: 'TEXT',
+    last_error_type: 'TEXT',
+    last_outcome: 'TEXT',
+    provider: 'TEXT'
+};
+
+// Numeric columns shared by player_stats and player_stats_history
+const STAT_COLUMNS = {
+    kd_ratio: 'REAL',
+    hltv_rating: 'REAL',
+    win_rate: 'REAL',
+    headshot_percentage: 'REAL',
+    adr: 'REAL',
+    matches_played: 'INTEGER',
+    matches_won: 'INTEGER',
+    matches_lost: 'INTEGER',
+    matches_tied: 'INTEGER DEFAULT 0',
+    kills: 'INTEGER',
+    deaths: 'INTEGER',
+    assists: 'INTEGER',
+    headshots: 'INTEGER',
+    total_damage: 'INTEGER',
+    rounds_played: 'INTEGER',
+    clutch_success: 'REAL',
+    entry_success: 'REAL'
+};
+
+export const TABLES = {
+    steam_ids: {
+        columns: {
+            ...JOB_COLUMNS,
+            // Hops from a hand-added seed; NULL for the seeds themselves
+            discovery_depth: 'INTEGER',
+            discovered_from: 'TEXT',
+            tag: 'TEXT'
+        },
+        indexes: {
+            idx_steam_ids_status: 'status',
+            idx_steam_ids_priority: 'priority',
+            idx_steam_ids_created: 'created_at',
+            idx_steam_ids_lease: 'status, lease_expires_at',
+            idx_steam_ids_claimed_by: 'claimed_by',
+            idx_steam_ids_lease_token: 'lease_token',
+            idx_steam_ids_next_attempt: 'status, next_attempt_at',
+            idx_steam_ids_last_outcome: 'last_outcome',
+            idx_steam_ids_discovery_depth: 'discovery_depth',
+            idx_steam_ids_tag: 'tag'
+        }
+    },
+
+    player_stats: {
+        columns: {
+            id: 'INTEGER PRIMARY KEY AUTOINCREMENT',
+            steam_id64: 'TEXT NOT NULL UNIQUE',
+            player_name: 'TEXT',
+            profile_url: 'TEXT',
+            ...STAT_COLUMNS,
+            last_scraped: 'DATETIME DEFAULT CURRENT_TIMESTAMP',
+            scrape_success: 'BOOLEAN DEFAULT 1',
+            error_message: 'TEXT',
+            source: 'TEXT',
+            quality_flags: 'TEXT'
+        },
+        indexes: {
+            idx_player_stats_player_name: 'player_name',
+            idx_player_stats_last_scraped: 'last_scraped',
+            idx_player_stats_kd_ratio: 'kd_ratio',
+            idx_player_stats_matches_played: 'matches_played',
+            idx_player_stats_source: 'source'
+        }
+    },
+
+    stats_quarantine: {
+        columns: {
+            id: 'INTEGER PRIMARY KEY AUTOINCREMENT',
+            steam_id64: 'TEXT NOT NULL',
+            source: 'TEXT',
+            data: 'TEXT NOT NULL',
+            quality_flags: 'TEXT NOT NULL',
+            quality_messages: 'TEXT',
+            created_at: 'DATETIME DEFAULT CURRENT_TIMESTAMP'
+        },
+        indexes: {
+            idx_stats_quarantine_steam_id: 'steam_id64',
+            idx_stats_quarantine_created: 'created_at'
+        }
+    },
+
+    player_stats_history: {
+        columns: {
+            id: 'INTEGER PRIMARY KEY AUTOINCREMENT',
+            steam_id64: 'TEXT NOT NULL',
+            player_name: 'TEXT',
+            ...STAT_COLUMNS,
+            source: 'TEXT',
+            scraped_at: 'DATETIME DEFAULT CURRENT_TIMESTAMP'
+        },
+        indexes: {
+            idx_player_stats_history_steam_id_scraped: 'steam_id64, scraped_at',
+            idx_player_stats_history_scraped: 'scraped_at'
+        }
+    },
+
+    scrape_logs: {
+        columns: {
+            id: 'INTEGER PRIMARY KEY AUTOINCREMENT',
+            steam_id64: 'TEXT NOT NULL',
+            status: 'TEXT NOT NULL',
+            outcome: 'TEXT',
+            message: 'TEXT',
+            execution_time: 'INTEGER',
+            stats_extracted: 'INTEGER DEFAULT 0',
+            created_at: 'DATETIME DEFAULT CURRENT_TIMESTAMP',
+            job_type: "TEXT NOT NULL DEFAULT 'profile'"
+        },
+        indexes: {
+            idx_scrape_logs_steam_id: 'steam_id64',
+            idx_scrape_logs_status: 'status',
+            idx_scrape_logs_created: 'created_at',
+            idx_scrape_logs_outcome: 'outcome',
+            idx_scrape_logs_job_type: 'job_type'
+        }
+    },
+
+    page_archive: {
+        columns: {
+            id: 'INTEGER PRIMARY KEY AUTOINCREMENT',
+            steam_id64: 'TEXT NOT NULL',
+            source: 'TEXT NOT NULL',
+            url: 'TEXT',
+            outcome: 'TEXT',
+            content_hash: 'TEXT NOT NULL',
+            html_size: 'INTEGER NOT NULL',
+            html_gzip: 'BLOB NOT NULL',
+            scraped_at: 'DATETIME DEFAULT CURRENT_TIMESTAMP'
+        },
+        indexes: {
+            idx_page_archive_steam_id_scraped: 'steam_id64, scraped_at',
+            idx_page_archive_content_hash: 'content_hash'
+        }
+    },
+
+    player_map_stats: {
+        columns: {
+            id: 'INTEGER PRIMARY KEY AUTOINCREMENT',
+            steam_id64: 'TEXT NOT NULL',
+            map_name: 'TEXT NOT NULL',
+            matches_played: 'INTEGER',
+            matches_won: 'INTEGER',
+            matches_lost: 'INTEGER',
+            win_rate: 'REAL',
+            kd_ratio: 'REAL',
+            adr: 'REAL',
+            kills: 'INTEGER',
+            deaths: 'INTEGER',
+            source: 'TEXT',
+            last_scraped: 'DATETIME DEFAULT CURRENT_TIMESTAMP'
+        },
+        uniqueIndexes: {
+            idx_player_map_stats_steam_id_map: 'steam_id64, map_name'
+        },
+        indexes: {
+            idx_player_map_stats_map_win_rate: 'map_name, win_rate'
+        }
+    },
+
+    player_weapon_stats: {
+        columns: {
+            id: 'INTEGER PRIMARY KEY AUTOINCREMENT',
+            steam_id64: 'TEXT NOT NULL',
+            weapon_name: 'TEXT NOT NULL',
+            kills: 'INTEGER',
+            headshots: 'INTEGER',
+            headshot_percentage: 'REAL',
+            accuracy: 'REAL',
+            shots: 'INTEGER',
+            hits: 'INTEGER',
+            damage: 'INTEGER',
+            source: 'TEXT',
+            last_scraped: 'DATETIME DEFAULT CURRENT_TIMESTAMP'
+        },
+        uniqueIndexes: {
+            idx_player_weapon_stats_steam_id_weapon: 'steam_id64, weapon_name'
+        },
+        indexes: {
+            idx_player_weapon_stats_weapon_kills: 'weapon_name, kills'
+        }
+    },
+
+    matches: {
+        columns: {
+            id: 'INTEGER PRIMARY KEY AUTOINCREMENT',
+            source: 'TEXT NOT NULL',
+            source_match_id: 'TEXT NOT NULL',
+            url: 'TEXT',
+            map_name: 'TEXT',
+            played_at: 'DATETIME',
+            team1_score: 'INTEGER',
+            team2_score: 'INTEGER',
+            created_at: 'DATETIME DEFAULT CURRENT_TIMESTAMP',
+            updated_at: 'DATETIME DEFAULT CURRENT_TIMESTAMP'
+        },
+        uniqueIndexes: {
+            idx_matches_source_match: 'source, source_match_id'
+        },
+        indexes: {
+            idx_matches_played_at: 'played_at',
+            idx_matches_map_name: 'map_name'
+        }
+    },
+
+    match_players: {
+        columns: {
+            id: 'INTEGER PRIMARY KEY AUTOINCREMENT',
+            match_id: 'INTEGER NOT NULL REFERENCES matches (id) ON DELETE CASCADE',
+            steam_id64: 'TEXT NOT NULL',
+            player_name: 'TEXT',
+            team: 'INTEGER',
+            result: 'TEXT',
+            kills: 'INTEGER',
+            deaths: 'INTEGER',
+            assists: 'INTEGER',
+            adr: 'REAL',
+            headshot_percentage: 'REAL',
+            rating: 'REAL',
+            mvps: 'INTEGER'
+        },
+        uniqueIndexes: {
+            idx_match_players_match_player: 'match_id, steam_id64'
+        },
+        indexes: {
+            idx_match_players_steam_id: 'steam_id64'
+        }
+    },
+
+    match_jobs: {
+        columns: JOB_COLUMNS,
+        indexes: {
+            idx_match_jobs_status: 'status',
+            idx_match_jobs_priority: 'priority',
+            idx_match_jobs_lease: 'status, lease_expires_at',
+            idx_match_jobs_claimed_by: 'claimed_by',
+            idx_match_jobs_lease_token: 'lease_token',
+            idx_match_jobs_next_attempt: 'status, next_attempt_at'
+        }
+    }
+};
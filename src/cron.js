@@ -0,0 +1,88 @@
+// Minimal five-field cron expressions ("minute hour day-of-month month
+// day-of-week") in local time. Each field is "*", a number, a range "a-b",
+// a step "*/n" or "a-b/n", or a comma-separated list of those.
+const FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12 },
+    { name: 'day of week', min: 0, max: 7 } // 0 and 7 are both Sunday
+];
+
+const ALIASES = {
+    '@hourly': '0 * * * *',
+    '@daily': '0 0 * * *',
+    '@weekly': '0 0 * * 0',
+    '@monthly': '0 0 1 * *'
+};
+
+// Don't look further ahead than this for a matching minute
+const MAX_SEARCH_MINUTES = 366 * 24 * 60;
+
+function parseField(text, { name, min, max }) {
+    const values = new Set();
+
+    for (const part of text.split(',')) {
+        const match = part.match(/^(\*|\d+)(?:-(\d+))?(?:\/(\d+))?$/);
+        if (!match) {
+            throw new Error(`Invalid cron ${name} "${part}"`);
+        }
+
+        const [, start, end, step] = match;
+        const from = start === '*' ? min : Number(start);
+        const to = end !== undefined ? Number(end) : (start === '*' || step ? max : from);
+        const every = step ? Number(step) : 1;
+
+        if (from < min || to > max || from > to || every < 1) {
+            throw new Error(`Cron ${name} "${part}" is out of range (${min}-${max})`);
+        }
+        for (let value = from; value <= to; value += every) {
+            values.add(name === 'day of week' ? value % 7 : value);
+        }
+    }
+
+    return values;
+}
+
+export function parseCron(expression) {
+    const text = String(expression || '').trim();
+    const fields = (ALIASES[text] || text).split(/\s+/);
+    if (fields.length !== 5) {
+        throw new Error(`Cron expression "${text}" must have 5 fields (minute hour day month weekday)`);
+    }
+
+    const [minutes, hours, days, months, weekdays] = fields.map((field, index) => parseField(field, FIELDS[index]));
+    return {
+        expression: text,
+        minutes,
+        hours,
+        days,
+        months,
+        weekdays,
+        // Like cron: when both day fields are restricted either one may match
+        anyDay: fields[2] === '*' || fields[4] === '*'
+    };
+}
+
+export function matchesCron(cron, date) {
+    const dayOfMonth = cron.days.has(date.getDate());
+    const dayOfWeek = cron.weekdays.has(date.getDay());
+
+    return cron.minutes.has(date.getMinutes())
+        && cron.hours.has(date.getHours())
+        && cron.months.has(date.getMonth() + 1)
+        && (cron.anyDay ? dayOfMonth && dayOfWeek : dayOfMonth || dayOfWeek);
+}
+
+// The first matching minute strictly after `from`
+export function nextCronRun(cron, from = new Date()) {
+    const date = new Date(from);
+    date.setSeconds(0, 0);
+
+    for (let i = 0; i < MAX_SEARCH_MINUTES; i++) {
+        date.setMinutes(date.getMinutes() + 1);
+        if (matchesCron(cron, date)) return date;
+    }
+
+    throw new Error(`Cron expression "${cron.expression}" never matches`);
+}
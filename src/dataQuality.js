@@ -0,0 +1,228 @@
+import { STAT_FIELDS } from './parsers/stats.parser.js';
+import DatabaseService from './services/database.service.js';
+import settings from './config/settings.js';
+
+// What happens to stats with an error-level flag:
+//   flag        save them anyway, with the flags stored on the row
+//   quarantine  keep the player's previous stats, park the new ones in
+//               stats_quarantine for review and fail the scrape
+//   reject      drop them and fail the scrape
+// Warnings are always just flagged.
+export const QUALITY_MODES = ['flag', 'quarantine', 'reject'];
+
+// Plausible values per column; anything outside is an error
+const RANGES = {
+    kd_ratio: [0, 20],
+    hltv_rating: [0, 5],
+    win_rate: [0, 100],
+    headshot_percentage: [0, 100],
+    adr: [0, 500],
+    clutch_success: [0, 100],
+    entry_success: [0, 100]
+};
+
+const present = (value) => value !== null && value !== undefined && value !== '';
+
+// Differences smaller than this are rounding on the site's side
+const PERCENT_TOLERANCE = 5;
+const RATIO_TOLERANCE = 0.05;
+
+const differs = (actual, expected, tolerance) => Math.abs(actual - expected) > tolerance;
+
+// Cross-field checks, each returning a message when the row fails it
+const CHECKS = [
+    {
+        code: 'matches_sum_mismatch',
+        severity: 'error',
+        applies: (s) => present(s.matches_played) && present(s.matches_won) && present(s.matches_lost),
+        test: (s) => {
+            const sum = s.matches_won + s.matches_lost + (s.matches_tied ?? 0);
+            return sum !== s.matches_played
+                && `won + lost + tied = ${sum}, but matches_played = ${s.matches_played}`;
+        }
+    },
+    {
+        code: 'kd_mismatch',
+        severity: 'error',
+        applies: (s) => present(s.kills) && present(s.deaths) && present(s.kd_ratio) && s.deaths > 0,
+        test: (s) => {
+            const kd = s.kills / s.deaths;
+            return differs(kd, s.kd_ratio, Math.max(RATIO_TOLERANCE, s.kd_ratio * RATIO_TOLERANCE))
+                && `kills / deaths = ${kd.toFixed(2)}, but kd_ratio = ${s.kd_ratio}`;
+        }
+    },
+    {
+        code: 'headshots_exceed_kills',
+        severity: 'error',
+        applies: (s) => present(s.headshots) && present(s.kills),
+        test: (s) => s.headshots > s.kills && `headshots (${s.headshots}) > kills (${s.kills})`
+    },
+    {
+        code: 'headshot_percentage_mismatch',
+        severity: 'warning',
+        applies: (s) => present(s.headshots) && present(s.kills) && present(s.headshot_percentage) && s.kills > 0,
+        test: (s) => {
+            const percentage = s.headshots / s.kills * 100;
+            return differs(percentage, s.headshot_percentage, PERCENT_TOLERANCE)
+                && `headshots / kills = ${percentage.toFixed(1)}%, but headshot_percentage = ${s.headshot_percentage}`;
+        }
+    },
+    {
+        code: 'win_rate_mismatch',
+        severity: 'warning',
+        applies: (s) => present(s.matches_won) && present(s.matches_played) && present(s.win_rate) && s.matches_played > 0,
+        test: (s) => {
+            const rate = s.matches_won / s.matches_played * 100;
+            return differs(rate, s.win_rate, PERCENT_TOLERANCE)
+                && `won / played = ${rate.toFixed(1)}%, but win_rate = ${s.win_rate}`;
+        }
+    },
+    {
+        code: 'adr_mismatch',
+        severity: 'warning',
+        applies: (s) => present(s.total_damage) && present(s.rounds_played) && present(s.adr) && s.rounds_played > 0,
+        test: (s) => {
+            const adr = s.total_damage / s.rounds_played;
+            return differs(adr, s.adr, Math.max(1, s.adr * 0.1))
+                && `total_damage / rounds_played = ${adr.toFixed(1)}, but adr = ${s.adr}`;
+        }
+    },
+    {
+        code: 'rounds_below_matches',
+        severity: 'warning',
+        applies: (s) => present(s.rounds_played) && present(s.matches_played),
+        test: (s) => s.rounds_played < s.matches_played
+            && `rounds_played (${s.rounds_played}) < matches_played (${s.matches_played})`
+    }
+];
+
+// Checks one player_stats row (or scrape result). Returns the flags found,
+// each { code, severity, message }, and the worst severity (null when clean).
+export function validatePlayerStats(data) {
+    const stats = Object.fromEntries(
+        Object.keys(STAT_FIELDS)
+            .filter(field => present(data[field]))
+            .map(field => [field, Number(data[field])])
+    );
+    const flags = [];
+
+    for (const [field, value] of Object.entries(stats)) {
+        const [min, max] = RANGES[field] || [0, Infinity];
+        if (Number.isNaN(value) || value < min || value > max) {
+            flags.push({
+                code: `out_of_range:${field}`,
+                severity: 'error',
+                message: `${field} = ${data[field]} is outside ${min}-${max === Infinity ? '∞' : max}`
+            });
+        }
+    }
+
+    for (const { code, severity, applies, test } of CHECKS) {
+        const message = applies(stats) && test(stats);
+        if (message) flags.push({ code, severity, message });
+    }
+
+    const severity = flags.some(flag => flag.severity === 'error')
+        ? 'error'
+        : (flags.length > 0 ? 'warning' : null);
+    return { flags, severity };
+}
+
+// Flags as stored in player_stats.quality_flags; NULL for clean rows
+export const serializeFlags = (flags) => flags.length > 0 ? flags.map(flag => flag.code).join(',') : null;
+
+export class DataQualityPolicy {
+    constructor(options = {}) {
+        this.mode = options.mode || settings.get('quality.mode');
+        if (!QUALITY_MODES.includes(this.mode)) {
+            throw new Error(`Data quality mode must be one of ${QUALITY_MODES.join(', ')}, got "${this.mode}"`);
+        }
+    }
+
+    // Returns { flags, severity, action } where action is save, quarantine or reject
+    review(data) {
+        const result = validatePlayerStats(data);
+        const action = result.severity === 'error' && this.mode !== 'flag' ? this.mode : 'save';
+        return { ...result, action };
+    }
+}
+
+export function describeFlags(flags) {
+    return flags.map(flag => flag.message).join('; ');
+}
+
+// Re-validates every stored player_stats row, so rows saved before a check
+// existed are covered too. With `updateFlags` the stored flags are brought
+// up to date. `limit` caps how many flagged players are listed, errors first.
+export async function buildAnomalyReport({ limit = 50, updateFlags = false } = {}) {
+    const report = { scanned: 0, flagged: 0, errors: 0, warnings: 0, by_code: {}, players: [], flags_updated: 0 };
+    const listed = { error: [], warning: [] };
+    const changed = [];
+
+    for await (const row of DatabaseService.streamPlayerStatsForQuality()) {
+        report.scanned++;
+        const { flags, severity } = validatePlayerStats(row);
+        const stored = serializeFlags(flags);
+        if (updateFlags && (row.quality_flags ?? null) !== stored) changed.push([row.steam_id64, stored]);
+        if (!severity) continue;
+
+        report.flagged++;
+        report[severity === 'error' ? 'errors' : 'warnings']++;
+        flags.forEach(({ code }) => {
+            report.by_code[code] = (report.by_code[code] || 0) + 1;
+        });
+        if (listed[severity].length >= limit) continue;
+        listed[severity].push({
+            steam_id64: row.steam_id64,
+            player_name: row.player_name,
+            severity,
+            flags: flags.map(({ code, message }) => ({ code, message }))
+        });
+    }
+
+    // Written afterwards, as SQLite can't write while a query is being read
+    if (updateFlags) {
+        for (const [steamId64, flags] of changed) {
+            await DatabaseService.updateQualityFlags(steamId64, flags);
+        }
+        report.flags_updated = changed.length;
+    }
+
+    report.players = [...listed.error, ...listed.warning].slice(0, limit);
+    report.quarantined = await DatabaseService.countQuarantinedStats();
+    return report;
+}
+
+export function printAnomalyReport(report) {
+    console.log(`\n🔍 Data quality report (${report.scanned} players)`);
+    console.log(`   ❌ Errors: ${report.errors}`);
+    console.log(`   ⚠️ Warnings only: ${report.warnings}`);
+    console.log(`   🧪 Quarantined results: ${report.quarantined}`);
+    if (report.flags_updated > 0) {
+        console.log(`   🏷️ Updated stored flags of ${report.flags_updated} players`);
+    }
+
+    Object.entries(report.by_code)
+        .sort(([, a], [, b]) => b - a)
+        .forEach(([code, count]) => console.log(`      ${code}: ${count}`));
+
+    report.players.forEach(player => {
+        console.log(`   ${player.severity === 'error' ? '❌' : '⚠️'} ${player.steam_id64} ${player.player_name || 'Unknown'}`);
+        player.flags.forEach(flag => console.log(`      ${flag.code}: ${flag.message}`));
+    });
+}
+
+// Accepts a quarantined result after review: it is saved like a normal
+// scrape and the Steam ID is marked completed
+export async function releaseQuarantined(id) {
+    const [entry] = await DatabaseService.getQuarantinedStats(1, id);
+    if (!entry) return null;
+
+    await DatabaseService.savePlayerStats(entry.steam_id64, entry.data, {
+        scrapedAt: entry.created_at,
+        qualityFlags: entry.quality_flags
+    });
+    await DatabaseService.markSteamIdCompleted(entry.steam_id64);
+    await DatabaseService.deleteQuarantinedStats(id);
+    return entry;
+}
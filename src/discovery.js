@@ -0,0 +1,103 @@
+import { readFileSync } from 'fs';
+import DatabaseService from './services/database.service.js';
+import settings from './config/settings.js';
+import { toSteamId64 } from './steamId.js';
+import { JOB_TYPES } from './jobTypes.js';
+
+// "7656…,STEAM_0:1:123,@seeds/deny.txt": IDs in any supported format, or
+// files with one ID per line (# starts a comment)
+export function parseIdList(value) {
+    const entries = Array.isArray(value) ? value : String(value || '').split(',');
+    const ids = new Set();
+
+    for (const entry of entries.map(item => String(item).trim()).filter(Boolean)) {
+        if (entry.startsWith('@')) {
+            const lines = readFileSync(entry.slice(1), 'utf8').split(/\r?\n/);
+            parseIdList(lines.map(line => line.replace(/#.*/, '')))
+                .forEach(id => ids.add(id));
+            continue;
+        }
+
+        const { steamId64, error } = toSteamId64(entry);
+        if (error) {
+            throw new Error(`Invalid Steam ID "${entry}" in discovery list: ${error}`);
+        }
+        ids.add(steamId64);
+    }
+
+    return ids;
+}
+
+// Grows the queue from the players seen on scraped pages. Players added by
+// hand are seeds (depth 0); everyone found on a depth N player's pages is at
+// depth N + 1 and queued with a lower priority, so the crawl works outwards
+// from the seeds. Nothing beyond maxDepth is queued, and nothing at all while
+// maxQueue Steam IDs are already pending.
+class Discovery {
+    constructor(options = {}) {
+        this.enabled = options.enabled ?? settings.get('discovery.enabled');
+        this.maxDepth = options.maxDepth || settings.get('discovery.maxDepth');
+        this.maxQueue = options.maxQueue || settings.get('discovery.maxQueue');
+        this.basePriority = options.basePriority ?? settings.get('discovery.basePriority');
+        this.priorityStep = options.priorityStep || settings.get('discovery.priorityStep');
+        // With an allow list only the listed players are ever queued
+        this.allow = parseIdList(options.allow ?? settings.get('discovery.allow'));
+        this.deny = parseIdList(options.deny ?? settings.get('discovery.deny'));
+    }
+
+    priorityFor(depth) {
+        return this.basePriority - (depth - 1) * this.priorityStep;
+    }
+
+    accepts(steamId64) {
+        return !this.deny.has(steamId64) && (this.allow.size === 0 || this.allow.has(steamId64));
+    }
+
+    // Queues the players seen on `steamId64`'s pages. Players found through
+    // match history also get a match job so the crawl keeps following matches.
+    // Returns { queued, depth, skipped } where skipped says why nothing was queued.
+    async discover(steamId64, seenIds, { jobType = JOB_TYPES.PROFILE, provider = null } = {}) {
+        const depth = await DatabaseService.getDiscoveryDepth(steamId64) + 1;
+        if (depth > this.maxDepth) {
+            return { queued: 0, depth, skipped: 'max depth reached' };
+        }
+
+        const candidates = [...new Set(seenIds)].filter(id => id !== steamId64 && this.accepts(id));
+        if (candidates.length === 0) {
+            return { queued: 0, depth, skipped: null };
+        }
+
+        const existing = await DatabaseService.getExistingSteamIds(candidates);
+        const room = this.maxQueue - await DatabaseService.countPendingSteamIds();
+        if (room <= 0) {
+            return { queued: 0, depth, skipped: 'queue is full' };
+        }
+
+        const steamIds = candidates.filter(id => !existing.has(id)).slice(0, room);
+        if (steamIds.length === 0) {
+            return { queued: 0, depth, skipped: null };
+        }
+
+        const priority = this.priorityFor(depth);
+        await DatabaseService.addDiscoveredSteamIds(steamIds, { priority, depth, discoveredFrom: steamId64, provider });
+        if (jobType === JOB_TYPES.MATCHES) {
+            await DatabaseService.addMatchJobs(steamIds.map(id => [id, priority, provider]));
+        }
+
+        return { queued: steamIds.length, depth, skipped: null };
+    }
+
+    getSettings() {
+        return {
+            enabled: this.enabled,
+            max_depth: this.maxDepth,
+            max_queue: this.maxQueue,
+            base_priority: this.basePriority,
+            priority_step: this.priorityStep,
+            allow: this.allow.size,
+            deny: this.deny.size
+        };
+    }
+}
+
+export default Discovery;
@@ -0,0 +1,81 @@
+import fs from 'fs';
+import { once } from 'events';
+import DatabaseService from './services/database.service.js';
+
+export const EXPORT_FORMATS = ['csv', 'json', 'ndjson'];
+
+const formatValue = (value) => {
+    if (value instanceof Date) return value.toISOString();
+    if (Buffer.isBuffer(value)) return value.toString('utf8');
+    return value;
+};
+
+const csvCell = (value) => {
+    const formatted = formatValue(value);
+    if (formatted === null || formatted === undefined) return '';
+    const text = String(formatted);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toRecord = (row, columns) =>
+    Object.fromEntries(columns.map(column => [column, formatValue(row[column]) ?? null]));
+
+// Each formatter turns rows into chunks of text: header, row, footer
+const FORMATTERS = {
+    csv: {
+        header: (columns) => `${columns.join(',')}\n`,
+        row: (row, columns, index) => `${columns.map(column => csvCell(row[column])).join(',')}\n`,
+        footer: () => ''
+    },
+    json: {
+        header: () => '[\n',
+        row: (row, columns, index) => `${index > 0 ? ',\n' : ''}${JSON.stringify(toRecord(row, columns))}`,
+        footer: (count) => (count > 0 ? '\n]\n' : ']\n')
+    },
+    ndjson: {
+        header: () => '',
+        row: (row, columns) => `${JSON.stringify(toRecord(row, columns))}\n`,
+        footer: () => ''
+    }
+};
+
+// Respect backpressure so a slow disk or pipe never makes us buffer rows
+async function write(output, chunk) {
+    if (chunk && !output.write(chunk)) {
+        await once(output, 'drain');
+    }
+}
+
+// Streams a dataset (stats, history or logs) to `output` in the chosen format.
+// Returns the number of rows written.
+export async function exportData({ dataset = 'stats', format = 'csv', output = process.stdout, filters = {} } = {}) {
+    const formatter = FORMATTERS[format];
+    if (!formatter) {
+        throw new Error(`Unsupported format "${format}" (use ${EXPORT_FORMATS.join(', ')})`);
+    }
+
+    const { columns, rows } = DatabaseService.streamExport(dataset, filters);
+
+    let count = 0;
+    await write(output, formatter.header(columns));
+    for await (const row of rows) {
+        await write(output, formatter.row(row, columns, count));
+        count++;
+    }
+    await write(output, formatter.footer(count));
+
+    return count;
+}
+
+export async function exportToFile(filePath, options = {}) {
+    const output = fs.createWriteStream(filePath);
+    try {
+        const count = await exportData({ ...options, output });
+        output.end();
+        await once(output, 'finish');
+        return count;
+    } catch (error) {
+        output.destroy();
+        throw error;
+    }
+}
@@ -0,0 +1,196 @@
+import fs from 'fs/promises';
+import path from 'path';
+import DatabaseService from './services/database.service.js';
+import { toSteamId64 } from './steamId.js';
+import { getProvider } from './providers/index.js';
+
+const ID_COLUMNS = ['steam_id64', 'steam_id', 'steamid', 'steamid64', 'id', 'profile', 'url'];
+const PRIORITY_COLUMNS = ['priority'];
+const INSERT_CHUNK = 1000;
+
+// Splits one CSV line, honouring double-quoted fields with "" escapes
+function splitCsvLine(line) {
+    const fields = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (quoted) {
+            if (char === '"' && line[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',' || char === ';') {
+            fields.push(field.trim());
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    fields.push(field.trim());
+    return fields;
+}
+
+// Every parser returns rows of { line, input, priority }
+function parseTxt(content) {
+    return content.split(/\r?\n/)
+        .map((text, index) => ({ text: text.trim(), line: index + 1 }))
+        .filter(({ text }) => text && !text.startsWith('#'))
+        .map(({ text, line }) => {
+            const [input, priority] = text.split(/\s+/);
+            return { line, input, priority };
+        });
+}
+
+function parseCsv(content) {
+    const lines = content.split(/\r?\n/)
+        .map((text, index) => ({ fields: splitCsvLine(text), line: index + 1, blank: !text.trim() }))
+        .filter(({ blank }) => !blank);
+    if (lines.length === 0) return [];
+
+    const header = lines[0].fields.map(field => field.toLowerCase());
+    let idColumn = header.findIndex(field => ID_COLUMNS.includes(field));
+    let priorityColumn = header.findIndex(field => PRIORITY_COLUMNS.includes(field));
+
+    // Without a recognisable header: first column is the ID, second the priority
+    const hasHeader = idColumn !== -1;
+    if (!hasHeader) {
+        idColumn = 0;
+        priorityColumn = 1;
+    }
+
+    return lines.slice(hasHeader ? 1 : 0).map(({ fields, line }) => ({
+        line,
+        input: fields[idColumn],
+        priority: priorityColumn === -1 ? undefined : fields[priorityColumn]
+    }));
+}
+
+function parseJson(content) {
+    let data;
+    try {
+        data = JSON.parse(content);
+    } catch (error) {
+        throw new Error(`Invalid JSON: ${error.message}`);
+    }
+
+    const entries = Array.isArray(data) ? data : data?.steam_ids;
+    if (!Array.isArray(entries)) {
+        throw new Error('JSON must be an array or an object with a "steam_ids" array');
+    }
+
+    return entries.map((entry, index) => {
+        if (entry && typeof entry === 'object') {
+            const key = ID_COLUMNS.find(column => entry[column] !== undefined)
+                ?? Object.keys(entry).find(k => k.toLowerCase().replace(/[_-]/g, '') === 'steamid');
+            return { line: index + 1, input: key ? entry[key] : undefined, priority: entry.priority };
+        }
+        return { line: index + 1, input: entry, priority: undefined };
+    });
+}
+
+const PARSERS = { txt: parseTxt, csv: parseCsv, json: parseJson };
+
+export function detectFormat(filePath) {
+    const extension = path.extname(filePath).slice(1).toLowerCase();
+    return PARSERS[extension] ? extension : 'txt';
+}
+
+// Normalises and de-duplicates rows without touching the database.
+// Duplicates keep the highest priority they were listed with.
+export function normalizeRows(rows, defaultPriority = 1) {
+    const valid = new Map();
+    const invalid = [];
+    let duplicates = 0;
+
+    for (const row of rows) {
+        const { steamId64, error } = toSteamId64(row.input);
+        if (error) {
+            invalid.push({ line: row.line, input: row.input ?? null, reason: error });
+            continue;
+        }
+
+        let priority = defaultPriority;
+        if (row.priority !== undefined && row.priority !== null && row.priority !== '') {
+            priority = Number(row.priority);
+            if (!Number.isInteger(priority)) {
+                invalid.push({ line: row.line, input: row.input, reason: `invalid priority "${row.priority}"` });
+                continue;
+            }
+        }
+
+        if (valid.has(steamId64)) {
+            duplicates++;
+            valid.set(steamId64, Math.max(valid.get(steamId64), priority));
+        } else {
+            valid.set(steamId64, priority);
+        }
+    }
+
+    return { valid, invalid, duplicates };
+}
+
+// Imports Steam IDs from a TXT, CSV or JSON file. IDs already in the queue
+// are reported and left untouched. `provider` pins every new ID to a provider
+// and `tag` tags them for the refresh rules.
+export async function importSteamIds(filePath, { format = null, priority = 1, provider = null, tag = null, dryRun = false } = {}) {
+    const chosenFormat = format || detectFormat(filePath);
+    const parse = PARSERS[chosenFormat];
+    if (!parse) {
+        throw new Error(`Unsupported format "${chosenFormat}" (use txt, csv or json)`);
+    }
+    if (provider) {
+        getProvider(provider); // throws for unknown providers
+    }
+
+    const content = await fs.readFile(filePath, 'utf8');
+    const rows = parse(content.replace(/^\uFEFF/, ''));
+    const { valid, invalid, duplicates } = normalizeRows(rows, priority);
+
+    const existing = await DatabaseService.getExistingSteamIds([...valid.keys()]);
+    const toAdd = [...valid].filter(([steamId64]) => !existing.has(steamId64));
+
+    if (!dryRun) {
+        for (let i = 0; i < toAdd.length; i += INSERT_CHUNK) {
+            const chunk = toAdd.slice(i, i + INSERT_CHUNK)
+                .map(([steamId64, rowPriority]) => [steamId64, rowPriority, provider, tag]);
+            await DatabaseService.addMultipleSteamIds(chunk);
+        }
+    }
+
+    return {
+        file: filePath,
+        format: chosenFormat,
+        dry_run: dryRun,
+        provider,
+        tag,
+        rows: rows.length,
+        added: toAdd.map(([steamId64, rowPriority]) => ({ steam_id64: steamId64, priority: rowPriority })),
+        already_queued: [...existing],
+        duplicates,
+        invalid
+    };
+}
+
+export function printImportReport(report) {
+    const verb = report.dry_run ? 'Would add' : 'Added';
+    console.log(`\n📥 Import report for ${report.file} (${report.format}, ${report.rows} rows)`);
+    console.log(`   ✅ ${verb}: ${report.added.length}`);
+    console.log(`   📋 Already queued: ${report.already_queued.length}`);
+    console.log(`   🔁 Duplicates in file: ${report.duplicates}`);
+    console.log(`   ❌ Invalid: ${report.invalid.length}`);
+    report.invalid.slice(0, 20).forEach(({ line, input, reason }) => {
+        console.log(`      line ${line}: ${JSON.stringify(input)} - ${reason}`);
+    });
+    if (report.invalid.length > 20) {
+        console.log(`      ... and ${report.invalid.length - 20} more`);
+    }
+}
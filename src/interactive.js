@@ -0,0 +1,326 @@
+import ScraperManager from './scraperManager.js';
+import readline from 'readline';
+import { OUTCOMES } from './scrapeOutcome.js';
+import { importSteamIds, normalizeRows, printImportReport } from './importer.js';
+import settings, { SETTINGS, printSettings } from './config/settings.js';
+import { startMetricsServer } from './metrics.js';
+import shutdown from './shutdown.js';
+
+// Create readline interface for user interaction
+const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout
+});
+
+// Main application class
+class CS2StatsApp {
+    constructor() {
+        this.scraperManager = new ScraperManager();
+        this.isInitialized = false;
+    }
+
+    async initialize() {
+        try {
+            console.log('🎮 CS2 Stats Scraper - Database Edition');
+            console.log('=====================================\n');
+
+            // Initialize scraper manager
+            await this.scraperManager.initialize();
+            this.scraperManager.refreshScheduler.start();
+            if (settings.get('metrics.port') > 0) {
+                await startMetricsServer();
+            }
+            
+            this.isInitialized = true;
+            console.log('✅ Application initialized successfully!\n');
+        } catch (error) {
+            console.error('❌ Initialization failed:', error.message);
+            process.exit(1);
+        }
+    }
+
+    showMenu() {
+        console.log('\n📋 Available Commands:');
+        console.log('1. start     - Start scraping pending Steam IDs');
+        console.log('2. stop      - Stop the current scraping process');
+        console.log('3. add       - Add Steam ID(s) to the queue');
+        console.log('4. import    - Import Steam IDs from a TXT/CSV/JSON file');
+        console.log('5. stats     - Show database statistics');
+        // console.log('5. top       - Show top players');
+        console.log('6. reset     - Reset failed Steam IDs to pending');
+        console.log('7. logs      - Show recent scraping logs');
+        console.log('8. jobs      - Show claimed jobs and their owners');
+        console.log('9. dead      - Show dead-lettered Steam IDs');
+        console.log('10. config   - Show settings and where they come from');
+        console.log('11. set      - Change a setting: set <key> <value>');
+        console.log('12. help     - Show this menu');
+        console.log('13. exit     - Exit the application');
+        console.log('');
+    }
+
+    async handleUserInput(input) {
+        // Arguments keep their case; setting values such as the user agent need it
+        const [, name, args] = input.trim().match(/^(\S*)\s*(.*)$/s);
+        const command = name.toLowerCase();
+
+        try {
+            switch (command) {
+                case '1':
+                case 'start':
+                    await this.startScraping();
+                    break;
+
+                case '2':
+                case 'stop':
+                    await this.stopScraping();
+                    break;
+
+                case '3':
+                case 'add':
+                    await this.addSteamIds();
+                    break;
+
+                case '4':
+                case 'import':
+                    await this.importSteamIds();
+                    break;
+
+                case '5':
+                case 'stats':
+                    await this.showStats();
+                    break;
+
+                // case '5':
+                // case 'top':
+                //     await this.showTopPlayers();
+                //     break;
+
+                case '6':
+                case 'reset':
+                    await this.resetFailedIds();
+                    break;
+
+                case '7':
+                case 'logs':
+                    await this.showLogs();
+                    break;
+
+                case '8':
+                case 'jobs':
+                    await this.scraperManager.getClaimedJobs();
+                    break;
+
+                case '9':
+                case 'dead':
+                    await this.scraperManager.getDeadLetters();
+                    break;
+
+                case '10':
+                case 'config':
+                    printSettings();
+                    break;
+
+                case '11':
+                case 'set':
+                    await this.setSetting(args);
+                    break;
+
+                case '12':
+                case 'help':
+                    this.showMenu();
+                    break;
+
+                case '13':
+                case 'exit':
+                    await this.exit();
+                    return;
+
+                default:
+                    console.log('❓ Unknown command. Type "help" to see available commands.');
+                    break;
+            }
+        } catch (error) {
+            console.error('❌ Command failed:', error.message);
+        }
+
+        this.promptUser();
+    }
+
+    async startScraping() {
+        console.log('🚀 Starting scraping process...');
+        // Run scraping in background
+        this.scraperManager.startScraping().catch(console.error);
+    }
+
+    async stopScraping() {
+        await this.scraperManager.stopScraping();
+    }
+
+    async addSteamIds() {
+        return new Promise((resolve) => {
+            rl.question('Enter Steam ID(s), SteamID2/3 or profile URLs (comma-separated for multiple): ', async (answer) => {
+                try {
+                    const steamIds = answer.split(',').map(id => id.trim()).filter(id => id.length > 0);
+                    
+                    if (steamIds.length === 0) {
+                        console.log('❌ No valid Steam IDs provided');
+                        resolve();
+                        return;
+                    }
+
+                    // Normalise every supported format to SteamID64
+                    const { valid, invalid } = normalizeRows(
+                        steamIds.map((input, index) => ({ line: index + 1, input }))
+                    );
+
+                    invalid.forEach(({ input, reason }) => {
+                        console.log(`⚠️ Invalid Steam ID ${input}: ${reason}`);
+                    });
+
+                    if (valid.size > 0) {
+                        await this.scraperManager.addSteamIds([...valid]);
+                    }
+                } catch (error) {
+                    console.error('❌ Failed to add Steam IDs:', error.message);
+                }
+                resolve();
+            });
+        });
+    }
+
+    async importSteamIds() {
+        return new Promise((resolve) => {
+            rl.question('Path to TXT/CSV/JSON file: ', async (answer) => {
+                try {
+                    const filePath = answer.trim();
+                    if (!filePath) {
+                        console.log('❌ No file provided');
+                    } else {
+                        printImportReport(await importSteamIds(filePath));
+                    }
+                } catch (error) {
+                    console.error('❌ Import failed:', error.message);
+                }
+                resolve();
+            });
+        });
+    }
+
+    // Changes take effect without a restart; see `config` for the keys
+    async setSetting(args) {
+        const [, key, value] = args.match(/^(\S*)\s*(.*)$/s);
+        if (!key || !value) {
+            console.log('❓ Usage: set <key> <value> (type "config" to list the keys)');
+            return;
+        }
+
+        // Quotes allow empty values, e.g. set discovery.allow ""
+        const applied = settings.set(key, value.replace(/^(["'])(.*)\1$/s, '$2'));
+        const note = SETTINGS[key].apply === 'next-run' ? ' (from the next scraping run)' : '';
+        console.log(`✅ ${key} = ${JSON.stringify(applied)}${note}`);
+    }
+
+    async showStats() {
+        await this.scraperManager.getStats();
+    }
+
+    async showTopPlayers() {
+        return new Promise((resolve) => {
+            rl.question('Order by (kd_ratio/hltv_rating/matches_played/kills/adr) [default: kd_ratio]: ', async (orderBy) => {
+                try {
+                    const order = orderBy.trim() || 'kd_ratio';
+                    await this.scraperManager.getTopPlayers(10, order);
+                } catch (error) {
+                    console.error('❌ Failed to show top players:', error.message);
+                }
+                resolve();
+            });
+        });
+    }
+
+    async resetFailedIds() {
+        return new Promise((resolve) => {
+            rl.question('Are you sure you want to reset failed and retryable dead-lettered Steam IDs to pending? (y/N): ', async (answer) => {
+                if (answer.toLowerCase() === 'y' || answer.toLowerCase() === 'yes') {
+                    try {
+                        await this.scraperManager.resetFailedIds();
+                    } catch (error) {
+                        console.error('❌ Failed to reset failed IDs:', error.message);
+                    }
+                } else {
+                    console.log('❌ Operation cancelled');
+                }
+                resolve();
+            });
+        });
+    }
+
+    async showLogs() {
+        return new Promise((resolve) => {
+            rl.question(`Filter by outcome (${Object.values(OUTCOMES).join('/')}) [default: all]: `, async (answer) => {
+                await this.printLogs(answer.trim().toLowerCase() || null);
+                resolve();
+            });
+        });
+    }
+
+    async printLogs(outcome = null) {
+        try {
+            if (outcome && !Object.values(OUTCOMES).includes(outcome)) {
+                console.log(`❌ Unknown outcome "${outcome}"`);
+                return;
+            }
+
+            const DatabaseService = (await import('./services/database.service.js')).default;
+            const logs = await DatabaseService.getScrapeLogs(20, null, outcome);
+            
+            console.log('\n📋 Recent Scraping Logs:');
+            if (logs.length === 0) {
+                console.log('   No logs found');
+            } else {
+                logs.forEach(log => {
+                    const status = log.status === 'success' ? '✅' : 
+                                  log.status === 'failed' ? '❌' : '🔄';
+                    const playerName = log.player_name || 'Unknown';
+                    const time = log.execution_time ? `${log.execution_time}ms` : 'N/A';
+                    const outcomeLabel = log.outcome ? ` [${log.outcome}]` : '';
+                    console.log(`   ${status} ${log.steam_id64} (${playerName})${outcomeLabel} - ${time} - ${log.created_at}`);
+                });
+            }
+        } catch (error) {
+            console.error('❌ Failed to show logs:', error.message);
+        }
+    }
+
+    promptUser() {
+        rl.question('Enter command (or "help" for menu): ', (input) => {
+            this.handleUserInput(input);
+        });
+    }
+
+    // Like a signal, lets a scrape in progress finish first
+    async exit() {
+        console.log('👋 Shutting down...');
+        process.exit(await shutdown.shutdown('exit'));
+    }
+
+    async run() {
+        shutdown.register('interactive menu', () => {
+            rl.close();
+            return this.scraperManager.shutdown();
+        });
+        // The terminal delivers Ctrl+C to readline rather than as a signal
+        rl.on('SIGINT', () => shutdown.handleSignal('SIGINT'));
+
+        await this.initialize();
+        
+        // Show initial stats and menu
+        await this.showStats();
+        this.showMenu();
+        
+        // Start interactive mode
+        this.promptUser();
+    }
+}
+
+export default CS2StatsApp;
@@ -0,0 +1,7 @@
+// Kinds of scrape job. Each has its own queue table with the same status,
+// lease and retry columns (steam_ids and match_jobs), and is recorded in
+// scrape_logs.job_type, so keep in sync with migration 010.
+export const JOB_TYPES = Object.freeze({
+    PROFILE: 'profile',
+    MATCHES: 'matches'
+});
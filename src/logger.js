@@ -0,0 +1,176 @@
+import fs from 'fs';
+import path from 'path';
+import { AsyncLocalStorage } from 'async_hooks';
+import settings from './config/settings.js';
+
+export const LOG_LEVELS = { error: 0, warn: 1, info: 2, debug: 3 };
+
+// Fields of the job being processed (steam_id64, log_id, worker, job). They
+// are added to every record written while the job runs, however deep in the
+// call stack, so one job's lines can be followed across modules.
+const jobContext = new AsyncLocalStorage();
+
+export function withLogContext(fields, fn) {
+    return jobContext.run({ ...jobContext.getStore(), ...fields }, fn);
+}
+
+// For fields that only become known once the job has started, like its scrape log ID
+export function addLogContext(fields) {
+    Object.assign(jobContext.getStore() ?? {}, fields);
+}
+
+// Emoji and indentation are for people; JSON messages start at the first word
+const plain = (message) => message.replace(/^[^\p{L}\p{N}[(]+/u, '');
+
+const serializeError = (error, withStack) => {
+    if (!(error instanceof Error)) return { message: String(error) };
+    return {
+        name: error.name,
+        message: error.message,
+        ...(error.outcome ? { outcome: error.outcome } : {}),
+        ...(withStack ? { stack: error.stack } : {})
+    };
+};
+
+// Appends records to a file, shifting it to .1, .2, … once it would grow past
+// log.fileMaxSize. Writes are synchronous so nothing is lost on process.exit().
+class LogFile {
+    constructor(name) {
+        this.name = name;
+        this.file = path.resolve(name);
+        this.fd = null;
+        this.size = 0;
+    }
+
+    open() {
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        this.fd = fs.openSync(this.file, 'a');
+        this.size = fs.fstatSync(this.fd).size;
+    }
+
+    write(line) {
+        if (this.fd === null) this.open();
+
+        const bytes = Buffer.byteLength(line);
+        if (this.size > 0 && this.size + bytes > settings.get('log.fileMaxSize')) {
+            this.rotate();
+        }
+        fs.writeSync(this.fd, line);
+        this.size += bytes;
+    }
+
+    rotate() {
+        this.close();
+        const keep = settings.get('log.fileMaxFiles');
+        fs.rmSync(`${this.file}.${keep}`, { force: true });
+        for (let index = keep - 1; index >= 1; index--) {
+            if (fs.existsSync(`${this.file}.${index}`)) {
+                fs.renameSync(`${this.file}.${index}`, `${this.file}.${index + 1}`);
+            }
+        }
+        fs.renameSync(this.file, `${this.file}.1`);
+        this.open();
+    }
+
+    close() {
+        if (this.fd !== null) {
+            fs.closeSync(this.fd);
+            this.fd = null;
+        }
+    }
+}
+
+let logFile = null;
+
+// Follows log.file, so `--set log.file=…` and `set log.file …` take effect
+// on the next record
+function currentLogFile() {
+    const name = settings.get('log.file');
+    if ((logFile?.name ?? '') !== name) {
+        logFile?.close();
+        logFile = name ? new LogFile(name) : null;
+    }
+    return logFile;
+}
+
+// Leveled records with a message and structured fields. On the console they
+// are printed as the message alone ("pretty", the default) or as one JSON
+// object per line; the log file always gets JSON. An `error` field is
+// appended to pretty messages the way `console.error(message, error.message)`
+// used to print it.
+class Logger {
+    constructor(fields = {}) {
+        this.fields = fields;
+    }
+
+    child(fields) {
+        return new Logger({ ...this.fields, ...fields });
+    }
+
+    error(message, fields) {
+        this.write('error', message, fields);
+    }
+
+    warn(message, fields) {
+        this.write('warn', message, fields);
+    }
+
+    info(message, fields) {
+        this.write('info', message, fields);
+    }
+
+    debug(message, fields) {
+        this.write('debug', message, fields);
+    }
+
+    write(level, message, { error, ...fields } = {}) {
+        const toConsole = LOG_LEVELS[level] <= LOG_LEVELS[settings.get('log.level')];
+        const file = currentLogFile();
+        const toFile = file && LOG_LEVELS[level] <= LOG_LEVELS[settings.get('log.fileLevel')];
+        if (!toConsole && !toFile) return;
+
+        const record = {
+            time: new Date().toISOString(),
+            level,
+            msg: plain(message),
+            ...this.fields,
+            ...jobContext.getStore(),
+            ...fields
+        };
+        if (error !== undefined) {
+            record.error = serializeError(error, settings.get('log.level') === 'debug');
+        }
+
+        if (toConsole) {
+            const line = settings.get('log.format') === 'json'
+                ? JSON.stringify(record)
+                : (error !== undefined ? `${message}: ${record.error.message}` : message);
+            if (LOG_LEVELS[level] <= LOG_LEVELS.warn) {
+                console.error(line);
+            } else {
+                console.log(line);
+            }
+        }
+
+        if (toFile) {
+            try {
+                file.write(`${JSON.stringify(record)}\n`);
+            } catch (writeError) {
+                // Give up on the file rather than fail every log call
+                console.error(`❌ Cannot write log file ${file.file}: ${writeError.message}`);
+                file.close();
+                logFile = null;
+                settings.set('log.file', '');
+            }
+        }
+    }
+}
+
+const rootLogger = new Logger();
+
+// One logger per module, e.g. createLogger('scraperManager')
+export function createLogger(module) {
+    return rootLogger.child({ module });
+}
+
+export default rootLogger;
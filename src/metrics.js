@@ -0,0 +1,264 @@
+import http from 'http';
+import { performance } from 'perf_hooks';
+import settings from './config/settings.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('metrics');
+
+export const METRICS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+export const secondsSince = (startedAt) => (performance.now() - startedAt) / 1000;
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+const formatLabels = (labels) => {
+    const entries = Object.entries(labels);
+    return entries.length === 0 ? '' : `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+};
+
+// Label sets are keyed by their JSON so { a, b } and { b, a } are one series
+const seriesKey = (labels) => JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+
+class Metric {
+    constructor(name, help, type) {
+        this.name = name;
+        this.help = help;
+        this.type = type;
+        this.series = new Map();
+    }
+
+    get(labels) {
+        const key = seriesKey(labels);
+        if (!this.series.has(key)) {
+            this.series.set(key, { labels, ...this.initial() });
+        }
+        return this.series.get(key);
+    }
+
+    reset() {
+        this.series.clear();
+    }
+
+    render() {
+        return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`, ...this.lines()];
+    }
+}
+
+class Counter extends Metric {
+    constructor(name, help) {
+        super(name, help, 'counter');
+    }
+
+    initial() {
+        return { value: 0 };
+    }
+
+    inc(labels = {}, amount = 1) {
+        this.get(labels).value += amount;
+    }
+
+    lines() {
+        return [...this.series.values()].map(({ labels, value }) => `${this.name}${formatLabels(labels)} ${value}`);
+    }
+}
+
+class Gauge extends Counter {
+    constructor(name, help) {
+        super(name, help);
+        this.type = 'gauge';
+    }
+
+    set(labels, value) {
+        this.get(labels).value = value;
+    }
+
+    dec(labels = {}, amount = 1) {
+        this.get(labels).value -= amount;
+    }
+}
+
+class Histogram extends Metric {
+    constructor(name, help, buckets) {
+        super(name, help, 'histogram');
+        this.buckets = buckets;
+    }
+
+    initial() {
+        return { counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+    }
+
+    observe(labels, value) {
+        const series = this.get(labels);
+        this.buckets.forEach((bound, index) => {
+            if (value <= bound) series.counts[index]++;
+        });
+        series.sum += value;
+        series.count++;
+    }
+
+    // Observes how long `fn` takes, in seconds, whether it succeeds or not
+    async time(labels, fn) {
+        const startedAt = performance.now();
+        try {
+            return await fn();
+        } finally {
+            this.observe(labels, secondsSince(startedAt));
+        }
+    }
+
+    lines() {
+        return [...this.series.values()].flatMap(({ labels, counts, sum, count }) => [
+            ...this.buckets.map((bound, index) => `${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[index]}`),
+            `${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`,
+            `${this.name}_sum${formatLabels(labels)} ${sum}`,
+            `${this.name}_count${formatLabels(labels)} ${count}`
+        ]);
+    }
+}
+
+// Metrics live for the whole process, unlike the per-run counts of
+// ScraperManager. Gauges that need a query are filled in by collectors right
+// before each scrape of /metrics.
+class MetricsRegistry {
+    constructor() {
+        this.metrics = [];
+        this.collectors = new Map();
+    }
+
+    register(metric) {
+        this.metrics.push(metric);
+        return metric;
+    }
+
+    counter(name, help) {
+        return this.register(new Counter(name, help));
+    }
+
+    gauge(name, help) {
+        return this.register(new Gauge(name, help));
+    }
+
+    histogram(name, help, buckets) {
+        return this.register(new Histogram(name, help, buckets));
+    }
+
+    // Registering a collector under a name that exists replaces it
+    collector(name, fn) {
+        this.collectors.set(name, fn);
+    }
+
+    async render() {
+        for (const [name, collect] of this.collectors) {
+            try {
+                await collect();
+            } catch (error) {
+                // Serve the other metrics rather than none
+                logger.warn(`⚠️ Metrics collector ${name} failed`, { error });
+            }
+        }
+        return `${this.metrics.flatMap(metric => metric.render()).join('\n')}\n`;
+    }
+}
+
+const metrics = new MetricsRegistry();
+
+export const scrapesTotal = metrics.counter(
+    'cs2_scraper_scrapes_total',
+    'Finished scrape jobs by job type and outcome'
+);
+export const scrapeDuration = metrics.histogram(
+    'cs2_scraper_scrape_duration_seconds',
+    'Time from claiming a job to recording its outcome',
+    [0.5, 1, 2.5, 5, 10, 20, 30, 60, 120, 300]
+);
+export const pageLoadDuration = metrics.histogram(
+    'cs2_scraper_page_load_seconds',
+    'Time to load a page until its stats appear, by provider',
+    [0.25, 0.5, 1, 2.5, 5, 10, 20, 30, 60]
+);
+export const dbWriteDuration = metrics.histogram(
+    'cs2_scraper_db_write_seconds',
+    'Time of database writes by statement',
+    [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5]
+);
+export const queueJobs = metrics.gauge(
+    'cs2_scraper_queue_jobs',
+    'Queued jobs by job type and status (retrying = pending but waiting for its backoff)'
+);
+export const browserPagesOpen = metrics.gauge(
+    'cs2_scraper_browser_pages_open',
+    'Browser pages currently open'
+);
+export const browserRestarts = metrics.counter(
+    'cs2_scraper_browser_restarts_total',
+    'Browser relaunches by reason (crash, pages or memory)'
+);
+export const browserMemory = metrics.gauge(
+    'cs2_scraper_browser_memory_bytes',
+    'Resident memory of the browser and its child processes at the last check'
+);
+export const blockedRequests = metrics.counter(
+    'cs2_scraper_blocked_requests_total',
+    'Requests not loaded, by resource type (ad for ad and tracking hosts)'
+);
+export const blockedBytes = metrics.counter(
+    'cs2_scraper_blocked_bytes_estimated_total',
+    'Estimated bytes not downloaded thanks to blocked requests, from a fixed size per resource type (not measured)'
+);
+export const scraperRunning = metrics.gauge(
+    'cs2_scraper_running',
+    'Whether a scraping run is in progress (1) or not (0)'
+);
+export const requestInterval = metrics.gauge(
+    'cs2_scraper_request_interval_seconds',
+    'Current spacing between request starts, raised while throttled'
+);
+export const throttlesTotal = metrics.counter(
+    'cs2_scraper_throttles_total',
+    'Times the site throttled or blocked the scraper'
+);
+
+// Unlabelled series start at 0 rather than appearing on first use
+browserPagesOpen.set({}, 0);
+throttlesTotal.inc({}, 0);
+blockedBytes.inc({}, 0);
+
+const WRITE_STATEMENT = /^\s*(INSERT|UPDATE|DELETE|REPLACE)\b/i;
+
+// Called by the database managers after every statement; reads are not timed
+export function observeQuery(query, startedAt) {
+    const match = query.match(WRITE_STATEMENT);
+    if (match) {
+        dbWriteDuration.observe({ statement: match[1].toLowerCase() }, secondsSince(startedAt));
+    }
+}
+
+export function observeTransaction(startedAt) {
+    dbWriteDuration.observe({ statement: 'transaction' }, secondsSince(startedAt));
+}
+
+// A bare /metrics listener for processes that don't run the HTTP API
+export async function startMetricsServer(options = {}) {
+    const port = options.port ?? settings.get('metrics.port');
+    const host = options.host || settings.get('metrics.host');
+    const server = http.createServer(async (req, res) => {
+        if (req.method !== 'GET' || req.url.split('?')[0] !== '/metrics') {
+            res.statusCode = 404;
+            res.end();
+            return;
+        }
+        res.setHeader('Content-Type', METRICS_CONTENT_TYPE);
+        res.end(await metrics.render());
+    });
+
+    await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, resolve);
+    });
+    server.unref();
+
+    logger.info(`📈 Metrics available at http://${host}:${port}/metrics`);
+    return server;
+}
+
+export default metrics;
@@ -0,0 +1,79 @@
+import migrator from './config/migrator.js';
+import dbManager from './config/database.js';
+import settings, { ConfigError } from './config/settings.js';
+
+const usage = () => {
+    console.log('Usage: node src/migrate.js <command> [argument]');
+    console.log('');
+    console.log('Commands:');
+    console.log('  up [version]   Apply pending migrations (optionally up to a version)');
+    console.log('  down [steps]   Revert the last applied migration(s) (default: 1)');
+    console.log('  status         List migrations and whether they are applied');
+};
+
+const parseNumber = (value, name) => {
+    if (value === undefined) return null;
+    const number = parseInt(value);
+    if (!Number.isInteger(number) || number < 1) {
+        throw new Error(`${name} must be a positive integer, got "${value}"`);
+    }
+    return number;
+};
+
+async function showStatus() {
+    const migrations = await migrator.status();
+
+    console.log('\n🗂️ Migration Status:');
+    if (migrations.length === 0) {
+        console.log('   No migrations found');
+        return;
+    }
+
+    migrations.forEach(m => {
+        const icon = m.missing ? '❓' : m.applied ? '✅' : '⏳';
+        const when = m.applied_at ? ` (applied ${new Date(m.applied_at).toISOString()})` : '';
+        console.log(`   ${icon} ${String(m.version).padStart(3, '0')}_${m.name} - ${m.description}${when}`);
+    });
+}
+
+async function main() {
+    const [command, argument] = process.argv.slice(2);
+    settings.load();
+
+    // The SQLite schema is brought up to date whenever the database is opened
+    if (dbManager.client === 'sqlite' && command) {
+        await dbManager.initialize();
+        console.log('ℹ️ SQLite schema is managed automatically; migrations only apply to MySQL');
+        return;
+    }
+
+    switch (command) {
+        case 'up':
+            await migrator.up(parseNumber(argument, 'Target version'));
+            break;
+
+        case 'down':
+            await migrator.down(parseNumber(argument, 'Steps') ?? 1);
+            break;
+
+        case 'status':
+            await showStatus();
+            break;
+
+        default:
+            usage();
+            process.exitCode = command ? 1 : 0;
+    }
+}
+
+main()
+    .catch(error => {
+        if (error instanceof ConfigError) {
+            console.error(`❌ Invalid configuration: ${error.message}`);
+            process.exitCode = 2;
+            return;
+        }
+        console.error('❌ Migration failed:', error.message);
+        process.exitCode = 1;
+    })
+    .finally(() => dbManager.close());
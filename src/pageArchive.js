@@ -0,0 +1,152 @@
+import { createHash } from 'crypto';
+import { gzipSync, gunzipSync } from 'zlib';
+import DatabaseService from './services/database.service.js';
+import { getProvider } from './providers/index.js';
+import { DataQualityPolicy, serializeFlags } from './dataQuality.js';
+
+const BATCH_SIZE = 100;
+
+// The report lists this many pages; the rest are only counted
+const REPORT_SAMPLE_SIZE = 20;
+const NOTABLE_STATUSES = ['failed', 'no_stats', 'quarantined', 'rejected'];
+
+const hashHtml = (html) => createHash('sha256').update(html, 'utf8').digest('hex');
+
+export function compressPage(html) {
+    return {
+        contentHash: hashHtml(html),
+        size: Buffer.byteLength(html, 'utf8'),
+        data: gzipSync(html)
+    };
+}
+
+export function decompressPage(data) {
+    return gunzipSync(data).toString('utf8');
+}
+
+export async function archivePage(steamId64, { source, url, outcome, html }) {
+    return await DatabaseService.savePageArchive(steamId64, { source, url, outcome, ...compressPage(html) });
+}
+
+// Runs extraction over one archived page. Never touches the network.
+export function parseArchivedPage(archive) {
+    const html = decompressPage(archive.html_gzip);
+    if (hashHtml(html) !== archive.content_hash) {
+        throw new Error('content hash mismatch - archived page is corrupt');
+    }
+
+    const provider = getProvider(archive.source);
+    const parsed = provider.mapFields(provider.parse(html, { url: archive.url, steamId64: archive.steam_id64 }));
+
+    return {
+        state: provider.detectPageState(html),
+        data: {
+            ...parsed.player_info,
+            steam_id64: parsed.player_info.steam_id64 || archive.steam_id64,
+            ...parsed.stats,
+            source: provider.name
+        },
+        maps: parsed.maps,
+        weapons: parsed.weapons,
+        statsCount: Object.keys(parsed.stats).length
+    };
+}
+
+// Re-parses the newest archived page of every matching player and writes
+// the result to player_stats and the map/weapon breakdowns. Players whose stats are newer than their
+// newest archived page are left alone, as are pages that yield no stats.
+// Results go through the same data quality checks as fresh scrapes. The
+// report's `pages` holds the first `sampleSize` pages that need a look (every
+// page on a dry run); `pages_omitted` counts the ones left out.
+export async function reparseArchivedPages({ archiveId = null, steamId64 = null, source = null, since = null, dryRun = false, quality = new DataQualityPolicy(), sampleSize = REPORT_SAMPLE_SIZE } = {}) {
+    const report = { dry_run: dryRun, scanned: 0, updated: 0, stale: 0, no_stats: 0, invalid: 0, failed: 0, pages: [], pages_omitted: 0 };
+    let afterId = 0;
+
+    while (true) {
+        const archives = await DatabaseService.getArchivedPages({
+            afterId, limit: BATCH_SIZE, archiveId, steamId64, source, since
+        });
+        if (archives.length === 0) break;
+
+        for (const archive of archives) {
+            afterId = archive.id;
+            report.scanned++;
+            const page = { archive_id: archive.id, steam_id64: archive.steam_id64, source: archive.source };
+
+            try {
+                const result = parseArchivedPage(archive);
+                const review = result.statsCount > 0 ? quality.review(result.data) : null;
+                page.stats_count = result.statsCount;
+                page.quality_flags = review ? serializeFlags(review.flags) : null;
+
+                if (result.statsCount === 0) {
+                    page.status = 'no_stats';
+                    page.page_state = result.state;
+                    report.no_stats++;
+                } else if (archive.last_scraped && new Date(archive.last_scraped) > new Date(archive.scraped_at)) {
+                    page.status = 'stale';
+                    report.stale++;
+                } else if (review.action !== 'save') {
+                    if (review.action === 'quarantine' && !dryRun) {
+                        await DatabaseService.quarantinePlayerStats(archive.steam_id64, result.data, review.flags);
+                    }
+                    page.status = review.action === 'reject' ? 'rejected' : (dryRun ? 'would_quarantine' : 'quarantined');
+                    report.invalid++;
+                } else {
+                    if (!dryRun) {
+                        await DatabaseService.savePlayerStats(archive.steam_id64, result.data, {
+                            snapshot: false,
+                            scrapedAt: archive.scraped_at,
+                            qualityFlags: page.quality_flags
+                        });
+                        await DatabaseService.savePlayerBreakdowns(archive.steam_id64, {
+                            maps: result.maps,
+                            weapons: result.weapons,
+                            source: archive.source,
+                            scrapedAt: archive.scraped_at
+                        });
+                    }
+                    page.status = dryRun ? 'would_update' : 'updated';
+                    report.updated++;
+                }
+
+                if (dryRun) {
+                    page.data = result.data;
+                    page.maps = result.maps;
+                    page.weapons = result.weapons;
+                }
+            } catch (error) {
+                page.status = 'failed';
+                page.error = error.message;
+                report.failed++;
+            }
+
+            if (!dryRun && !NOTABLE_STATUSES.includes(page.status)) continue;
+            if (report.pages.length < sampleSize) {
+                report.pages.push(page);
+            } else {
+                report.pages_omitted++;
+            }
+        }
+    }
+
+    return report;
+}
+
+export function printReparseReport(report) {
+    const verb = report.dry_run ? 'Would update' : 'Updated';
+    console.log(`\n🔁 Re-parse report (${report.scanned} archived pages)`);
+    console.log(`   ✅ ${verb}: ${report.updated}`);
+    console.log(`   ⏭️ Stats newer than the archive: ${report.stale}`);
+    console.log(`   📭 No stats found: ${report.no_stats}`);
+    console.log(`   🔍 Failed data quality checks: ${report.invalid}`);
+    console.log(`   ❌ Failed: ${report.failed}`);
+
+    report.pages.forEach(page => {
+        const detail = page.error || page.page_state || `${page.stats_count} stats${page.quality_flags ? ` (${page.quality_flags})` : ''}`;
+        console.log(`      #${page.archive_id} ${page.steam_id64} (${page.source}): ${page.status} - ${detail}`);
+    });
+    if (report.pages_omitted > 0) {
+        console.log(`      ... and ${report.pages_omitted} more`);
+    }
+}
@@ -0,0 +1,186 @@
+import * as cheerio from 'cheerio';
+import { normalizeLabel, normalizeValue, ownText } from './stats.parser.js';
+
+// Scoreboard columns, the value type they must have and the (normalised)
+// header labels that identify them
+export const SCORELINE_FIELDS = {
+    kills: { type: 'integer', labels: ['k', 'kills'] },
+    deaths: { type: 'integer', labels: ['d', 'deaths'] },
+    assists: { type: 'integer', labels: ['a', 'assists'] },
+    adr: { type: 'decimal', labels: ['adr'] },
+    headshot_percentage: { type: 'percent', labels: ['hs%', 'hs %', 'hs', 'headshot %'] },
+    rating: { type: 'decimal', labels: ['rating', 'hltv', 'hltv 2.0', 'hltv2', 'rating 2.0'] },
+    mvps: { type: 'integer', labels: ['mvp', 'mvps', '★'] }
+};
+
+const MATCH_LINK = 'a[href*="/match/"]';
+const PLAYER_LINK = 'a[href*="/player/"]';
+const SCORE_PATTERN = /\b(\d{1,2})\s*[:\-–]\s*(\d{1,2})\b/;
+const MAP_PATTERN = /\b(?:de|cs|ar)_[a-z0-9_]+\b/i;
+
+// "de_mirage", "Mirage" and "DE_MIRAGE" are all stored as "mirage"
+export function normalizeMapName(name) {
+    const map = (name || '').toLowerCase().replace(/\s+/g, ' ').trim().replace(/^(?:de|cs|ar)_/, '');
+    return map && map.length <= 50 ? map : null;
+}
+
+const absoluteUrl = (href, base) => {
+    try {
+        return new URL(href, base || 'https://csgostats.gg').href;
+    } catch {
+        return null;
+    }
+};
+
+// Like ownText, but keeps adjacent cells apart ("de_nuke 10-13", not "de_nuke10-13")
+const spacedText = ($, scope) => $(scope).find('*').addBack().contents()
+    .filter((_, node) => node.type === 'text')
+    .toArray()
+    .map(node => node.data)
+    .join(' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+const matchIdFromUrl = (href) => href?.match(/\/match\/([\w-]+)/)?.[1] ?? null;
+
+function extractPlayedAt($, scope) {
+    const node = $(scope).find('time[datetime], [data-date], [data-timestamp]').first();
+    const value = node.attr('datetime') || node.attr('data-date') || node.attr('data-timestamp');
+    if (!value) return null;
+
+    // Unix timestamps come in seconds
+    const date = /^\d{9,10}$/.test(value) ? new Date(Number(value) * 1000) : new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+}
+
+// An explicitly labelled map wins; otherwise the first "de_xxx" in an
+// image (icons are usually named after the map) or in the text
+function extractMapName($, scope) {
+    const labelled = $(scope).find('.map-name, [data-map]').first();
+    const named = labelled.attr('data-map') || ownText($, labelled);
+    if (named) return normalizeMapName(named);
+
+    const texts = [
+        ...$(scope).find('img').toArray().map(img => ['alt', 'title', 'src'].map(attr => $(img).attr(attr) || '').join(' ')),
+        spacedText($, scope)
+    ];
+    const map = texts.map(text => text.match(MAP_PATTERN)?.[0]).find(Boolean);
+    return map ? normalizeMapName(map) : null;
+}
+
+// Prefers a dedicated score element; dates and times are removed from the
+// fallback text as "05-01" or "14:32" look like scores too
+function extractScore($, scope) {
+    const scoreNode = $(scope).find('.score, .match-score, [data-score]').first();
+    const text = scoreNode.length
+        ? ownText($, scoreNode)
+        : spacedText($, $(scope).clone().find('time, [data-date], [data-timestamp]').remove().end());
+    const match = text.match(SCORE_PATTERN);
+    return match ? [Number(match[1]), Number(match[2])] : [null, null];
+}
+
+export function resultFromScore(own, other) {
+    if (own === null || other === null) return null;
+    if (own > other) return 'win';
+    if (own < other) return 'loss';
+    return 'tie';
+}
+
+// Parses a player's match history page. Returns the matches newest first as
+// { source_match_id, url, played_at, map_name, team_score, opponent_score,
+// result } with the scores and result from the player's point of view.
+export function parseMatchList(html, { url = null } = {}) {
+    const $ = cheerio.load(html);
+    const matches = [];
+    const seen = new Set();
+
+    $(MATCH_LINK).each((_, link) => {
+        const href = $(link).attr('href');
+        const sourceMatchId = matchIdFromUrl(href);
+        if (!sourceMatchId || seen.has(sourceMatchId)) return;
+        seen.add(sourceMatchId);
+
+        const row = $(link).closest('tr').length ? $(link).closest('tr') : $(link);
+        const [teamScore, opponentScore] = extractScore($, row);
+
+        matches.push({
+            source_match_id: sourceMatchId,
+            url: absoluteUrl(href, url),
+            played_at: extractPlayedAt($, row),
+            map_name: extractMapName($, row),
+            team_score: teamScore,
+            opponent_score: opponentScore,
+            result: resultFromScore(teamScore, opponentScore)
+        });
+    });
+
+    return matches;
+}
+
+function scorelineColumns($, table) {
+    const header = $(table).find('thead tr').first().length
+        ? $(table).find('thead tr').first()
+        : $(table).find('tr').first();
+
+    return header.children('th, td').toArray().map(cell => {
+        const label = normalizeLabel(ownText($, cell) || $(cell).attr('title'));
+        return Object.entries(SCORELINE_FIELDS).find(([, { labels }]) => labels.includes(label))?.[0] ?? null;
+    });
+}
+
+// Parses a single match page. Returns { map_name, played_at, team1_score,
+// team2_score, players } where every player is { steam_id64, player_name,
+// team, result, ...scoreline }. Teams are numbered in page order.
+export function parseMatch(html, { url = null } = {}) {
+    const $ = cheerio.load(html);
+    const teams = [];
+    const players = [];
+    const seen = new Set();
+
+    $(PLAYER_LINK).each((_, link) => {
+        const steamId64 = $(link).attr('href').match(/\/player\/(\d{17})/)?.[1];
+        const row = $(link).closest('tr');
+        if (!steamId64 || !row.length || seen.has(steamId64)) return;
+        seen.add(steamId64);
+
+        // Each team is its own tbody (or table)
+        const group = row.closest('tbody').length ? row.closest('tbody').get(0) : row.closest('table').get(0);
+        if (!teams.includes(group)) teams.push(group);
+
+        const columns = scorelineColumns($, row.closest('table'));
+        const cells = row.children('td, th').toArray();
+        const player = {
+            steam_id64: steamId64,
+            player_name: ownText($, link) || null,
+            team: teams.indexOf(group) + 1
+        };
+
+        columns.forEach((field, index) => {
+            if (!field || !cells[index]) return;
+            const value = normalizeValue(ownText($, cells[index]), SCORELINE_FIELDS[field].type);
+            if (value !== null) player[field] = value;
+        });
+
+        players.push(player);
+    });
+
+    const scoreNodes = $('.team-score, .team-score-number, [data-team-score]').toArray();
+    const [team1Score, team2Score] = scoreNodes.length >= 2
+        ? scoreNodes.slice(0, 2).map(node => normalizeValue(ownText($, node), 'integer'))
+        : extractScore($, $('body'));
+
+    players.forEach(player => {
+        player.result = player.team === 1
+            ? resultFromScore(team1Score, team2Score)
+            : resultFromScore(team2Score, team1Score);
+    });
+
+    return {
+        source_match_id: matchIdFromUrl(url),
+        map_name: extractMapName($, $('body')),
+        played_at: extractPlayedAt($, $('body')),
+        team1_score: team1Score,
+        team2_score: team2Score,
+        players
+    };
+}
@@ -0,0 +1,389 @@
+import * as cheerio from 'cheerio';
+import { OUTCOMES } from '../scrapeOutcome.js';
+
+// Every field the parser knows about, the value type it must have and the
+// exact (normalised) labels that identify it on the page
+export const STAT_FIELDS = {
+    kd_ratio: { type: 'decimal', labels: ['k/d', 'kd', 'k/d ratio', 'kdr'] },
+    hltv_rating: { type: 'decimal', labels: ['hltv rating', 'hltv', 'hltv 2.0', 'hltv 2.0 rating', 'rating'] },
+    win_rate: { type: 'percent', labels: ['win rate', 'win %', 'win%', 'winrate'] },
+    headshot_percentage: { type: 'percent', labels: ['hs%', 'hs %', 'hs', 'headshot %', 'headshot%', 'headshot percentage'] },
+    adr: { type: 'decimal', labels: ['adr', 'average damage per round'] },
+    matches_played: { type: 'integer', labels: ['played', 'matches played', 'matches'] },
+    matches_won: { type: 'integer', labels: ['won', 'wins', 'matches won'] },
+    matches_lost: { type: 'integer', labels: ['lost', 'losses', 'matches lost'] },
+    matches_tied: { type: 'integer', labels: ['tied', 'ties', 'draws', 'matches tied'] },
+    kills: { type: 'integer', labels: ['kills'] },
+    deaths: { type: 'integer', labels: ['deaths'] },
+    assists: { type: 'integer', labels: ['assists'] },
+    headshots: { type: 'integer', labels: ['headshots'] },
+    total_damage: { type: 'integer', labels: ['damage', 'total damage'] },
+    rounds_played: { type: 'integer', labels: ['rounds', 'rounds played'] },
+    clutch_success: { type: 'percent', labels: ['clutch success', 'clutch', 'clutches'] },
+    entry_success: { type: 'percent', labels: ['entry success', 'entry'] }
+};
+
+// Columns of the per-map and per-weapon breakdown tables
+export const MAP_FIELDS = {
+    matches_played: { type: 'integer', labels: ['matches', 'played', 'matches played', 'games'] },
+    matches_won: { type: 'integer', labels: ['won', 'wins'] },
+    matches_lost: { type: 'integer', labels: ['lost', 'losses'] },
+    win_rate: { type: 'percent', labels: ['win rate', 'win %', 'win%', 'winrate'] },
+    kd_ratio: { type: 'decimal', labels: ['k/d', 'kd', 'k/d ratio', 'kdr'] },
+    adr: { type: 'decimal', labels: ['adr'] },
+    kills: { type: 'integer', labels: ['kills'] },
+    deaths: { type: 'integer', labels: ['deaths'] }
+};
+
+export const WEAPON_FIELDS = {
+    kills: { type: 'integer', labels: ['kills'] },
+    headshots: { type: 'integer', labels: ['headshots', 'hs kills'] },
+    headshot_percentage: { type: 'percent', labels: ['hs%', 'hs %', 'headshot %', 'headshot%', 'headshot percentage'] },
+    accuracy: { type: 'percent', labels: ['accuracy', 'acc', 'acc.', 'hit %', 'hit%'] },
+    shots: { type: 'integer', labels: ['shots', 'shots fired'] },
+    hits: { type: 'integer', labels: ['hits'] },
+    damage: { type: 'integer', labels: ['damage'] }
+};
+
+// A breakdown table is recognised by the header of its first column
+const BREAKDOWNS = {
+    maps: { nameLabels: ['map', 'maps'], nameColumn: 'map_name', fields: MAP_FIELDS },
+    weapons: { nameLabels: ['weapon', 'weapons', 'gun'], nameColumn: 'weapon_name', fields: WEAPON_FIELDS }
+};
+
+// How much each extraction strategy is trusted
+const CONFIDENCE = {
+    label: 0.9,
+    gauge: 0.8,
+    tooltip: 0.7,
+    nearLabel: 0.5
+};
+
+// Pages that are not a normal profile. Challenge pages are recognised from
+// their markup, everything else from the text of the site's notices.
+// Cloudflare adds its challenge-platform script to normal pages too, so that
+// is no sign of a challenge.
+const PAGE_STATES = [
+    {
+        outcome: OUTCOMES.BLOCKED,
+        markup: [/cf-challenge|challenge-form|cf-chl-/i, /<title>\s*(just a moment|attention required)/i],
+        text: [/checking your browser/i, /too many requests/i, /access denied/i]
+    },
+    {
+        outcome: OUTCOMES.PRIVATE_PROFILE,
+        text: [/profile is private/i, /private profile/i]
+    },
+    {
+        outcome: OUTCOMES.NOT_FOUND,
+        text: [/player not found/i, /no player found/i, /could not find (?:a |that |this )?player/i, /invalid steam ?id/i]
+    },
+    {
+        outcome: OUTCOMES.NO_DATA,
+        text: [/no matches (?:found|recorded|played)/i, /has(?:n't| not) played any/i, /no cs2 (?:data|matches|stats)/i]
+    }
+];
+
+// Elements the site shows its notices in. A profile can contain the same
+// phrases anywhere else, e.g. in a nickname, which is also in the title.
+const NOTICE_SELECTOR = '.alert, .notice, .error, .error-page, .empty-state, .no-data, [role="alert"]';
+
+const NUMBER_PATTERN = /^[-+]?(?:\d{1,3}(?:[,\s]\d{3})+|\d+)(?:\.\d+)?\s*%?$/;
+
+const LABEL_INDEX = new Map();
+for (const [field, { labels }] of Object.entries(STAT_FIELDS)) {
+    for (const label of labels) {
+        LABEL_INDEX.set(label, field);
+    }
+}
+
+export const normalizeLabel = (text) => (text || '')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .replace(/[:\s]+$/, '')
+    .trim();
+
+export const ownText = ($, element) => $(element).text().replace(/\s+/g, ' ').trim();
+
+export function isNumericText(text) {
+    return NUMBER_PATTERN.test((text || '').trim());
+}
+
+// Turns "1,234", "55%", " 1.05 " into numbers according to the field type.
+// Returns null when the text does not fit the type (e.g. "55%" for a count).
+export function normalizeValue(text, type) {
+    const raw = (text || '').trim();
+    if (!isNumericText(raw)) return null;
+
+    const isPercent = raw.endsWith('%');
+    const number = parseFloat(raw.replace(/[%,\s]/g, ''));
+    if (!Number.isFinite(number)) return null;
+
+    switch (type) {
+        case 'integer':
+            if (isPercent || !Number.isInteger(number) || number < 0) return null;
+            return number;
+        case 'percent':
+            if (number < 0 || number > 100) return null;
+            return number;
+        case 'decimal':
+            if (isPercent || number < 0) return null;
+            return number;
+        default:
+            return null;
+    }
+}
+
+function extractPlayerName($) {
+    const heading = $('h1, .player-name, .username').first().text().trim();
+    if (heading) return heading;
+
+    const title = $('title').first().text().split('-')[0]?.trim();
+    return title || null;
+}
+
+function extractSteamId(url) {
+    if (!url) return null;
+    const match = url.match(/\/player\/(\d{17})/);
+    return match ? match[1] : null;
+}
+
+// Elements whose whole text is a known label, keeping only the innermost
+// element when wrappers share the same text
+function findLabelElements($) {
+    const found = [];
+    $('body *').each((_, element) => {
+        if (element.tagName === 'script' || element.tagName === 'style') return;
+
+        const label = normalizeLabel(ownText($, element));
+        const field = LABEL_INDEX.get(label);
+        if (!field) return;
+
+        const childHasSameText = $(element).children().toArray()
+            .some(child => normalizeLabel(ownText($, child)) === label);
+        if (!childHasSameText) {
+            found.push({ element, label, field });
+        }
+    });
+    return found;
+}
+
+// Nearest numeric sibling of a label. In flat "value, label, value, label"
+// lists both neighbours are numbers, so the side is decided by whether the
+// list starts with a value or a label.
+function nearestNumericSibling($, element) {
+    const siblings = $(element).parent().children().toArray();
+    const index = siblings.indexOf(element);
+    const valueFirst = isNumericText(ownText($, siblings[0]));
+
+    for (let distance = 1; distance < siblings.length; distance++) {
+        const before = siblings[index - distance];
+        const after = siblings[index + distance];
+        for (const candidate of valueFirst ? [before, after] : [after, before]) {
+            if (candidate && isNumericText(ownText($, candidate))) {
+                return candidate;
+            }
+        }
+    }
+    return null;
+}
+
+function labelCandidates($) {
+    const candidates = [];
+
+    for (const { element, label, field } of findLabelElements($)) {
+        const sibling = nearestNumericSibling($, element);
+        if (sibling) {
+            candidates.push({ field, node: sibling, source: `label:${label}`, confidence: CONFIDENCE.label });
+            continue;
+        }
+
+        // Label and value wrapped separately, e.g. <div><span>Kills</span></div><div>123</div>
+        const parent = $(element).parent().get(0);
+        if (parent && normalizeLabel(ownText($, parent)) === label) {
+            const uncle = nearestNumericSibling($, parent);
+            if (uncle) {
+                candidates.push({ field, node: uncle, source: `near-label:${label}`, confidence: CONFIDENCE.nearLabel });
+            }
+        }
+    }
+
+    return candidates;
+}
+
+// Circular gauges render their value as SVG <text> next to a caption
+function gaugeCandidates($) {
+    const candidates = [];
+
+    $('svg text').each((_, element) => {
+        if (!isNumericText(ownText($, element))) return;
+
+        const container = $(element).closest('svg').parent();
+        const caption = normalizeLabel(container.clone().find('svg').remove().end().text());
+        const field = LABEL_INDEX.get(caption);
+        if (field) {
+            candidates.push({ field, node: element, source: `gauge:${caption}`, confidence: CONFIDENCE.gauge });
+        }
+    });
+
+    return candidates;
+}
+
+function tooltipCandidates($) {
+    const candidates = [];
+
+    $('[data-tippy-content]').each((_, element) => {
+        const tooltip = normalizeLabel(cheerio.load($(element).attr('data-tippy-content')).text());
+        const field = LABEL_INDEX.get(tooltip);
+        if (!field) return;
+
+        const node = isNumericText(ownText($, element))
+            ? element
+            : $(element).find('*').toArray().find(child => isNumericText(ownText($, child)));
+        if (node) {
+            candidates.push({ field, node, source: `tooltip:${tooltip}`, confidence: CONFIDENCE.tooltip });
+        }
+    });
+
+    return candidates;
+}
+
+// Map and weapon names are stored lower-cased ("AWP" -> "awp"); icons
+// without text are named by their alt/title attribute
+function breakdownName($, cell) {
+    const text = ownText($, cell) || $(cell).find('img').attr('alt') || $(cell).find('[title]').attr('title') || '';
+    const name = text.toLowerCase().replace(/\s+/g, ' ').trim();
+    return name && name.length <= 50 ? name : null;
+}
+
+function tableRows($, table) {
+    const header = $(table).find('thead tr').first();
+    const headerRow = header.length ? header : $(table).find('tr').first();
+    const rows = header.length ? $(table).find('tbody tr') : headerRow.nextAll('tr');
+    return {
+        headers: headerRow.children('th, td').toArray().map(cell => normalizeLabel(ownText($, cell))),
+        rows: rows.toArray()
+    };
+}
+
+// Finds the per-map and per-weapon tables. Returns { maps, weapons, tables }
+// where `tables` are the elements used, so they can be kept out of the
+// career stats.
+function parseBreakdowns($) {
+    const result = { maps: [], weapons: [], tables: [] };
+
+    $('table').each((_, table) => {
+        const { headers, rows } = tableRows($, table);
+        const [kind, breakdown] = Object.entries(BREAKDOWNS)
+            .find(([, { nameLabels }]) => nameLabels.includes(headers[0])) || [];
+        if (!breakdown) return;
+
+        const columns = headers.map(header => Object.entries(breakdown.fields)
+            .find(([, { labels }]) => labels.includes(header))?.[0] ?? null);
+        const seen = new Set(result[kind].map(row => row[breakdown.nameColumn]));
+
+        for (const row of rows) {
+            const cells = $(row).children('td, th').toArray();
+            const name = cells[0] ? breakdownName($, cells[0]) : null;
+            if (!name || seen.has(name)) continue;
+
+            const entry = { [breakdown.nameColumn]: name };
+            let values = 0;
+            columns.forEach((field, index) => {
+                if (!field || index === 0 || !cells[index]) return;
+                const value = normalizeValue(ownText($, cells[index]), breakdown.fields[field].type);
+                if (value !== null) {
+                    entry[field] = value;
+                    values++;
+                }
+            });
+
+            if (values > 0) {
+                result[kind].push(entry);
+                seen.add(name);
+            }
+        }
+
+        result.tables.push(table);
+    });
+
+    return result;
+}
+
+// Returns the outcome for a page that cannot hold stats, or null for what
+// looks like a regular profile
+export function detectPageState(html) {
+    const $ = cheerio.load(html);
+    $('script, style, noscript').remove();
+    const text = $(NOTICE_SELECTOR).toArray()
+        .map(element => $(element).text())
+        .join(' ')
+        .replace(/\s+/g, ' ');
+
+    for (const state of PAGE_STATES) {
+        if (state.markup?.some(pattern => pattern.test(html))) return state.outcome;
+        if (state.text.some(pattern => pattern.test(text))) return state.outcome;
+    }
+    return null;
+}
+
+// Parses a rendered csgostats.gg profile page. Returns
+// { player_info, stats, fields, maps, weapons } where `stats` holds plain
+// numbers, `fields` records the raw text, source and confidence of every
+// value, and `maps`/`weapons` are the per-map and per-weapon breakdowns.
+export function parsePlayerStats(html, { url = null } = {}) {
+    const $ = cheerio.load(html);
+
+    // Breakdown table headers ("Kills", "K/D") must not feed the career stats
+    const { maps, weapons, tables } = parseBreakdowns($);
+    tables.forEach(table => $(table).remove());
+
+    const candidates = [
+        ...labelCandidates($),
+        ...gaugeCandidates($),
+        ...tooltipCandidates($)
+    ];
+
+    // Highest confidence wins; document order breaks ties. A page element can
+    // only supply one field.
+    const ordered = candidates
+        .map((candidate, order) => ({ ...candidate, order }))
+        .sort((a, b) => b.confidence - a.confidence || a.order - b.order);
+
+    const fields = {};
+    const usedNodes = new Set();
+
+    for (const candidate of ordered) {
+        if (fields[candidate.field] || usedNodes.has(candidate.node)) continue;
+
+        const raw = ownText($, candidate.node);
+        const value = normalizeValue(raw, STAT_FIELDS[candidate.field].type);
+        if (value === null) continue;
+
+        fields[candidate.field] = {
+            value,
+            raw,
+            source: candidate.source,
+            confidence: candidate.confidence
+        };
+        usedNodes.add(candidate.node);
+    }
+
+    const stats = {};
+    for (const field of Object.keys(STAT_FIELDS)) {
+        if (fields[field]) {
+            stats[field] = fields[field].value;
+        }
+    }
+
+    return {
+        player_info: {
+            steam_id64: extractSteamId(url),
+            player_name: extractPlayerName($) || 'Unknown',
+            profile_url: url
+        },
+        stats,
+        fields,
+        maps,
+        weapons
+    };
+}
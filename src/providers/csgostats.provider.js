@@ -0,0 +1,47 @@
+import StatsProvider from './provider.js';
+import { parsePlayerStats, detectPageState } from '../parsers/stats.parser.js';
+import { parseMatchList, parseMatch } from '../parsers/matches.parser.js';
+
+// csgostats.gg already labels its stats the way our columns are named,
+// so no field mapping is needed
+class CsgostatsProvider extends StatsProvider {
+    constructor() {
+        super({
+            name: 'csgostats',
+            label: 'csgostats.gg',
+            readySelectors: [
+                { selector: '[data-tippy-content], .stat-card, .stats-section', options: { visible: true } },
+                { selector: 'text/K/D', options: { timeout: 10000 } }
+            ],
+            matchReadySelectors: [
+                { selector: 'a[href*="/match/"], a[href*="/player/"]' }
+            ]
+        });
+    }
+
+    profileUrl(steamId64) {
+        return `https://csgostats.gg/player/${steamId64}`;
+    }
+
+    detectPageState(html) {
+        return detectPageState(html);
+    }
+
+    parse(html, { url = null } = {}) {
+        return parsePlayerStats(html, { url });
+    }
+
+    matchHistoryUrl(steamId64) {
+        return `https://csgostats.gg/player/${steamId64}#/matches`;
+    }
+
+    parseMatchList(html, { url = null } = {}) {
+        return parseMatchList(html, { url });
+    }
+
+    parseMatch(html, { url = null } = {}) {
+        return parseMatch(html, { url });
+    }
+}
+
+export default CsgostatsProvider;
@@ -0,0 +1,35 @@
+import StatsProvider from './provider.js';
+import CsgostatsProvider from './csgostats.provider.js';
+import settings from '../config/settings.js';
+
+const providers = new Map();
+
+export function registerProvider(provider) {
+    if (!(provider instanceof StatsProvider)) {
+        throw new Error('Stats providers must extend StatsProvider');
+    }
+    providers.set(provider.name, provider);
+    return provider;
+}
+
+export function hasProvider(name) {
+    return providers.has(name);
+}
+
+// Without a name the scraper.provider setting (STATS_PROVIDER) is used
+export function getProvider(name = null) {
+    const key = name || settings.get('scraper.provider');
+    const provider = providers.get(key);
+    if (!provider) {
+        throw new Error(`Unknown stats provider "${key}" (available: ${[...providers.keys()].join(', ')})`);
+    }
+    return provider;
+}
+
+export function listProviders() {
+    return [...providers.values()].map(({ name, label }) => ({ name, label }));
+}
+
+registerProvider(new CsgostatsProvider());
+
+export { StatsProvider };
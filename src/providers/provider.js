@@ -0,0 +1,174 @@
+import { performance } from 'perf_hooks';
+import { STAT_FIELDS, MAP_FIELDS, WEAPON_FIELDS } from '../parsers/stats.parser.js';
+import { OUTCOMES, ScrapeError, outcomeFromHttpStatus } from '../scrapeOutcome.js';
+import { parseRetryAfter } from '../rateLimiter.js';
+import { toSteamId64 } from '../steamId.js';
+import settings from '../config/settings.js';
+import { createLogger } from '../logger.js';
+import { pageLoadDuration, secondsSince } from '../metrics.js';
+
+const logger = createLogger('provider');
+
+const OUTCOME_MESSAGES = {
+    [OUTCOMES.PRIVATE_PROFILE]: 'Player profile is private',
+    [OUTCOMES.NOT_FOUND]: 'Player not found',
+    [OUTCOMES.NO_DATA]: 'Player has no recorded CS2 matches',
+    [OUTCOMES.BLOCKED]: 'Blocked by a challenge or rate-limit page'
+};
+
+const PLAYER_LINK_PATTERN = /(?:\/player\/|steamcommunity\.com\/profiles\/)(\d{17})\b/g;
+
+// A site we can read player stats from. Every provider:
+//   fetch(page, steamId64)  loads the profile and returns { html, url }
+//   parse(html, context)    extracts { player_info, stats, fields, maps?, weapons? } in the site's own terms
+//   mapFields(parsed)       renames the site's keys to our player_stats columns
+// Subclasses usually only implement profileUrl() and parse(), and set
+// `readySelectors` and `fieldMap`. Providers that can also read match
+// history implement matchHistoryUrl(), parseMatchList() and parseMatch().
+class StatsProvider {
+    constructor({ name, label = name, readySelectors = [], matchReadySelectors = [], fieldMap = {} }) {
+        this.name = name;
+        this.label = label;
+        // Tried in order until one appears; each is { selector, options }.
+        // Without a timeout of their own they wait browser.selectorTimeout.
+        this.readySelectors = readySelectors;
+        this.matchReadySelectors = matchReadySelectors;
+        // Site key -> player_stats column, for keys that differ from ours
+        this.fieldMap = fieldMap;
+    }
+
+    profileUrl(steamId64) {
+        throw new Error(`Provider "${this.name}" does not implement profileUrl()`);
+    }
+
+    parse(html, context) {
+        throw new Error(`Provider "${this.name}" does not implement parse()`);
+    }
+
+    get supportsMatches() {
+        return this.matchHistoryUrl !== StatsProvider.prototype.matchHistoryUrl;
+    }
+
+    matchHistoryUrl(steamId64) {
+        throw new Error(`Provider "${this.name}" does not support match history`);
+    }
+
+    // Returns [{ source_match_id, url, played_at, map_name, team_score, opponent_score }]
+    parseMatchList(html, context) {
+        throw new Error(`Provider "${this.name}" does not implement parseMatchList()`);
+    }
+
+    // Returns { map_name, played_at, team1_score, team2_score, players }
+    parseMatch(html, context) {
+        throw new Error(`Provider "${this.name}" does not implement parseMatch()`);
+    }
+
+    // SteamID64s of the other players a page links to (teammates, opponents,
+    // friends); the discovery crawl queues them
+    linkedSteamIds(html) {
+        const ids = new Set();
+        for (const [, id] of html.matchAll(PLAYER_LINK_PATTERN)) {
+            if (toSteamId64(id).steamId64) ids.add(id);
+        }
+        return [...ids];
+    }
+
+    // Recognises pages that can never contain stats (private, blocked, ...)
+    detectPageState(html) {
+        return null;
+    }
+
+    async fetch(page, steamId64) {
+        return await this.load(page, this.profileUrl(steamId64), this.readySelectors);
+    }
+
+    async fetchMatchList(page, steamId64) {
+        return await this.load(page, this.matchHistoryUrl(steamId64), this.matchReadySelectors);
+    }
+
+    async fetchMatch(page, url) {
+        return await this.load(page, url, this.matchReadySelectors);
+    }
+
+    async load(page, url, readySelectors) {
+        logger.debug(`🌐 Navigating to: ${url}`);
+        const startedAt = performance.now();
+
+        const response = await page.goto(url, {
+            waitUntil: 'networkidle2'
+        });
+
+        if (!response.ok()) {
+            const error = new ScrapeError(
+                outcomeFromHttpStatus(response.status()),
+                `HTTP ${response.status()}: ${response.statusText()}`
+            );
+            error.retryAfterMs = parseRetryAfter(response.headers()['retry-after']);
+            throw error;
+        }
+
+        await this.checkPageState(page);
+
+        logger.debug('✅ Page loaded successfully');
+        logger.debug('⏳ Waiting for stats to load...');
+        await this.waitForStats(page, readySelectors);
+        // Only pages that loaded; failures are counted by outcome instead
+        pageLoadDuration.observe({ provider: this.name }, secondsSince(startedAt));
+
+        return { html: await page.content(), url: page.url() };
+    }
+
+    async waitForStats(page, readySelectors = this.readySelectors) {
+        for (const { selector, options } of readySelectors) {
+            try {
+                await page.waitForSelector(selector, { timeout: settings.get('browser.selectorTimeout'), ...options });
+                logger.debug('📈 Stats elements found', { selector });
+                return;
+            } catch {
+                // try the next selector
+            }
+        }
+
+        // A slow or half-loaded page ends up here as well, so this is a
+        // timeout to retry. Only the parser can tell that the layout changed.
+        if (readySelectors.length > 0) {
+            await this.checkPageState(page);
+            throw new ScrapeError(OUTCOMES.TIMEOUT, 'Stats elements did not appear in time');
+        }
+    }
+
+    // Fails fast on pages that can never contain stats
+    async checkPageState(page) {
+        const outcome = this.detectPageState(await page.content());
+        if (outcome) {
+            throw new ScrapeError(outcome, OUTCOME_MESSAGES[outcome]);
+        }
+    }
+
+    // Keys that are neither mapped nor already one of our columns are dropped.
+    // Map and weapon rows must already use our column names.
+    mapFields({ player_info = {}, stats = {}, fields = {}, maps = [], weapons = [] }) {
+        const column = (key) => this.fieldMap[key] || (STAT_FIELDS[key] ? key : null);
+        const keep = (row, name, known) => Object.fromEntries(
+            Object.entries(row).filter(([key]) => key === name || known[key])
+        );
+        const mapped = {
+            player_info,
+            stats: {},
+            fields: {},
+            maps: maps.filter(row => row.map_name).map(row => keep(row, 'map_name', MAP_FIELDS)),
+            weapons: weapons.filter(row => row.weapon_name).map(row => keep(row, 'weapon_name', WEAPON_FIELDS))
+        };
+
+        for (const [key, value] of Object.entries(stats)) {
+            if (column(key)) mapped.stats[column(key)] = value;
+        }
+        for (const [key, value] of Object.entries(fields)) {
+            if (column(key)) mapped.fields[column(key)] = value;
+        }
+
+        return mapped;
+    }
+}
+
+export default StatsProvider;
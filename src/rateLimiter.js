@@ -0,0 +1,103 @@
+import { createLogger } from './logger.js';
+import { throttlesTotal } from './metrics.js';
+
+const logger = createLogger('rateLimiter');
+
+// Retry-After is either a number of seconds or an HTTP date
+export function parseRetryAfter(value, now = Date.now()) {
+    if (value === undefined || value === null || value === '') return null;
+
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) {
+        return Math.max(0, seconds * 1000);
+    }
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+// Spaces request starts across all workers. Throttling responses double the
+// interval and pause everyone; a run of successes slowly brings it back down.
+class RateLimiter {
+    constructor(options = {}) {
+        this.baseInterval = options.baseInterval ?? 2000;
+        this.maxInterval = options.maxInterval ?? 60000;
+        // Backoff floor, so throttling slows down even a run with no delay
+        this.minThrottleInterval = options.minThrottleInterval ?? 1000;
+        this.cooldown = options.cooldown ?? 60000;
+        this.rampUpAfter = options.rampUpAfter ?? 10;
+        this.rampUpFactor = options.rampUpFactor ?? 0.8;
+
+        this.interval = this.baseInterval;
+        this.nextSlotAt = 0;
+        this.pausedUntil = 0;
+        this.consecutiveSuccesses = 0;
+        this.throttleCount = 0;
+        this.requestTimes = [];
+    }
+
+    // Reserve the next start slot synchronously so that concurrent callers
+    // are spaced at least `interval` apart, and never start while paused
+    async acquire() {
+        const now = Date.now();
+        const slot = Math.max(now, this.nextSlotAt, this.pausedUntil);
+        this.nextSlotAt = slot + this.interval;
+
+        if (slot > now) {
+            await new Promise(resolve => setTimeout(resolve, slot - now));
+        }
+
+        // A pause may have started while we were waiting
+        if (this.pausedUntil > Date.now()) {
+            return this.acquire();
+        }
+
+        this.requestTimes.push(Date.now());
+    }
+
+    // A throttled interval above the new base is kept and ramps down to it
+    setBaseInterval(baseInterval) {
+        this.interval = this.interval > this.baseInterval
+            ? Math.max(this.interval, baseInterval)
+            : baseInterval;
+        this.baseInterval = baseInterval;
+    }
+
+    reportSuccess() {
+        this.consecutiveSuccesses++;
+
+        if (this.consecutiveSuccesses >= this.rampUpAfter && this.interval > this.baseInterval) {
+            this.interval = Math.max(this.baseInterval, Math.floor(this.interval * this.rampUpFactor));
+            this.consecutiveSuccesses = 0;
+            logger.info(`📈 Rate ramping back up: ${this.interval}ms between requests`);
+        }
+    }
+
+    reportThrottle(retryAfterMs = null) {
+        const pause = retryAfterMs ?? this.cooldown;
+
+        this.throttleCount++;
+        throttlesTotal.inc();
+        this.consecutiveSuccesses = 0;
+        this.interval = Math.min(this.maxInterval, Math.max(this.interval * 2, this.minThrottleInterval));
+        this.pausedUntil = Math.max(this.pausedUntil, Date.now() + pause);
+
+        logger.warn(`🚦 Throttled by the site - pausing all workers for ${Math.round(pause / 1000)}s, then ${this.interval}ms between requests`);
+    }
+
+    getStats() {
+        const now = Date.now();
+        this.requestTimes = this.requestTimes.filter(time => now - time < 60000);
+
+        return {
+            interval_ms: this.interval,
+            base_interval_ms: this.baseInterval,
+            requests_last_minute: this.requestTimes.length,
+            paused: this.pausedUntil > now,
+            paused_for_ms: Math.max(0, this.pausedUntil - now),
+            throttle_count: this.throttleCount
+        };
+    }
+}
+
+export default RateLimiter;
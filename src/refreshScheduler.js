@@ -0,0 +1,213 @@
+import DatabaseService from './services/database.service.js';
+import { parseCron, nextCronRun } from './cron.js';
+import settings from './config/settings.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('refreshScheduler');
+
+const AGE_UNITS = { s: 1, m: 60, h: 60 * 60, d: 24 * 60 * 60, w: 7 * 24 * 60 * 60 };
+
+// setTimeout can't wait longer than ~24.8 days
+const MAX_TIMEOUT = 2 ** 31 - 1;
+
+// "90m", "6h", "7d", "2w" -> seconds
+export function parseAge(text) {
+    const match = String(text ?? '').trim().match(/^(\d+)\s*([smhdw])$/i);
+    if (!match || Number(match[1]) === 0) {
+        throw new Error(`Invalid age "${text}" (use e.g. 30m, 6h, 7d or 2w)`);
+    }
+    return Number(match[1]) * AGE_UNITS[match[2].toLowerCase()];
+}
+
+// One "selector=age" freshness target. Selectors:
+//   *            every completed Steam ID
+//   tag:NAME     IDs added with that tag
+//   priority:N   priority N; "N+" for N and higher, "N-M" for a range
+function parseRule(text) {
+    const [selector, age] = text.split(/=(?=[^=]*$)/).map(part => part.trim());
+    if (!selector || age === undefined) {
+        throw new Error(`Invalid refresh rule "${text}" (expected selector=age, e.g. tag:pro=6h)`);
+    }
+
+    const rule = { label: selector, maxAgeSeconds: parseAge(age) };
+    if (selector === '*') return rule;
+
+    const tag = selector.match(/^tag:(\S+)$/);
+    if (tag) return { ...rule, tag: tag[1] };
+
+    const priority = selector.match(/^priority:(-?\d+)(\+|-(-?\d+))?$/);
+    if (priority) {
+        const min = Number(priority[1]);
+        const max = priority[2] === '+' ? null : Number(priority[3] ?? priority[1]);
+        if (max !== null && max < min) {
+            throw new Error(`Invalid refresh rule "${text}": empty priority range`);
+        }
+        return { ...rule, minPriority: min, maxPriority: max };
+    }
+
+    throw new Error(`Invalid refresh rule "${text}" (selectors are *, tag:NAME and priority:N, N+ or N-M)`);
+}
+
+// The first rule matching a Steam ID decides its freshness target. IDs no
+// rule matches fall back to `defaultAge`, unless a "*" rule is given.
+export function parseRefreshRules(value, defaultAge = '7d') {
+    const rules = (Array.isArray(value) ? value : String(value || '').split(','))
+        .map(text => String(text).trim())
+        .filter(Boolean)
+        .map(parseRule);
+
+    if (!rules.some(rule => rule.label === '*')) {
+        rules.push({ label: '*', maxAgeSeconds: parseAge(defaultAge) });
+    }
+    return rules;
+}
+
+const formatAge = (seconds) => {
+    const [unit, size] = Object.entries(AGE_UNITS).reverse().find(([, size]) => seconds % size === 0);
+    return `${seconds / size}${unit}`;
+};
+
+// Puts completed Steam IDs whose stats have gone stale back in the queue on
+// a cron schedule, and optionally prunes old scrape logs at the same time.
+// Only runs inside long-lived processes (scrape without --once, serve, the
+// interactive menu); `refresh` runs it once by hand.
+class RefreshScheduler {
+    constructor(options = {}) {
+        this.timer = null;
+        this.started = false;
+        this.nextRunAt = null;
+        this.running = null;
+        this.lastReport = null;
+        this.configure(options);
+    }
+
+    // Also called when a refresh.* setting changes. Everything is parsed
+    // before anything is replaced, so a bad value leaves the scheduler as it
+    // was; a started scheduler re-arms for the new schedule.
+    configure(options = {}) {
+        const schedule = parseCron(options.schedule || settings.get('refresh.schedule'));
+        const rules = parseRefreshRules(
+            options.rules ?? settings.get('refresh.rules'),
+            options.maxAge || settings.get('refresh.maxAge')
+        );
+
+        this.enabled = options.enabled ?? settings.get('refresh.enabled');
+        this.schedule = schedule;
+        this.rules = rules;
+        this.maxPerRun = options.maxPerRun || settings.get('refresh.maxPerRun');
+        // 0 leaves scrape_logs alone
+        this.cleanupLogsDays = options.cleanupLogsDays ?? settings.get('refresh.cleanupLogsDays');
+
+        if (this.started) {
+            const wasActive = this.timer !== null;
+            clearTimeout(this.timer);
+            this.timer = null;
+            if (!this.start() && wasActive) {
+                logger.info('⏰ Refresh scheduler off');
+            }
+        }
+    }
+
+    // Remembers that this process wants refreshes, so enabling them later
+    // with `set refresh.enabled true` starts the timer
+    start() {
+        this.started = true;
+        if (!this.enabled || this.timer) return false;
+
+        this.scheduleNext();
+        logger.info(`⏰ Refresh scheduler on (${this.schedule.expression}), next run ${this.nextRunAt.toLocaleString()}`);
+        return true;
+    }
+
+    stop() {
+        this.started = false;
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.nextRunAt = null;
+    }
+
+    scheduleNext() {
+        this.nextRunAt = nextCronRun(this.schedule);
+        this.arm();
+    }
+
+    // Long waits are split up, so the timer never overflows
+    arm() {
+        const wait = Math.min(Math.max(0, this.nextRunAt - Date.now()), MAX_TIMEOUT);
+        // configure() may have re-armed while a run was in progress
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => {
+            if (Date.now() < this.nextRunAt) {
+                this.arm();
+                return;
+            }
+            this.run()
+                .catch(error => logger.error('❌ Scheduled refresh failed', { error }))
+                .finally(() => {
+                    if (this.timer) this.scheduleNext();
+                });
+        }, wait);
+        this.timer.unref?.();
+    }
+
+    // Re-queues at most maxPerRun stale IDs, the most out of date first
+    async run({ dryRun = false } = {}) {
+        if (this.running) {
+            logger.warn('⚠️ A refresh is already running');
+            return await this.running;
+        }
+
+        this.running = this.refresh(dryRun).finally(() => {
+            this.running = null;
+        });
+        return await this.running;
+    }
+
+    async refresh(dryRun) {
+        const report = { dry_run: dryRun, requeued: 0, rules: [], logs_deleted: null, ran_at: new Date().toISOString() };
+
+        for (const [index, rule] of this.rules.entries()) {
+            const remaining = this.maxPerRun - report.requeued;
+            const stale = remaining > 0
+                ? await DatabaseService.getStaleSteamIds(rule, this.rules.slice(0, index), remaining)
+                : [];
+
+            if (!dryRun && stale.length > 0) {
+                await DatabaseService.requeueSteamIds(stale.map(row => row.steam_id64));
+            }
+            report.requeued += stale.length;
+            report.rules.push({
+                rule: rule.label,
+                max_age: formatAge(rule.maxAgeSeconds),
+                requeued: stale.length,
+                steam_ids: dryRun ? stale.map(row => row.steam_id64) : undefined
+            });
+        }
+
+        if (this.cleanupLogsDays > 0 && !dryRun) {
+            const result = await DatabaseService.cleanupOldLogs(this.cleanupLogsDays);
+            report.logs_deleted = result.affectedRows;
+        }
+
+        const verb = dryRun ? 'Would re-queue' : 'Re-queued';
+        logger.info(`⏰ ${verb} ${report.requeued} stale Steam IDs${report.logs_deleted !== null ? `, deleted ${report.logs_deleted} old scrape logs` : ''}`);
+
+        this.lastReport = report;
+        return report;
+    }
+
+    getStatus() {
+        return {
+            enabled: this.enabled,
+            active: this.timer !== null,
+            schedule: this.schedule.expression,
+            next_run_at: this.nextRunAt?.toISOString() ?? null,
+            rules: this.rules.map(rule => ({ rule: rule.label, max_age: formatAge(rule.maxAgeSeconds) })),
+            max_per_run: this.maxPerRun,
+            cleanup_logs_days: this.cleanupLogsDays,
+            last_run: this.lastReport && { ran_at: this.lastReport.ran_at, requeued: this.lastReport.requeued }
+        };
+    }
+}
+
+export default RefreshScheduler;
@@ -0,0 +1,55 @@
+import { PERMANENT_OUTCOMES } from './scrapeOutcome.js';
+import settings from './config/settings.js';
+
+// Errors that will fail again no matter how often we retry
+const PERMANENT_ERRORS = [
+    /no stats data found/i,
+    /might not have cs2 data/i,
+    /no recorded matches/i,
+    /HTTP 404/i,
+    /HTTP 410/i
+];
+
+class RetryPolicy {
+    constructor(options = {}) {
+        this.maxAttempts = options.maxAttempts || settings.get('retry.maxAttempts');
+        this.baseDelay = options.baseDelay || settings.get('retry.baseDelay');
+        this.maxDelay = options.maxDelay || settings.get('retry.maxDelay');
+        this.jitter = options.jitter ?? 0.2;
+    }
+
+    // Anything not known to be permanent is worth another try. The outcome
+    // code is authoritative; the message is only used when there is none.
+    classify(errorMessage, outcome = null) {
+        if (outcome) {
+            return PERMANENT_OUTCOMES.has(outcome) ? 'permanent' : 'transient';
+        }
+        return PERMANENT_ERRORS.some(pattern => pattern.test(errorMessage || ''))
+            ? 'permanent'
+            : 'transient';
+    }
+
+    // Exponential backoff in seconds: base, 2×base, 4×base... capped at maxDelay
+    backoff(attempts) {
+        const exponential = this.baseDelay * Math.pow(2, Math.max(0, attempts - 1));
+        const capped = Math.min(exponential, this.maxDelay);
+        const spread = capped * this.jitter * (Math.random() * 2 - 1);
+        return Math.max(1, Math.round(capped + spread));
+    }
+
+    // `attempts` includes the attempt that just failed
+    decide(attempts, errorMessage, outcome = null) {
+        const errorType = this.classify(errorMessage, outcome);
+
+        if (errorType === 'permanent') {
+            return { retry: false, errorType, reason: 'permanent error' };
+        }
+        if (attempts >= this.maxAttempts) {
+            return { retry: false, errorType, reason: `gave up after ${attempts} attempts` };
+        }
+
+        return { retry: true, errorType, delaySeconds: this.backoff(attempts) };
+    }
+}
+
+export default RetryPolicy;
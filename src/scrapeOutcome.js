@@ -0,0 +1,42 @@
+// Every way a scrape can end. Stored in steam_ids.last_outcome and
+// scrape_logs.outcome, so keep in sync with migrations 006 and 013.
+export const OUTCOMES = Object.freeze({
+    SUCCESS: 'success',
+    PRIVATE_PROFILE: 'private_profile',
+    NOT_FOUND: 'not_found',
+    NO_DATA: 'no_data',
+    BLOCKED: 'blocked',
+    LAYOUT_CHANGED: 'layout_changed',
+    TIMEOUT: 'timeout',
+    INVALID_DATA: 'invalid_data', // failed data quality checks
+    ERROR: 'error'
+});
+
+// Outcomes that no amount of retrying will change
+export const PERMANENT_OUTCOMES = new Set([
+    OUTCOMES.PRIVATE_PROFILE,
+    OUTCOMES.NOT_FOUND,
+    OUTCOMES.NO_DATA,
+    OUTCOMES.INVALID_DATA
+]);
+
+export class ScrapeError extends Error {
+    constructor(outcome, message) {
+        super(message);
+        this.name = 'ScrapeError';
+        this.outcome = outcome;
+    }
+}
+
+export function outcomeFromHttpStatus(status) {
+    if (status === 404 || status === 410) return OUTCOMES.NOT_FOUND;
+    if (status === 403 || status === 429 || status === 503) return OUTCOMES.BLOCKED;
+    return OUTCOMES.ERROR;
+}
+
+// Maps any thrown error to an outcome; puppeteer timeouts are named TimeoutError
+export function outcomeFromError(error) {
+    if (error instanceof ScrapeError) return error.outcome;
+    if (error?.name === 'TimeoutError' || /timeout/i.test(error?.message || '')) return OUTCOMES.TIMEOUT;
+    return OUTCOMES.ERROR;
+}
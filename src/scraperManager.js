@@ -1,212 +1,787 @@
+import os from 'os';
+import { performance } from 'perf_hooks';
 import ScraperService from './services/scraper.service.js';
 import DatabaseService from './services/database.service.js';
 import dbManager from './config/database.js';
+import WorkerPool from './workerPool.js';
+import RetryPolicy from './retryPolicy.js';
+import RateLimiter from './rateLimiter.js';
+import { OUTCOMES } from './scrapeOutcome.js';
+import { JOB_TYPES } from './jobTypes.js';
+import { getProvider } from './providers/index.js';
+import { archivePage } from './pageArchive.js';
+import Discovery, { parseIdList } from './discovery.js';
+import RefreshScheduler from './refreshScheduler.js';
+import { DataQualityPolicy, describeFlags, serializeFlags } from './dataQuality.js';
+import settings from './config/settings.js';
+import { createLogger, withLogContext, addLogContext } from './logger.js';
+import metrics, { scrapesTotal, scrapeDuration, queueJobs, scraperRunning, requestInterval, secondsSince } from './metrics.js';
+
+const logger = createLogger('scraperManager');
+
+// Returned for jobs a shutdown gave up on; they are already back in the queue
+const INTERRUPTED = 'interrupted';
+
+// Settings read once per run wait for the next one while a run is going
+const nextRun = (field) => (manager, value) => {
+    if (manager.isRunning) {
+        manager.nextRun[field] = value;
+    } else {
+        manager[field] = value;
+    }
+};
+
+// How a changed setting reaches a running instance. browser.* settings are
+// read for every new page, so they need nothing here; a handler that throws
+// rejects the change.
+const SETTING_HANDLERS = {
+    'scraper.concurrency': nextRun('concurrency'),
+    'scraper.leaseSeconds': nextRun('leaseSeconds'),
+    'scraper.batchSize': (manager, value) => { manager.batchSize = value; },
+    'scraper.delay': (manager, value) => {
+        manager.delay = value;
+        manager.rateLimiter.setBaseInterval(value);
+    },
+    'scraper.provider': (manager, value) => { getProvider(value); },
+    'scraper.archivePages': (manager, value) => { manager.archivePages = value; },
+    'scraper.matchHistoryLimit': (manager, value) => { manager.matchHistoryLimit = value; },
+    'retry.maxAttempts': (manager, value) => { manager.retryPolicy.maxAttempts = value; },
+    'retry.baseDelay': (manager, value) => { manager.retryPolicy.baseDelay = value; },
+    'retry.maxDelay': (manager, value) => { manager.retryPolicy.maxDelay = value; },
+    'discovery.enabled': (manager, value) => { manager.discovery.enabled = value; },
+    'discovery.maxDepth': (manager, value) => { manager.discovery.maxDepth = value; },
+    'discovery.maxQueue': (manager, value) => { manager.discovery.maxQueue = value; },
+    'discovery.basePriority': (manager, value) => { manager.discovery.basePriority = value; },
+    'discovery.priorityStep': (manager, value) => { manager.discovery.priorityStep = value; },
+    'discovery.allow': (manager, value) => { manager.discovery.allow = parseIdList(value); },
+    'discovery.deny': (manager, value) => { manager.discovery.deny = parseIdList(value); },
+    'quality.mode': (manager, value) => { manager.dataQuality.mode = value; }
+};
 
 class ScraperManager {
-    constructor() {
+    constructor(options = {}) {
         this.scraperService = new ScraperService();
+        this.retryPolicy = new RetryPolicy(options.retry);
+        this.discoveryOptions = options.discovery || {};
+        this.discovery = new Discovery(this.discoveryOptions);
+        this.refreshScheduler = new RefreshScheduler(options.refresh);
+        this.dataQuality = new DataQualityPolicy(options.dataQuality);
         this.isRunning = false;
-        this.batchSize = 5; // Fixed batch size
-        this.delay = 2000; // Fixed delay (2 seconds)
+        this.batchSize = settings.get('scraper.batchSize');
+        this.delay = settings.get('scraper.delay'); // Minimum delay between requests across all workers
+        this.rateLimiter = new RateLimiter({ baseInterval: this.delay });
+        this.concurrency = options.concurrency || settings.get('scraper.concurrency');
+        this.instanceId = options.instanceId || `${os.hostname()}:${process.pid}`;
+        this.leaseSeconds = settings.get('scraper.leaseSeconds');
+        this.nextRun = {}; // settings changed during a run
+        this.reapInterval = 60000;
+        this.pool = null;
+        this.queue = [];
+        this.attempts = new Map();
+        this.leases = new Map(); // Steam ID -> lease token of the claimed jobs
+        this.providers = new Map(); // per-ID provider pinned in steam_ids
+        this.provider = options.provider || null; // provider for this run
+        this.archivePages = options.archivePages ?? settings.get('scraper.archivePages');
+        this.jobType = options.jobType || JOB_TYPES.PROFILE; // queue this run works on
+        this.matchHistoryLimit = settings.get('scraper.matchHistoryLimit');
+        this.refilling = null;
+        this.claimLimit = null;
+        this.claimedCount = 0;
+        this.timers = [];
+        this.finished = Promise.resolve(); // settles once the current run has wrapped up
+        this.activeJobs = new Map(); // Steam ID -> scrape log ID of the jobs in progress
+        this.abandoned = new Set(); // jobs interrupted by a shutdown, whose results are dropped
         this.processedCount = 0;
         this.successCount = 0;
         this.failureCount = 0;
+        this.discoveredCount = 0;
+
+        this.onSettingChange = ({ key, value }) => this.applySetting(key, value);
+        settings.on('change', this.onSettingChange);
+        metrics.collector('scraperManager', () => this.collectMetrics());
     }
 
-    async initialize() {
+    // Gauges read when /metrics is scraped; a newer manager replaces this one
+    async collectMetrics() {
+        const depth = await DatabaseService.getQueueDepth();
+        queueJobs.reset();
+        depth.forEach(({ job, status, count }) => queueJobs.set({ job, status }, count));
+        scraperRunning.set({}, this.isRunning ? 1 : 0);
+        requestInterval.set({}, this.rateLimiter.interval / 1000);
+    }
+
+    applySetting(key, value) {
+        if (key.startsWith('refresh.')) {
+            this.refreshScheduler.configure();
+        } else {
+            SETTING_HANDLERS[key]?.(this, value);
+        }
+    }
+
+    // Commands that only read or write the database can skip the browser
+    async initialize({ browser = true } = {}) {
         try {
-            console.log('🔧 Initializing Scraper Manager...');
+            logger.info('🔧 Initializing Scraper Manager...');
             await dbManager.initialize();
-            await this.scraperService.initialize();
-            console.log('✅ Scraper Manager initialized successfully');
+            if (browser) {
+                await this.scraperService.initialize();
+            }
+            logger.info('✅ Scraper Manager initialized successfully');
         } catch (error) {
-            console.error('❌ Initialization failed:', error.message);
+            logger.error('❌ Initialization failed', { error });
             throw error;
         }
     }
 
-    async processSingleSteamId(steamId64) {
-        const logId = await DatabaseService.logScrapeStart(steamId64);
+    // Every record logged while the job runs, here or in the services it
+    // calls, carries its Steam ID, scrape log ID and worker
+    async processSingleSteamId(steamId64, worker = null) {
+        const context = { steam_id64: steamId64, job: this.jobType, worker: worker?.id ?? null };
+        const startedAt = performance.now();
+        const result = await withLogContext(context, () => this.processJob(steamId64, worker));
+
+        scrapesTotal.inc({ job: this.jobType, outcome: result.outcome });
+        scrapeDuration.observe({ job: this.jobType }, secondsSince(startedAt));
+        return result;
+    }
+
+    async processJob(steamId64, worker) {
+        const logId = await DatabaseService.logScrapeStart(steamId64, this.jobType);
+        addLogContext({ log_id: logId });
+        this.activeJobs.set(steamId64, logId);
+        const tag = worker ? `[W${worker.id}] ` : '';
+        const isProfile = this.jobType === JOB_TYPES.PROFILE;
         
         try {
-            // Update status to processing
-            await DatabaseService.updateSteamIdStatus(steamId64, 'processing');
+            // The row is already 'processing' and leased to us by claimPendingSteamIds
+            logger.info(`🎯 ${tag}Processing Steam ID: ${steamId64}${isProfile ? '' : ' (match history)'}`);
             
-            console.log(`🎯 Processing Steam ID: ${steamId64}`);
-            
-            // Scrape the stats
-            const result = await this.scraperService.scrapePlayerStats(steamId64);
+            // Scrape the stats; an ID pinned to a provider overrides the run's choice
+            const provider = this.providers.get(steamId64) || this.provider;
+            let result = isProfile
+                ? await this.scraperService.scrapePlayerStats(steamId64, { provider, keepHtml: this.archivePages })
+                : await this.scrapeMatchHistory(steamId64, provider, tag);
+            if (this.abandoned.has(steamId64)) {
+                return { success: false, steamId64, outcome: INTERRUPTED };
+            }
+
+            if (result.outcome === OUTCOMES.BLOCKED) {
+                this.rateLimiter.reportThrottle(result.retryAfterMs);
+                return await this.requeueThrottled(steamId64, logId, result, tag);
+            } else if (result.success) {
+                this.rateLimiter.reportSuccess();
+            }
+
+            if (isProfile && result.success) {
+                result = await this.applyDataQuality(steamId64, result, tag);
+            }
             
             if (result.success) {
-                // Save successful stats
-                await DatabaseService.savePlayerStats(steamId64, result.data);
-                await DatabaseService.updateSteamIdStatus(steamId64, 'completed');
+                // Save successful stats; match history is saved as it is scraped
+                if (isProfile) {
+                    await DatabaseService.savePlayerStats(steamId64, result.data, { qualityFlags: result.qualityFlags });
+                    await DatabaseService.savePlayerBreakdowns(steamId64, {
+                        maps: result.maps,
+                        weapons: result.weapons,
+                        source: result.source
+                    });
+                }
+                const held = await DatabaseService.markSteamIdCompleted(steamId64, this.jobType, this.leaseOf(steamId64));
+                if (!held) this.reportLostLease(steamId64, tag);
                 await DatabaseService.logScrapeSuccess(
                     logId, 
                     steamId64, 
                     result.executionTime, 
                     result.statsCount
                 );
+                await this.archivePage(steamId64, result, tag);
+                await this.discoverFrom(steamId64, result, provider, tag);
                 
                 this.successCount++;
-                console.log(`✅ Successfully processed ${steamId64} (${result.statsCount} stats)`);
+                logger.info(`✅ ${tag}Successfully processed ${steamId64} (${result.statsCount} ${isProfile ? 'stats' : 'new matches'})`, {
+                    outcome: OUTCOMES.SUCCESS,
+                    stats: result.statsCount,
+                    execution_time_ms: result.executionTime
+                });
                 
-                return { success: true, steamId64, stats: result.statsCount };
+                return { success: true, steamId64, outcome: OUTCOMES.SUCCESS, stats: result.statsCount };
             } else {
-                // Save error
-                await DatabaseService.savePlayerStatsError(steamId64, result.error);
-                await DatabaseService.updateSteamIdStatus(steamId64, 'failed');
+                // Save error. Stats that failed the quality checks are in the
+                // quarantine, and the stats saved before them still stand.
+                if (isProfile && result.outcome !== OUTCOMES.INVALID_DATA) {
+                    await DatabaseService.savePlayerStatsError(steamId64, result.error);
+                }
+                await this.handleFailure(steamId64, result.error, result.outcome, tag);
                 await DatabaseService.logScrapeFailure(
                     logId, 
                     steamId64, 
                     result.executionTime, 
-                    result.error
+                    result.error,
+                    result.outcome
                 );
+                await this.archivePage(steamId64, result, tag);
                 
                 this.failureCount++;
-                console.log(`❌ Failed to process ${steamId64}: ${result.error}`);
+                logger.warn(`❌ ${tag}Failed to process ${steamId64} [${result.outcome}]: ${result.error}`, {
+                    outcome: result.outcome,
+                    execution_time_ms: result.executionTime
+                });
                 
-                return { success: false, steamId64, error: result.error };
+                return { success: false, steamId64, outcome: result.outcome, error: result.error };
             }
         } catch (error) {
+            // Closing the browser under an interrupted job fails it
+            if (this.abandoned.has(steamId64)) {
+                return { success: false, steamId64, outcome: INTERRUPTED };
+            }
+
             // Handle unexpected errors
-            await DatabaseService.savePlayerStatsError(steamId64, error.message);
-            await DatabaseService.updateSteamIdStatus(steamId64, 'failed');
-            await DatabaseService.logScrapeFailure(logId, steamId64, 0, error.message);
+            if (isProfile) {
+                await DatabaseService.savePlayerStatsError(steamId64, error.message);
+            }
+            await this.handleFailure(steamId64, error.message, OUTCOMES.ERROR, tag);
+            await DatabaseService.logScrapeFailure(logId, steamId64, 0, error.message, OUTCOMES.ERROR);
             
             this.failureCount++;
-            console.error(`💥 Unexpected error processing ${steamId64}:`, error.message);
+            logger.error(`💥 ${tag}Unexpected error processing ${steamId64}`, { error, outcome: OUTCOMES.ERROR });
             
-            return { success: false, steamId64, error: error.message };
+            return { success: false, steamId64, outcome: OUTCOMES.ERROR, error: error.message };
         } finally {
             this.processedCount++;
+            this.activeJobs.delete(steamId64);
+            this.abandoned.delete(steamId64);
+            this.attempts.delete(steamId64);
+            this.leases.delete(steamId64);
+            this.providers.delete(steamId64);
+
+            if (this.processedCount % this.batchSize === 0) {
+                this.logProgress();
+            }
+        }
+    }
+
+    // Loads the player's match list, then the scoreboard of every match that
+    // is not stored yet, so matches shared by tracked players are loaded once.
+    // Each scoreboard page waits for the rate limiter like any other request,
+    // but the job counts as one success towards ramping the spacing back down.
+    async scrapeMatchHistory(steamId64, provider, tag = '') {
+        const list = await this.scraperService.scrapeMatchList(steamId64, { provider, limit: this.matchHistoryLimit });
+        if (!list.success) return { ...list, statsCount: 0 };
+
+        const stored = await DatabaseService.getStoredMatchIds(
+            list.source, list.matches.map(match => match.source_match_id)
+        );
+        let executionTime = list.executionTime;
+        let saved = 0;
+        let failed = 0;
+        const linkedSteamIds = new Set();
+
+        for (const entry of list.matches) {
+            if (stored.has(entry.source_match_id)) continue;
+
+            await this.rateLimiter.acquire();
+            const result = await this.scraperService.scrapeMatch(entry.url, { provider: list.source });
+            executionTime += result.executionTime;
+
+            // Blocked ends the whole job, which is requeued for after the pause;
+            // the matches saved so far are skipped next time
+            if (result.outcome === OUTCOMES.BLOCKED) {
+                return { ...result, executionTime, statsCount: saved };
+            }
+            if (!result.success) {
+                failed++;
+                logger.warn(`⚠️ ${tag}Skipped match ${entry.source_match_id}: ${result.error}`);
+                continue;
+            }
+
+            // Scoreboards that leave out the player still record their result
+            const players = result.match.players.some(player => player.steam_id64 === steamId64)
+                ? result.match.players
+                : [...result.match.players, { steam_id64: steamId64, result: entry.result }];
+
+            await DatabaseService.saveMatch({
+                ...result.match,
+                source: list.source,
+                source_match_id: entry.source_match_id,
+                url: entry.url,
+                map_name: result.match.map_name ?? entry.map_name,
+                played_at: result.match.played_at ?? entry.played_at,
+                players
+            });
+            players.forEach(player => linkedSteamIds.add(player.steam_id64));
+            saved++;
         }
+
+        logger.info(`📜 ${tag}${steamId64}: ${saved} new matches, ${stored.size} already stored${failed ? `, ${failed} failed` : ''}`);
+        return {
+            success: true,
+            outcome: OUTCOMES.SUCCESS,
+            source: list.source,
+            executionTime,
+            statsCount: saved,
+            linkedSteamIds: [...linkedSteamIds].filter(id => id !== steamId64)
+        };
     }
 
-    async processBatch() {
+    // Queues the players seen while scraping, when discovery is on. Like
+    // archiving, discovery problems never fail the scrape itself.
+    async discoverFrom(steamId64, result, provider = null, tag = '') {
+        if (!this.discovery.enabled || !result.linkedSteamIds?.length) return;
+
         try {
-            // Get pending Steam IDs
-            const pendingSteamIds = await DatabaseService.getPendingSteamIds(this.batchSize);
-            
-            if (pendingSteamIds.length === 0) {
-                console.log('📭 No pending Steam IDs found');
-                return { processed: 0, completed: true };
+            const { queued, depth, skipped } = await this.discovery.discover(steamId64, result.linkedSteamIds, {
+                jobType: this.jobType,
+                provider
+            });
+            this.discoveredCount += queued;
+            if (queued > 0) {
+                logger.info(`🧭 ${tag}Discovered ${queued} new Steam IDs at depth ${depth} from ${steamId64}`);
+            } else if (skipped) {
+                logger.info(`🧭 ${tag}Not following ${result.linkedSteamIds.length} players seen on ${steamId64}: ${skipped}`);
             }
-            
-            console.log(`📦 Processing batch of ${pendingSteamIds.length} Steam IDs`);
-            
-            const results = [];
-            
-            for (const { steam_id64 } of pendingSteamIds) {
-                if (!this.isRunning) {
-                    console.log('⏸️ Scraping stopped by user');
-                    break;
-                }
-                
-                const result = await this.processSingleSteamId(steam_id64);
-                results.push(result);
-                
-                // Add delay between requests to avoid rate limiting
-                if (pendingSteamIds.indexOf(pendingSteamIds.find(p => p.steam_id64 === steam_id64)) < pendingSteamIds.length - 1) {
-                    console.log(`⏳ Waiting ${this.delay}ms before next request...`);
-                    await this.scraperService.delay(this.delay);
-                }
+        } catch (error) {
+            logger.warn(`⚠️ ${tag}Discovery failed for ${steamId64}`, { error });
+        }
+    }
+
+    // Runs the data quality checks on a successful profile scrape. Returns the
+    // result with its flags, or an invalid_data failure when the policy
+    // quarantines or rejects the stats.
+    async applyDataQuality(steamId64, result, tag = '') {
+        const quality = this.dataQuality.review(result.data);
+        if (quality.flags.length > 0) {
+            logger.warn(`🔍 ${tag}${steamId64} has data quality flags: ${serializeFlags(quality.flags)}`, {
+                quality_flags: quality.flags.map(flag => flag.code)
+            });
+        }
+        if (quality.action === 'save') {
+            return { ...result, qualityFlags: serializeFlags(quality.flags) };
+        }
+
+        if (quality.action === 'quarantine') {
+            const id = await DatabaseService.quarantinePlayerStats(steamId64, result.data, quality.flags);
+            logger.warn(`🧪 ${tag}Quarantined the stats of ${steamId64} for review (#${id})`, { quarantine_id: id });
+        }
+        return {
+            ...result,
+            success: false,
+            outcome: OUTCOMES.INVALID_DATA,
+            error: `Stats failed data quality checks: ${describeFlags(quality.flags.filter(flag => flag.severity === 'error'))}`,
+            statsCount: 0
+        };
+    }
+
+    // Archived after the stats are saved, so a page is never older than the
+    // stats it produced. Archiving problems never fail the scrape itself.
+    async archivePage(steamId64, result, tag = '') {
+        if (!result.page) return;
+
+        try {
+            await archivePage(steamId64, {
+                source: result.source,
+                url: result.page.url,
+                outcome: result.outcome,
+                html: result.page.html
+            });
+        } catch (error) {
+            logger.warn(`⚠️ ${tag}Failed to archive page for ${steamId64}`, { error });
+        }
+    }
+
+    // Being throttled says nothing about the Steam ID, so it goes back to the
+    // queue without using up an attempt and waits out the pause like the rest
+    async requeueThrottled(steamId64, logId, result, tag = '') {
+        await DatabaseService.releaseClaims(this.instanceId, [steamId64], this.jobType);
+        await DatabaseService.logScrapeFailure(logId, steamId64, result.executionTime, result.error, result.outcome);
+        await this.archivePage(steamId64, result, tag);
+
+        this.failureCount++;
+        logger.warn(`🚦 ${tag}Throttled while processing ${steamId64}, returned it to pending: ${result.error}`, {
+            outcome: result.outcome,
+            execution_time_ms: result.executionTime
+        });
+
+        return { success: false, steamId64, outcome: result.outcome, error: result.error };
+    }
+
+    // Either schedules another attempt with backoff or moves the ID to the
+    // dead-letter status, depending on the error and how often it has failed
+    async handleFailure(steamId64, errorMessage, outcome = OUTCOMES.ERROR, tag = '') {
+        const attempts = this.attempts.get(steamId64) || 1;
+        const decision = this.retryPolicy.decide(attempts, errorMessage, outcome);
+
+        const lease = this.leaseOf(steamId64);
+        const held = decision.retry
+            ? await DatabaseService.scheduleSteamIdRetry(
+                steamId64, decision.delaySeconds, errorMessage, decision.errorType, outcome, this.jobType, lease
+            )
+            : await DatabaseService.markSteamIdDead(steamId64, errorMessage, decision.errorType, outcome, this.jobType, lease);
+
+        if (!held) {
+            this.reportLostLease(steamId64, tag);
+        } else if (decision.retry) {
+            logger.info(`🔁 ${tag}Retrying ${steamId64} in ${decision.delaySeconds}s (attempt ${attempts}/${this.retryPolicy.maxAttempts})`, {
+                retry_in_seconds: decision.delaySeconds,
+                attempt: attempts
+            });
+        } else {
+            logger.warn(`🪦 ${tag}Moved ${steamId64} to dead letters: ${decision.reason}`, { attempt: attempts });
+        }
+
+        return decision;
+    }
+
+    leaseOf(steamId64) {
+        return { owner: this.instanceId, token: this.leases.get(steamId64) };
+    }
+
+    // The lease ran out and the reaper returned the job to the queue, so
+    // whoever claims it next records its status
+    reportLostLease(steamId64, tag = '') {
+        logger.warn(`🔒 ${tag}Lost the lease on ${steamId64}; its queue status was left to the next claim`);
+    }
+
+    // Hands out Steam IDs to workers, claiming a new batch from the database
+    // whenever the local queue runs dry
+    async nextSteamId() {
+        while (this.queue.length === 0) {
+            if (!this.isRunning) return null;
+
+            if (!this.refilling) {
+                this.refilling = this.refillQueue().finally(() => {
+                    this.refilling = null;
+                });
             }
-            
-            return {
-                processed: results.length,
-                successful: results.filter(r => r.success).length,
-                failed: results.filter(r => !r.success).length,
-                completed: false
-            };
-            
+
+            const fetched = await this.refilling;
+            if (fetched === 0 && this.queue.length === 0) {
+                return null;
+            }
+        }
+
+        return this.queue.shift();
+    }
+
+    async refillQueue() {
+        const remaining = this.claimLimit === null ? Infinity : this.claimLimit - this.claimedCount;
+        if (remaining <= 0) return 0;
+
+        const claimed = await DatabaseService.claimPendingSteamIds(
+            this.instanceId,
+            Math.min(Math.max(this.batchSize, this.concurrency), remaining),
+            this.leaseSeconds,
+            this.jobType
+        );
+        this.claimedCount += claimed.length;
+
+        if (claimed.length > 0) {
+            logger.debug(`📦 Claimed batch of ${claimed.length} Steam IDs`, { claimed: claimed.length });
+        }
+
+        claimed.forEach(({ steam_id64, attempts, provider, lease_token }) => {
+            this.attempts.set(steam_id64, attempts);
+            this.leases.set(steam_id64, lease_token);
+            if (provider) this.providers.set(steam_id64, provider);
+        });
+        this.queue.push(...claimed.map(({ steam_id64 }) => steam_id64));
+        return claimed.length;
+    }
+
+    async heartbeat() {
+        try {
+            await DatabaseService.heartbeatClaims(this.instanceId, this.leaseSeconds, this.jobType);
+        } catch (error) {
+            logger.error('❌ Lease heartbeat failed', { error });
+        }
+    }
+
+    async reapExpiredLeases() {
+        try {
+            const { requeued, dead } = await DatabaseService.reapExpiredLeases(this.retryPolicy.maxAttempts, this.jobType);
+            if (requeued > 0) {
+                logger.info(`♻️ Returned ${requeued} Steam IDs with expired leases to pending`);
+            }
+            if (dead > 0) {
+                logger.warn(`🪦 Moved ${dead} Steam IDs with expired leases to dead letters after ${this.retryPolicy.maxAttempts} attempts`);
+            }
+            return requeued + dead;
+        } catch (error) {
+            logger.error('❌ Lease reaper failed', { error });
+            return 0;
+        }
+    }
+
+    startLeaseTimers() {
+        this.timers = [
+            setInterval(() => this.heartbeat(), Math.max(1000, this.leaseSeconds * 1000 / 3)),
+            setInterval(() => this.reapExpiredLeases(), this.reapInterval)
+        ];
+    }
+
+    stopLeaseTimers() {
+        this.timers.forEach(timer => clearInterval(timer));
+        this.timers = [];
+    }
+
+    async releaseUnstarted(steamIds) {
+        const released = await DatabaseService.releaseClaims(this.instanceId, steamIds, this.jobType);
+        if (released > 0) {
+            logger.info(`↩️ Returned ${released} unstarted Steam IDs to pending`);
+        }
+    }
+
+    async getDeadLetters(limit = 20) {
+        try {
+            const dead = await DatabaseService.getDeadSteamIds(limit);
+            console.log('\n🪦 Dead-lettered Steam IDs:');
+            if (dead.length === 0) {
+                console.log('   None');
+            }
+            dead.forEach(row => {
+                console.log(`   ${row.steam_id64} - ${row.last_outcome || row.last_error_type || 'unknown'} after ${row.attempts} attempt(s): ${row.last_error}`);
+            });
+
+            return dead;
+        } catch (error) {
+            logger.error('❌ Failed to get dead letters', { error });
+            throw error;
+        }
+    }
+
+    async getClaimedJobs() {
+        try {
+            const jobs = await DatabaseService.getClaimedJobs();
+            console.log('\n🔐 Claimed Jobs:');
+            if (jobs.length === 0) {
+                console.log('   No jobs are currently claimed');
+            }
+            jobs.forEach(job => {
+                const expired = job.lease_seconds_left === null || job.lease_seconds_left < 0;
+                const lease = expired ? 'lease expired' : `lease ${job.lease_seconds_left}s left`;
+                const mine = job.claimed_by === this.instanceId ? ' (this instance)' : '';
+                console.log(`   ${job.steam_id64} - ${job.claimed_by || 'unknown'}${mine} - ${lease}`);
+            });
+
+            return jobs;
         } catch (error) {
-            console.error('❌ Batch processing error:', error.message);
+            logger.error('❌ Failed to get claimed jobs', { error });
             throw error;
         }
     }
 
-    async startScraping() {
+    logProgress() {
+        if (!this.pool) return;
+
+        const workers = this.pool.getStatus()
+            .map(w => `W${w.id}: ${w.processed} (${w.succeeded}✅/${w.failed}❌)${w.current ? ` → ${w.current}` : ''}`)
+            .join(' | ');
+        logger.info(`📊 Progress: ${this.processedCount} processed, ${this.successCount} successful, ${this.failureCount} failed`);
+        logger.info(`   ${workers}`);
+    }
+
+    getWorkerStatus() {
+        return this.pool ? this.pool.getStatus() : [];
+    }
+
+    // `limit` caps how many Steam IDs this run claims; by default it runs
+    // until the queue is empty or it is stopped. `provider` picks the stats
+    // provider for IDs that are not pinned to one, and `jobType` whether
+    // profiles or match histories are scraped.
+    // `discover` turns discovery on or off for this run only
+    async startScraping({ limit = null, provider = this.provider, jobType = this.jobType, discover = null } = {}) {
         if (this.isRunning) {
-            console.log('⚠️ Scraper is already running');
-            return;
+            logger.warn('⚠️ Scraper is already running');
+            return null;
+        }
+        
+        // Fail before claiming anything when the provider or job type is wrong
+        const source = getProvider(provider);
+        if (!Object.values(JOB_TYPES).includes(jobType)) {
+            throw new Error(`Unknown job type "${jobType}"`);
+        }
+        if (jobType === JOB_TYPES.MATCHES && !source.supportsMatches) {
+            throw new Error(`Provider "${source.name}" does not support match history`);
+        }
+        this.provider = provider;
+        this.jobType = jobType;
+        Object.assign(this, this.nextRun);
+        this.nextRun = {};
+        if (discover !== null) {
+            this.discovery = new Discovery({ ...this.discoveryOptions, enabled: discover });
         }
         
         this.isRunning = true;
         this.processedCount = 0;
         this.successCount = 0;
         this.failureCount = 0;
+        this.discoveredCount = 0;
+        this.claimLimit = limit;
+        this.claimedCount = 0;
+        let finish;
+        this.finished = new Promise(resolve => {
+            finish = resolve;
+        });
         
-        console.log('🚀 Starting scraping process...');
-        console.log(`📊 Batch size: ${this.batchSize}, Delay: ${this.delay}ms`);
+        logger.info('🚀 Starting scraping process...');
+        logger.info(`📊 Workers: ${this.concurrency}, Batch size: ${this.batchSize}, Delay: ${this.delay}ms, Provider: ${source.label}, Jobs: ${jobType}${this.archivePages && jobType === JOB_TYPES.PROFILE ? ', archiving pages' : ''}`);
+        if (this.discovery.enabled) {
+            logger.info(`🧭 Discovery: max depth ${this.discovery.maxDepth}, max queue ${this.discovery.maxQueue}`);
+        }
         
         const startTime = Date.now();
         
         try {
-            let totalProcessed = 0;
-            let batchCount = 0;
-            
-            while (this.isRunning) {
-                batchCount++;
-                console.log(`\n🔄 Starting batch #${batchCount}`);
-                
-                const batchResult = await this.processBatch();
-                totalProcessed += batchResult.processed;
-                
-                if (batchResult.completed || batchResult.processed === 0) {
-                    console.log('✅ All pending Steam IDs have been processed');
-                    break;
-                }
-                
-                // Show progress
-                console.log(`📊 Batch #${batchCount} completed: ${batchResult.successful} successful, ${batchResult.failed} failed`);
-                
-                // Brief pause between batches
-                if (this.isRunning) {
-                    await this.scraperService.delay(1000);
-                }
+            // serve starts without a browser; launching it before anything is
+            // claimed means a failed launch leaves the queue alone
+            await this.scraperService.ensureBrowser();
+
+            this.queue = [];
+            this.pool = new WorkerPool({
+                concurrency: this.concurrency,
+                limiter: this.rateLimiter
+            });
+
+            logger.info(`🔐 Claiming jobs as ${this.instanceId} (lease ${this.leaseSeconds}s)`);
+            await this.reapExpiredLeases();
+            this.startLeaseTimers();
+
+            const unstarted = await this.pool.run(
+                () => this.nextSteamId(),
+                (steamId64, worker) => this.processSingleSteamId(steamId64, worker)
+            );
+            await this.releaseUnstarted([...unstarted, ...this.queue]);
+
+            const stopped = !this.isRunning;
+            if (!stopped && limit !== null && this.claimedCount >= limit) {
+                logger.info(`✅ Reached the limit of ${limit} Steam IDs`);
+            } else if (!stopped) {
+                logger.info('✅ All pending Steam IDs have been processed');
+            } else {
+                logger.info('⏸️ Scraping stopped by user');
             }
+            this.logProgress();
             
             const endTime = Date.now();
             const totalTime = endTime - startTime;
             
-            console.log('\n🎉 Scraping process completed!');
-            console.log(`📊 Final Stats:`);
-            console.log(`   Total processed: ${this.processedCount}`);
-            console.log(`   Successful: ${this.successCount}`);
-            console.log(`   Failed: ${this.failureCount}`);
-            console.log(`   Total time: ${Math.round(totalTime / 1000)}s`);
-            console.log(`   Average time per Steam ID: ${Math.round(totalTime / this.processedCount)}ms`);
-            
+            const summary = {
+                processed: this.processedCount,
+                successful: this.successCount,
+                failed: this.failureCount,
+                discovered: this.discoveredCount,
+                stopped,
+                duration_ms: totalTime
+            };
+            const discovered = this.discovery.enabled ? `, ${this.discoveredCount} discovered` : '';
+            logger.info(`🎉 Scraping process completed: ${this.processedCount} processed, ${this.successCount} successful, ${this.failureCount} failed${discovered} in ${Math.round(totalTime / 1000)}s (${Math.round(totalTime / (this.processedCount || 1))}ms per Steam ID)`, summary);
+
+            return summary;
         } catch (error) {
-            console.error('💥 Scraping process failed:', error.message);
+            logger.error('💥 Scraping process failed', { error });
             throw error;
         } finally {
+            this.stopLeaseTimers();
             this.isRunning = false;
+            this.queue = [];
+            this.providers.clear();
+            if (discover !== null) {
+                this.discovery = new Discovery(this.discoveryOptions);
+            }
+            finish();
         }
     }
 
     async stopScraping() {
         if (!this.isRunning) {
-            console.log('⚠️ Scraper is not currently running');
+            logger.warn('⚠️ Scraper is not currently running');
             return;
         }
         
-        console.log('🛑 Stopping scraper...');
+        logger.info('🛑 Stopping scraper (workers finish their current Steam ID)...');
         this.isRunning = false;
+        this.pool?.stop();
+    }
+
+    // Stops claiming and gives the jobs in progress `drainTimeout` seconds to
+    // finish. Jobs still running after that are returned to pending and their
+    // scrape logs marked interrupted. Then the browser and database are
+    // closed. Returns the Steam IDs that were interrupted.
+    async shutdown({ drainTimeout = settings.get('shutdown.drainTimeout') } = {}) {
+        this.refreshScheduler.stop();
+        let interrupted = [];
+
+        if (this.isRunning) {
+            logger.info(`⏳ Waiting up to ${drainTimeout}s for ${this.activeJobs.size} job(s) in progress...`);
+            await this.stopScraping();
+
+            let timer;
+            const drained = await Promise.race([
+                this.finished.then(() => true),
+                new Promise(resolve => {
+                    timer = setTimeout(() => resolve(false), drainTimeout * 1000);
+                })
+            ]);
+            clearTimeout(timer);
+
+            if (!drained) {
+                interrupted = await this.interruptJobs();
+            }
+        }
+
+        await this.cleanup();
+        return { interrupted };
+    }
+
+    async interruptJobs() {
+        const jobs = [...this.activeJobs];
+        const steamIds = jobs.map(([steamId64]) => steamId64);
+        steamIds.forEach(steamId64 => this.abandoned.add(steamId64));
+        this.stopLeaseTimers();
+
+        try {
+            const released = await DatabaseService.releaseClaims(this.instanceId, steamIds, this.jobType);
+            for (const [, logId] of jobs) {
+                await DatabaseService.logScrapeInterrupted(logId);
+            }
+            logger.warn(`⏹️ Interrupted ${steamIds.length} job(s) still running, returned ${released} to pending`, {
+                steam_ids: steamIds
+            });
+        } catch (error) {
+            // Their leases run out, so the reaper returns them to the queue instead
+            logger.error('❌ Failed to return interrupted jobs to pending', { error });
+        }
+        return steamIds;
     }
 
     async addSteamIds(steamIds) {
         try {
             if (Array.isArray(steamIds)) {
                 await DatabaseService.addMultipleSteamIds(steamIds);
-                console.log(`✅ Added ${steamIds.length} Steam IDs to the queue`);
+                logger.info(`✅ Added ${steamIds.length} Steam IDs to the queue`);
             } else {
                 await DatabaseService.addSteamId(steamIds);
-                console.log(`✅ Added Steam ID ${steamIds} to the queue`);
+                logger.info(`✅ Added Steam ID ${steamIds} to the queue`);
             }
         } catch (error) {
-            console.error('❌ Failed to add Steam IDs:', error.message);
+            logger.error('❌ Failed to add Steam IDs', { error });
+            throw error;
+        }
+    }
+
+    // Queues match history scraping for the given Steam IDs, or for every
+    // player whose profile has been scraped
+    async scheduleMatchScraping(steamIds = null, { priority = 1, provider = null } = {}) {
+        try {
+            let scheduled = steamIds?.length;
+            if (steamIds) {
+                await DatabaseService.addMatchJobs(steamIds.map(id => [id, priority, provider]));
+            } else {
+                scheduled = await DatabaseService.addMatchJobsForTrackedPlayers(priority);
+            }
+            logger.info(`✅ Scheduled match history scraping for ${scheduled} Steam IDs`);
+            return scheduled;
+        } catch (error) {
+            logger.error('❌ Failed to schedule match scraping', { error });
             throw error;
         }
     }
@@ -219,14 +794,32 @@ class ScraperManager {
             console.log(`   Pending: ${stats.pending_steam_ids}`);
             console.log(`   Completed: ${stats.completed_steam_ids}`);
             console.log(`   Failed: ${stats.failed_steam_ids}`);
+            console.log(`   Waiting for retry: ${stats.retrying_steam_ids}`);
+            console.log(`   Dead-lettered: ${stats.dead_steam_ids}`);
             console.log(`   Total Player Stats: ${stats.total_player_stats}`);
             console.log(`   Successful Scrapes: ${stats.successful_scrapes}`);
             console.log(`   Failed Scrapes: ${stats.failed_scrapes}`);
+            console.log(`   Pending Match Jobs: ${stats.pending_match_jobs}`);
+            console.log(`   Stored Matches: ${stats.total_matches}`);
             console.log(`   Average Execution Time: ${Math.round(stats.avg_execution_time || 0)}ms`);
+
+            const outcomes = await DatabaseService.getOutcomeSummary();
+            console.log('   Last outcome per Steam ID:');
+            Object.entries(outcomes).forEach(([outcome, count]) => {
+                console.log(`     ${outcome}: ${count}`);
+            });
+
+            const rate = this.rateLimiter.getStats();
+            const paused = rate.paused ? `, paused for ${Math.round(rate.paused_for_ms / 1000)}s` : '';
+            console.log(`   Request Rate: ${rate.requests_last_minute}/min (interval ${rate.interval_ms}ms, base ${rate.base_interval_ms}ms, throttled ${rate.throttle_count}x${paused})`);
+
+            if (this.isRunning) {
+                this.logProgress();
+            }
             
             return stats;
         } catch (error) {
-            console.error('❌ Failed to get stats:', error.message);
+            logger.error('❌ Failed to get stats', { error });
             throw error;
         }
     }
@@ -241,29 +834,34 @@ class ScraperManager {
             
             return topPlayers;
         } catch (error) {
-            console.error('❌ Failed to get top players:', error.message);
+            logger.error('❌ Failed to get top players', { error });
             throw error;
         }
     }
 
-    async resetFailedIds() {
+    // Requeues failed IDs and dead letters that died of transient errors;
+    // permanent failures are only requeued when asked for explicitly
+    async resetFailedIds(includePermanent = false) {
         try {
             await DatabaseService.resetAllFailedSteamIds();
-            console.log('✅ All failed Steam IDs have been reset to pending');
+            const requeued = await DatabaseService.requeueDeadSteamIds(includePermanent);
+            logger.info(`✅ All failed Steam IDs have been reset to pending (${requeued} from dead letters)`);
         } catch (error) {
-            console.error('❌ Failed to reset failed IDs:', error.message);
+            logger.error('❌ Failed to reset failed IDs', { error });
             throw error;
         }
     }
 
     async cleanup() {
         try {
-            console.log('🧹 Cleaning up resources...');
+            logger.info('🧹 Cleaning up resources...');
+            this.refreshScheduler.stop();
+            settings.off('change', this.onSettingChange);
             await this.scraperService.close();
             await dbManager.close();
-            console.log('✅ Cleanup completed');
+            logger.info('✅ Cleanup completed');
         } catch (error) {
-            console.error('❌ Cleanup failed:', error.message);
+            logger.error('❌ Cleanup failed', { error });
         }
     }
 }
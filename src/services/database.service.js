@@ -1,119 +1,534 @@
+import { randomUUID } from 'crypto';
 import dbManager from '../config/database.js';
+import { JOB_TYPES } from '../jobTypes.js';
+import { createLogger } from '../logger.js';
+
+const logger = createLogger('databaseService');
+
+// Queue table of each job type; they share the status, lease and retry columns
+const JOB_TABLES = {
+    [JOB_TYPES.PROFILE]: 'steam_ids',
+    [JOB_TYPES.MATCHES]: 'match_jobs'
+};
+
+// Numeric columns shared by player_stats and player_stats_history
+const STAT_FIELDS = [
+    'kd_ratio', 'hltv_rating', 'win_rate', 'headshot_percentage', 'adr',
+    'matches_played', 'matches_won', 'matches_lost', 'matches_tied',
+    'kills', 'deaths', 'assists', 'headshots', 'total_damage', 'rounds_played',
+    'clutch_success', 'entry_success'
+];
+
+// Per-map and per-weapon breakdown columns, besides the name
+const MAP_COLUMNS = [
+    'matches_played', 'matches_won', 'matches_lost', 'win_rate',
+    'kd_ratio', 'adr', 'kills', 'deaths'
+];
+const WEAPON_COLUMNS = [
+    'kills', 'headshots', 'headshot_percentage', 'accuracy', 'shots', 'hits', 'damage'
+];
+
+// Per-player scoreboard columns of a match
+const SCORELINE_COLUMNS = ['kills', 'deaths', 'assists', 'adr', 'headshot_percentage', 'rating', 'mvps'];
+
+// Columns that may be selected by exports, per dataset
+const EXPORT_COLUMNS = {
+    stats: [
+        'steam_id64', 'player_name', 'profile_url', ...STAT_FIELDS, 'source',
+        'last_scraped', 'scrape_success', 'error_message'
+    ],
+    history: ['id', 'steam_id64', 'player_name', ...STAT_FIELDS, 'source', 'scraped_at'],
+    logs: [
+        'id', 'steam_id64', 'status', 'outcome', 'message',
+        'execution_time', 'stats_extracted', 'created_at'
+    ]
+};
+
+// Limits a job update to the lease it was claimed under, so an instance
+// whose lease ran out cannot overwrite a row that is claimed again
+function leaseGuard(lease) {
+    if (!lease) return { sql: '', params: [] };
+    return { sql: ' AND claimed_by = ? AND lease_token = ?', params: [lease.owner, lease.token] };
+}
 
 class DatabaseService {
     // Steam IDs Management
-    async getPendingSteamIds(limit = 10) {
+    async getPendingSteamIds(limit = 10, jobType = JOB_TYPES.PROFILE) {
         const query = `
-            SELECT steam_id64, id, priority 
-            FROM steam_ids 
+            SELECT steam_id64, id, priority, provider 
+            FROM ${this.jobTable(jobType)} 
             WHERE status = 'pending' 
+                AND (next_attempt_at IS NULL OR next_attempt_at <= CURRENT_TIMESTAMP)
             ORDER BY priority DESC, created_at ASC 
             LIMIT ?
         `;
         return await dbManager.execute(query, [limit]);
     }
 
+    // Finishing a job (or resetting it) always drops its lease
     async updateSteamIdStatus(steamId64, status) {
         const query = `
             UPDATE steam_ids 
-            SET status = ?, updated_at = CURRENT_TIMESTAMP 
+            SET status = ?, updated_at = CURRENT_TIMESTAMP,
+                claimed_by = NULL, claimed_at = NULL, lease_token = NULL,
+                lease_expires_at = NULL, heartbeat_at = NULL
             WHERE steam_id64 = ?
         `;
         return await dbManager.execute(query, [status, steamId64]);
     }
 
-    async addSteamId(steamId64, priority = 1) {
-        const query = `
-            INSERT INTO steam_ids (steam_id64, priority) 
-            VALUES (?, ?) 
-            ON DUPLICATE KEY UPDATE 
-                priority = VALUES(priority),
+    // Queue methods take the job type as their last argument and default to
+    // profile scraping
+    jobTable(jobType) {
+        const table = JOB_TABLES[jobType];
+        if (!table) {
+            throw new Error(`Unknown job type "${jobType}"`);
+        }
+        return table;
+    }
+
+    // Job Leases
+    async claimPendingSteamIds(owner, limit = 10, leaseSeconds = 300, jobType = JOB_TYPES.PROFILE) {
+        // A single UPDATE is atomic, so concurrent instances can never claim
+        // the same row; the token identifies the rows this call won
+        const leaseToken = randomUUID();
+        const claimQuery = `
+            UPDATE ${this.jobTable(jobType)} 
+            SET status = 'processing',
+                claimed_by = ?,
+                claimed_at = CURRENT_TIMESTAMP,
+                lease_token = ?,
+                lease_expires_at = ${dbManager.dialect.secondsFromNow('?')},
+                heartbeat_at = CURRENT_TIMESTAMP,
+                attempts = attempts + 1,
                 updated_at = CURRENT_TIMESTAMP
+            WHERE status = 'pending' 
+                AND (next_attempt_at IS NULL OR next_attempt_at <= CURRENT_TIMESTAMP)
+            ORDER BY priority DESC, created_at ASC 
+            LIMIT ?
+        `;
+        const result = await dbManager.execute(claimQuery, [owner, leaseToken, leaseSeconds, limit]);
+        if (result.affectedRows === 0) return [];
+
+        const selectQuery = `
+            SELECT steam_id64, id, priority, attempts, provider, lease_token 
+            FROM ${this.jobTable(jobType)} 
+            WHERE lease_token = ? 
+            ORDER BY priority DESC, created_at ASC
         `;
-        return await dbManager.execute(query, [steamId64, priority]);
+        return await dbManager.execute(selectQuery, [leaseToken]);
     }
 
-    async addMultipleSteamIds(steamIds) {
-        if (!steamIds || steamIds.length === 0) return;
-        
+    async heartbeatClaims(owner, leaseSeconds = 300, jobType = JOB_TYPES.PROFILE) {
         const query = `
-            INSERT INTO steam_ids (steam_id64, priority) 
-            VALUES ? 
-            ON DUPLICATE KEY UPDATE 
-                priority = VALUES(priority),
-                updated_at = CURRENT_TIMESTAMP
+            UPDATE ${this.jobTable(jobType)} 
+            SET lease_expires_at = ${dbManager.dialect.secondsFromNow('?')},
+                heartbeat_at = CURRENT_TIMESTAMP
+            WHERE status = 'processing' AND claimed_by = ?
         `;
+        const result = await dbManager.execute(query, [leaseSeconds, owner]);
+        return result.affectedRows;
+    }
+
+    async releaseClaims(owner, steamIds, jobType = JOB_TYPES.PROFILE) {
+        if (!steamIds || steamIds.length === 0) return 0;
+
+        const query = `
+            UPDATE ${this.jobTable(jobType)} 
+            SET status = 'pending', updated_at = CURRENT_TIMESTAMP,
+                attempts = CASE WHEN attempts > 0 THEN attempts - 1 ELSE 0 END,
+                claimed_by = NULL, claimed_at = NULL, lease_token = NULL,
+                lease_expires_at = NULL, heartbeat_at = NULL
+            WHERE status = 'processing' AND claimed_by = ? 
+                AND steam_id64 IN (${steamIds.map(() => '?').join(', ')})
+        `;
+        const result = await dbManager.execute(query, [owner, ...steamIds]);
+        return result.affectedRows;
+    }
+
+    // Returns jobs whose lease ran out (or that predate leases) to the queue.
+    // Claiming counted the attempt already, so a job that keeps losing its
+    // lease is dead-lettered once it has used up maxAttempts.
+    async reapExpiredLeases(maxAttempts, jobType = JOB_TYPES.PROFILE) {
+        const expired = `status = 'processing' 
+                AND (lease_expires_at IS NULL OR lease_expires_at < CURRENT_TIMESTAMP)`;
+        const released = `
+                last_error = 'Lease expired', last_error_type = 'transient', last_outcome = 'timeout',
+                claimed_by = NULL, claimed_at = NULL, lease_token = NULL,
+                lease_expires_at = NULL, heartbeat_at = NULL`;
+
+        const dead = await dbManager.execute(`
+            UPDATE ${this.jobTable(jobType)} 
+            SET status = 'dead', updated_at = CURRENT_TIMESTAMP, next_attempt_at = NULL,${released}
+            WHERE ${expired} AND attempts >= ?
+        `, [maxAttempts]);
+        const requeued = await dbManager.execute(`
+            UPDATE ${this.jobTable(jobType)} 
+            SET status = 'pending', updated_at = CURRENT_TIMESTAMP,${released}
+            WHERE ${expired}
+        `);
+        return { requeued: requeued.affectedRows, dead: dead.affectedRows };
+    }
+
+    // Retry Policy. Given the lease of a claimed job, these only update the
+    // row while that lease still holds and return 0 once it is lost.
+    async markSteamIdCompleted(steamId64, jobType = JOB_TYPES.PROFILE, lease = null) {
+        const guard = leaseGuard(lease);
+        const query = `
+            UPDATE ${this.jobTable(jobType)} 
+            SET status = 'completed', updated_at = CURRENT_TIMESTAMP,
+                attempts = 0, next_attempt_at = NULL,
+                last_error = NULL, last_error_type = NULL, last_outcome = 'success',
+                claimed_by = NULL, claimed_at = NULL, lease_token = NULL,
+                lease_expires_at = NULL, heartbeat_at = NULL
+            WHERE steam_id64 = ?${guard.sql}
+        `;
+        const result = await dbManager.execute(query, [steamId64, ...guard.params]);
+        return result.affectedRows;
+    }
+
+    async scheduleSteamIdRetry(steamId64, delaySeconds, errorMessage, errorType, outcome = 'error', jobType = JOB_TYPES.PROFILE, lease = null) {
+        const guard = leaseGuard(lease);
+        const query = `
+            UPDATE ${this.jobTable(jobType)} 
+            SET status = 'pending', updated_at = CURRENT_TIMESTAMP,
+                next_attempt_at = ${dbManager.dialect.secondsFromNow('?')},
+                last_error = ?, last_error_type = ?, last_outcome = ?,
+                claimed_by = NULL, claimed_at = NULL, lease_token = NULL,
+                lease_expires_at = NULL, heartbeat_at = NULL
+            WHERE steam_id64 = ?${guard.sql}
+        `;
+        const result = await dbManager.execute(query, [delaySeconds, errorMessage, errorType, outcome, steamId64, ...guard.params]);
+        return result.affectedRows;
+    }
+
+    async markSteamIdDead(steamId64, errorMessage, errorType, outcome = 'error', jobType = JOB_TYPES.PROFILE, lease = null) {
+        const guard = leaseGuard(lease);
+        const query = `
+            UPDATE ${this.jobTable(jobType)} 
+            SET status = 'dead', updated_at = CURRENT_TIMESTAMP,
+                next_attempt_at = NULL,
+                last_error = ?, last_error_type = ?, last_outcome = ?,
+                claimed_by = NULL, claimed_at = NULL, lease_token = NULL,
+                lease_expires_at = NULL, heartbeat_at = NULL
+            WHERE steam_id64 = ?${guard.sql}
+        `;
+        const result = await dbManager.execute(query, [errorMessage, errorType, outcome, steamId64, ...guard.params]);
+        return result.affectedRows;
+    }
+
+    async getDeadSteamIds(limit = 50) {
+        const query = `
+            SELECT steam_id64, attempts, last_error, last_error_type, last_outcome, updated_at 
+            FROM steam_ids 
+            WHERE status = 'dead' 
+            ORDER BY updated_at DESC 
+            LIMIT ?
+        `;
+        return await dbManager.execute(query, [limit]);
+    }
+
+    // Permanent errors stay dead unless explicitly included
+    async requeueDeadSteamIds(includePermanent = false) {
+        let query = `
+            UPDATE steam_ids 
+            SET status = 'pending', updated_at = CURRENT_TIMESTAMP,
+                attempts = 0, next_attempt_at = NULL
+            WHERE status = 'dead'
+        `;
+        if (!includePermanent) {
+            query += ` AND (last_error_type IS NULL OR last_error_type = 'transient')`;
+        }
+        const result = await dbManager.execute(query);
+        return result.affectedRows;
+    }
+
+    async getClaimedJobs() {
+        const query = `
+            SELECT steam_id64, claimed_by, claimed_at, heartbeat_at, lease_expires_at,
+                ${dbManager.dialect.secondsUntil('lease_expires_at')} AS lease_seconds_left
+            FROM steam_ids 
+            WHERE status = 'processing' 
+            ORDER BY claimed_by ASC, claimed_at ASC
+        `;
+        return await dbManager.execute(query);
+    }
+
+    // `provider` pins the Steam ID to one stats provider; null uses the run's.
+    // `tag` groups IDs for the refresh rules.
+    async addSteamId(steamId64, priority = 1, provider = null, tag = null) {
+        const query = `
+            INSERT INTO steam_ids (steam_id64, priority, provider, tag) 
+            VALUES (?, ?, ?, ?) 
+            ${this.steamIdUpsert()}
+        `;
+        return await dbManager.execute(query, [steamId64, priority, provider, tag]);
+    }
+
+    async addMultipleSteamIds(steamIds, chunkSize = 1000) {
+        if (!steamIds || steamIds.length === 0) return;
         
-        const values = steamIds.map(id => 
-            Array.isArray(id) ? id : [id, 1]
-        );
+        // Each entry is a Steam ID or [steamId64, priority, provider, tag]
+        const values = steamIds.map(id => {
+            const [steamId64, priority = 1, provider = null, tag = null] = Array.isArray(id) ? id : [id];
+            return [steamId64, priority, provider, tag];
+        });
         
-        return await dbManager.execute(query, [values]);
+        let affectedRows = 0;
+        for (let i = 0; i < values.length; i += chunkSize) {
+            const chunk = values.slice(i, i + chunkSize);
+            const query = `
+                INSERT INTO steam_ids (steam_id64, priority, provider, tag) 
+                VALUES ${chunk.map(() => '(?, ?, ?, ?)').join(', ')} 
+                ${this.steamIdUpsert()}
+            `;
+            const result = await dbManager.execute(query, chunk.flat());
+            affectedRows += result.affectedRows;
+        }
+        return { affectedRows };
+    }
+
+    // Re-adding a known Steam ID updates its priority, and its provider and
+    // tag when they are given
+    steamIdUpsert() {
+        const { inserted, upsert } = dbManager.dialect;
+        return upsert('steam_id64', {
+            priority: inserted('priority'),
+            provider: `COALESCE(${inserted('provider')}, provider)`,
+            tag: `COALESCE(${inserted('tag')}, tag)`,
+            updated_at: 'CURRENT_TIMESTAMP'
+        });
+    }
+
+    async getExistingSteamIds(steamIds, chunkSize = 1000) {
+        const existing = new Set();
+
+        for (let i = 0; i < steamIds.length; i += chunkSize) {
+            const chunk = steamIds.slice(i, i + chunkSize);
+            const query = `
+                SELECT steam_id64 FROM steam_ids 
+                WHERE steam_id64 IN (${chunk.map(() => '?').join(', ')})
+            `;
+            const rows = await dbManager.execute(query, chunk);
+            rows.forEach(row => existing.add(row.steam_id64));
+        }
+
+        return existing;
+    }
+
+    // Discovery
+    // Discovered players never overwrite a queued one, so a hand-added seed
+    // keeps its priority and depth
+    async addDiscoveredSteamIds(steamIds, { priority, depth, discoveredFrom, provider = null }, chunkSize = 1000) {
+        let affectedRows = 0;
+        for (let i = 0; i < steamIds.length; i += chunkSize) {
+            const chunk = steamIds.slice(i, i + chunkSize);
+            const query = `
+                INSERT INTO steam_ids (steam_id64, priority, provider, discovery_depth, discovered_from)
+                VALUES ${chunk.map(() => '(?, ?, ?, ?, ?)').join(', ')}
+                ${dbManager.dialect.upsert('steam_id64', { steam_id64: 'steam_id64' })}
+            `;
+            const result = await dbManager.execute(
+                query, chunk.flatMap(steamId64 => [steamId64, priority, provider, depth, discoveredFrom])
+            );
+            affectedRows += result.affectedRows;
+        }
+        return { affectedRows };
+    }
+
+    // NULL depth means the player was added by hand, i.e. is a seed
+    async getDiscoveryDepth(steamId64) {
+        const [row] = await dbManager.execute(
+            'SELECT discovery_depth FROM steam_ids WHERE steam_id64 = ?', [steamId64]
+        );
+        return row ? row.discovery_depth ?? 0 : 0;
+    }
+
+    async countPendingSteamIds() {
+        const [row] = await dbManager.execute("SELECT COUNT(*) AS count FROM steam_ids WHERE status = 'pending'");
+        return Number(row.count);
+    }
+
+    // Refreshing
+    // SQL condition matching the Steam IDs a refresh rule applies to
+    refreshRuleCondition({ tag, minPriority, maxPriority }) {
+        const conditions = [];
+        const params = [];
+        if (tag !== undefined) {
+            conditions.push("COALESCE(s.tag, '') = ?");
+            params.push(tag);
+        }
+        if (minPriority !== undefined) {
+            conditions.push('COALESCE(s.priority, 0) >= ?');
+            params.push(minPriority);
+        }
+        if (maxPriority !== undefined && maxPriority !== null) {
+            conditions.push('COALESCE(s.priority, 0) <= ?');
+            params.push(maxPriority);
+        }
+        return { sql: conditions.length > 0 ? conditions.join(' AND ') : '1 = 1', params };
+    }
+
+    // Completed Steam IDs matched by `rule` (and none of the `earlierRules`)
+    // whose stats are older than the rule allows, the oldest first
+    async getStaleSteamIds(rule, earlierRules = [], limit = 1000) {
+        const match = this.refreshRuleCondition(rule);
+        const excluded = earlierRules.map(earlier => this.refreshRuleCondition(earlier));
+        const query = `
+            SELECT s.steam_id64, s.priority, s.tag, ps.last_scraped 
+            FROM steam_ids s 
+            JOIN player_stats ps ON ps.steam_id64 = s.steam_id64 
+            WHERE s.status = 'completed' 
+              AND ps.last_scraped < ${dbManager.dialect.secondsFromNow('?')} 
+              AND ${match.sql} 
+              ${excluded.map(({ sql }) => `AND NOT (${sql})`).join(' ')} 
+            ORDER BY ps.last_scraped ASC 
+            LIMIT ?
+        `;
+        return await dbManager.execute(query, [
+            -rule.maxAgeSeconds,
+            ...match.params,
+            ...excluded.flatMap(({ params }) => params),
+            limit
+        ]);
+    }
+
+    // Only completed IDs are touched, so an ID picked up by a scraper in the
+    // meantime keeps its lease
+    async requeueSteamIds(steamIds, chunkSize = 1000) {
+        let requeued = 0;
+        for (let i = 0; i < steamIds.length; i += chunkSize) {
+            const chunk = steamIds.slice(i, i + chunkSize);
+            const query = `
+                UPDATE steam_ids 
+                SET status = 'pending', attempts = 0, next_attempt_at = NULL, updated_at = CURRENT_TIMESTAMP 
+                WHERE status = 'completed' AND steam_id64 IN (${chunk.map(() => '?').join(', ')})
+            `;
+            const result = await dbManager.execute(query, chunk);
+            requeued += result.affectedRows;
+        }
+        return requeued;
     }
 
     // Player Stats Management
-    async savePlayerStats(steamId64, playerData) {
+    // `snapshot: false` skips the history row and `scrapedAt` overrides the
+    // scrape time; both are used when replaying archived pages.
+    // `qualityFlags` are the data quality flags of the row (see dataQuality.js).
+    async savePlayerStats(steamId64, playerData, { snapshot = true, scrapedAt = null, qualityFlags = null } = {}) {
         const query = `
             INSERT INTO player_stats (
                 steam_id64, player_name, profile_url,
                 kd_ratio, hltv_rating, win_rate, headshot_percentage, adr,
                 matches_played, matches_won, matches_lost, matches_tied,
                 kills, deaths, assists, headshots, total_damage, rounds_played,
-                clutch_success, entry_success,
+                clutch_success, entry_success, source, quality_flags,
                 last_scraped, scrape_success
             ) VALUES (
-                ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 
-                CURRENT_TIMESTAMP, TRUE
+                ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 
+                COALESCE(?, CURRENT_TIMESTAMP), TRUE
             )
-            ON DUPLICATE KEY UPDATE
-                player_name = VALUES(player_name),
-                profile_url = VALUES(profile_url),
-                kd_ratio = VALUES(kd_ratio),
-                hltv_rating = VALUES(hltv_rating),
-                win_rate = VALUES(win_rate),
-                headshot_percentage = VALUES(headshot_percentage),
-                adr = VALUES(adr),
-                matches_played = VALUES(matches_played),
-                matches_won = VALUES(matches_won),
-                matches_lost = VALUES(matches_lost),
-                matches_tied = VALUES(matches_tied),
-                kills = VALUES(kills),
-                deaths = VALUES(deaths),
-                assists = VALUES(assists),
-                headshots = VALUES(headshots),
-                total_damage = VALUES(total_damage),
-                rounds_played = VALUES(rounds_played),
-                clutch_success = VALUES(clutch_success),
-                entry_success = VALUES(entry_success),
-                last_scraped = CURRENT_TIMESTAMP,
-                scrape_success = TRUE,
-                error_message = NULL
+            ${dbManager.dialect.upsert('steam_id64', {
+                ...Object.fromEntries(['player_name', 'profile_url', ...STAT_FIELDS, 'source', 'quality_flags', 'last_scraped']
+                    .map(column => [column, dbManager.dialect.inserted(column)])),
+                scrape_success: 'TRUE',
+                error_message: 'NULL'
+            })}
         `;
 
         const values = [
             steamId64,
-            playerData.player_name || null,
-            playerData.profile_url || null,
-            playerData.kd_ratio || null,
-            playerData.hltv_rating || null,
-            playerData.win_rate || null,
-            playerData.headshot_percentage || null,
-            playerData.adr || null,
-            playerData.matches_played || null,
-            playerData.matches_won || null,
-            playerData.matches_lost || null,
-            playerData.matches_tied || null,
-            playerData.kills || null,
-            playerData.deaths || null,
-            playerData.assists || null,
-            playerData.headshots || null,
-            playerData.total_damage || null,
-            playerData.rounds_played || null,
-            playerData.clutch_success || null,
-            playerData.entry_success || null
+            playerData.player_name ?? null,
+            playerData.profile_url ?? null,
+            playerData.kd_ratio ?? null,
+            playerData.hltv_rating ?? null,
+            playerData.win_rate ?? null,
+            playerData.headshot_percentage ?? null,
+            playerData.adr ?? null,
+            playerData.matches_played ?? null,
+            playerData.matches_won ?? null,
+            playerData.matches_lost ?? null,
+            playerData.matches_tied ?? null,
+            playerData.kills ?? null,
+            playerData.deaths ?? null,
+            playerData.assists ?? null,
+            playerData.headshots ?? null,
+            playerData.total_damage ?? null,
+            playerData.rounds_played ?? null,
+            playerData.clutch_success ?? null,
+            playerData.entry_success ?? null,
+            playerData.source ?? null
         ];
 
-        return await dbManager.execute(query, values);
+        const historyQuery = `
+            INSERT INTO player_stats_history (
+                steam_id64, player_name, ${STAT_FIELDS.join(', ')}, source
+            ) VALUES (${['?', '?', ...STAT_FIELDS.map(() => '?'), '?'].join(', ')})
+        `;
+        const historyValues = [values[0], values[1], ...values.slice(3)];
+
+        const queries = [{ query, params: [...values, qualityFlags, scrapedAt] }];
+        if (snapshot) {
+            queries.push({ query: historyQuery, params: historyValues });
+        }
+
+        const startTime = Date.now();
+        const [result] = await dbManager.transaction(queries);
+        logger.debug(`💾 Saved stats of ${steamId64}`, { snapshot, write_time_ms: Date.now() - startTime });
+        return result;
+    }
+
+    // Data Quality
+    // Suspicious stats are kept here instead of in player_stats until they
+    // are released or discarded
+    async quarantinePlayerStats(steamId64, playerData, flags) {
+        const query = `
+            INSERT INTO stats_quarantine (steam_id64, source, data, quality_flags, quality_messages) 
+            VALUES (?, ?, ?, ?, ?)
+        `;
+        const result = await dbManager.execute(query, [
+            steamId64,
+            playerData.source ?? null,
+            JSON.stringify(playerData),
+            flags.map(flag => flag.code).join(','),
+            flags.map(flag => flag.message).join('\n')
+        ]);
+        return result.insertId;
+    }
+
+    async getQuarantinedStats(limit = 50, id = null) {
+        const query = `
+            SELECT * FROM stats_quarantine 
+            ${id === null ? '' : 'WHERE id = ?'} 
+            ORDER BY created_at DESC, id DESC 
+            LIMIT ?
+        `;
+        const rows = await dbManager.execute(query, id === null ? [limit] : [id, limit]);
+        return rows.map(row => ({ ...row, data: JSON.parse(row.data) }));
+    }
+
+    async deleteQuarantinedStats(id) {
+        const result = await dbManager.execute('DELETE FROM stats_quarantine WHERE id = ?', [id]);
+        return result.affectedRows;
+    }
+
+    async countQuarantinedStats() {
+        const [row] = await dbManager.execute('SELECT COUNT(*) AS count FROM stats_quarantine');
+        return Number(row.count);
+    }
+
+    // Every stored player_stats row, for re-validating the whole table
+    streamPlayerStatsForQuality() {
+        const query = `
+            SELECT steam_id64, player_name, ${STAT_FIELDS.join(', ')}, source, quality_flags, last_scraped 
+            FROM player_stats 
+            ORDER BY steam_id64
+        `;
+        return dbManager.stream(query);
+    }
+
+    async updateQualityFlags(steamId64, qualityFlags) {
+        const query = 'UPDATE player_stats SET quality_flags = ? WHERE steam_id64 = ?';
+        return await dbManager.execute(query, [qualityFlags, steamId64]);
     }
 
     async savePlayerStatsError(steamId64, errorMessage) {
@@ -123,10 +538,11 @@ class DatabaseService {
             ) VALUES (
                 ?, CURRENT_TIMESTAMP, FALSE, ?
             )
-            ON DUPLICATE KEY UPDATE
-                last_scraped = CURRENT_TIMESTAMP,
-                scrape_success = FALSE,
-                error_message = VALUES(error_message)
+            ${dbManager.dialect.upsert('steam_id64', {
+                last_scraped: 'CURRENT_TIMESTAMP',
+                scrape_success: 'FALSE',
+                error_message: dbManager.dialect.inserted('error_message')
+            })}
         `;
         return await dbManager.execute(query, [steamId64, errorMessage]);
     }
@@ -166,13 +582,425 @@ class DatabaseService {
         return await dbManager.execute(query, [limit]);
     }
 
+    // Player Stats History
+    async getPlayerStatsHistory(steamId64, startDate = null, endDate = null, limit = 1000) {
+        let query = 'SELECT * FROM player_stats_history WHERE steam_id64 = ?';
+        const params = [steamId64];
+
+        if (startDate) {
+            query += ' AND scraped_at >= ?';
+            params.push(new Date(startDate));
+        }
+        if (endDate) {
+            query += ' AND scraped_at <= ?';
+            params.push(new Date(endDate));
+        }
+
+        query += ' ORDER BY scraped_at ASC, id ASC LIMIT ?';
+        params.push(limit);
+
+        return await dbManager.execute(query, params);
+    }
+
+    async getPlayerStatsSnapshot(steamId64, atDate = null) {
+        let query = 'SELECT * FROM player_stats_history WHERE steam_id64 = ?';
+        const params = [steamId64];
+
+        if (atDate) {
+            query += ' AND scraped_at <= ?';
+            params.push(new Date(atDate));
+        }
+
+        query += ' ORDER BY scraped_at DESC, id DESC LIMIT 1';
+        const results = await dbManager.execute(query, params);
+        return results[0] || null;
+    }
+
+    async getPlayerStatsDelta(steamId64, sinceDate, untilDate = null) {
+        // Baseline is the last snapshot taken before the period started, or the
+        // first one inside it when the player was first scraped during the period
+        let from = await this.getPlayerStatsSnapshot(steamId64, sinceDate);
+        if (!from) {
+            [from] = await this.getPlayerStatsHistory(steamId64, sinceDate, untilDate, 1);
+        }
+        const to = await this.getPlayerStatsSnapshot(steamId64, untilDate);
+
+        if (!from || !to) {
+            return null;
+        }
+
+        return {
+            steam_id64: steamId64,
+            from: { id: from.id, scraped_at: from.scraped_at },
+            to: { id: to.id, scraped_at: to.scraped_at },
+            changes: this.diffSnapshots(from, to)
+        };
+    }
+
+    diffSnapshots(from, to) {
+        const changes = {};
+        for (const field of STAT_FIELDS) {
+            // mysql2 returns DECIMAL columns as strings
+            const before = parseFloat(from[field]);
+            const after = parseFloat(to[field]);
+            changes[field] = Number.isNaN(before) || Number.isNaN(after)
+                ? null
+                : Math.round((after - before) * 100) / 100;
+        }
+        return changes;
+    }
+
+    // Map and Weapon Breakdowns
+    // Each non-empty list replaces everything stored for the player, so maps
+    // and weapons that dropped off the profile don't linger
+    async savePlayerBreakdowns(steamId64, { maps = [], weapons = [], source = null, scrapedAt = null } = {}) {
+        const queries = [];
+        const replace = (table, nameColumn, columns, rows) => {
+            if (rows.length === 0) return;
+            const placeholders = `(${['?', '?', ...columns.map(() => '?'), '?', 'COALESCE(?, CURRENT_TIMESTAMP)'].join(', ')})`;
+            queries.push({ query: `DELETE FROM ${table} WHERE steam_id64 = ?`, params: [steamId64] });
+            queries.push({
+                query: `
+                    INSERT INTO ${table} (
+                        steam_id64, ${nameColumn}, ${columns.join(', ')}, source, last_scraped
+                    ) VALUES ${rows.map(() => placeholders).join(', ')}
+                `,
+                params: rows.flatMap(row => [
+                    steamId64,
+                    row[nameColumn],
+                    ...columns.map(column => row[column] ?? null),
+                    source,
+                    scrapedAt
+                ])
+            });
+        };
+
+        replace('player_map_stats', 'map_name', MAP_COLUMNS, maps);
+        replace('player_weapon_stats', 'weapon_name', WEAPON_COLUMNS, weapons);
+
+        if (queries.length > 0) {
+            await dbManager.transaction(queries);
+        }
+        return { maps: maps.length, weapons: weapons.length };
+    }
+
+    async getPlayerMapStats(steamId64) {
+        const query = `
+            SELECT * FROM player_map_stats
+            WHERE steam_id64 = ?
+            ORDER BY matches_played DESC, map_name ASC
+        `;
+        return await dbManager.execute(query, [steamId64]);
+    }
+
+    async getPlayerWeaponStats(steamId64) {
+        const query = `
+            SELECT * FROM player_weapon_stats
+            WHERE steam_id64 = ?
+            ORDER BY kills DESC, weapon_name ASC
+        `;
+        return await dbManager.execute(query, [steamId64]);
+    }
+
+    // Maps with fewer than `minMatches` played are ignored so a single lucky
+    // match doesn't count as the best map
+    async getBestMap(steamId64, orderBy = 'win_rate', minMatches = 5) {
+        const validOrderBy = ['win_rate', 'kd_ratio', 'adr', 'matches_won', 'matches_played'];
+
+        if (!validOrderBy.includes(orderBy)) {
+            orderBy = 'win_rate';
+        }
+
+        const query = `
+            SELECT * FROM player_map_stats
+            WHERE steam_id64 = ? AND ${orderBy} IS NOT NULL AND COALESCE(matches_played, 0) >= ?
+            ORDER BY ${orderBy} DESC, matches_played DESC
+            LIMIT 1
+        `;
+        const results = await dbManager.execute(query, [steamId64, minMatches]);
+        return results[0] || null;
+    }
+
+    async getTopWeaponPlayers(weapon, limit = 10, orderBy = 'kills') {
+        const validOrderBy = ['kills', 'headshots', 'headshot_percentage', 'accuracy', 'damage'];
+
+        if (!validOrderBy.includes(orderBy)) {
+            orderBy = 'kills';
+        }
+
+        const query = `
+            SELECT pws.steam_id64, ps.player_name, pws.weapon_name, pws.kills, pws.headshots,
+                pws.headshot_percentage, pws.accuracy, pws.damage, pws.last_scraped
+            FROM player_weapon_stats pws
+            LEFT JOIN player_stats ps ON ps.steam_id64 = pws.steam_id64
+            WHERE pws.weapon_name = ? AND pws.${orderBy} IS NOT NULL
+            ORDER BY pws.${orderBy} DESC
+            LIMIT ?
+        `;
+        return await dbManager.execute(query, [weapon.toLowerCase(), limit]);
+    }
+
+    // Match History
+    // Each entry is a Steam ID or [steamId64, priority, provider]. Scheduling
+    // a player whose match job already finished queues it again; jobs that
+    // are being processed are left alone.
+    async addMatchJobs(steamIds, chunkSize = 1000) {
+        if (!steamIds || steamIds.length === 0) return { affectedRows: 0 };
+
+        const values = steamIds.map(id => {
+            const [steamId64, priority = 1, provider = null] = Array.isArray(id) ? id : [id];
+            return [steamId64, priority, provider];
+        });
+
+        let affectedRows = 0;
+        for (let i = 0; i < values.length; i += chunkSize) {
+            const chunk = values.slice(i, i + chunkSize);
+            const query = `
+                INSERT INTO match_jobs (steam_id64, priority, provider)
+                VALUES ${chunk.map(() => '(?, ?, ?)').join(', ')}
+                ${this.matchJobUpsert()}
+            `;
+            const result = await dbManager.execute(query, chunk.flat());
+            affectedRows += result.affectedRows;
+        }
+        return { affectedRows };
+    }
+
+    // Schedules every player whose profile was scraped, keeping their provider
+    async addMatchJobsForTrackedPlayers(priority = 1) {
+        const players = await dbManager.execute(
+            "SELECT steam_id64, provider FROM steam_ids WHERE status = 'completed'"
+        );
+        await this.addMatchJobs(players.map(({ steam_id64, provider }) => [steam_id64, priority, provider]));
+        return players.length;
+    }
+
+    matchJobUpsert() {
+        const { inserted, upsert } = dbManager.dialect;
+        return upsert('steam_id64', {
+            status: "CASE WHEN status = 'processing' THEN status ELSE 'pending' END",
+            attempts: "CASE WHEN status = 'processing' THEN attempts ELSE 0 END",
+            next_attempt_at: "CASE WHEN status = 'processing' THEN next_attempt_at ELSE NULL END",
+            priority: inserted('priority'),
+            provider: `COALESCE(${inserted('provider')}, provider)`,
+            updated_at: 'CURRENT_TIMESTAMP'
+        });
+    }
+
+    // A match found in several players' histories is stored once, keyed by
+    // its source and the source's match ID. Returns the match's row ID.
+    async saveMatch({ source, source_match_id, url = null, map_name = null, played_at = null, team1_score = null, team2_score = null, players = [] }) {
+        const { inserted, upsert } = dbManager.dialect;
+        const matchQuery = `
+            INSERT INTO matches (
+                source, source_match_id, url, map_name, played_at, team1_score, team2_score
+            ) VALUES (?, ?, ?, ?, ?, ?, ?)
+            ${upsert('source, source_match_id', {
+                ...Object.fromEntries(['url', 'map_name', 'played_at', 'team1_score', 'team2_score']
+                    .map(column => [column, `COALESCE(${inserted(column)}, ${column})`])),
+                updated_at: 'CURRENT_TIMESTAMP'
+            })}
+        `;
+        await dbManager.execute(matchQuery, [source, source_match_id, url, map_name, played_at, team1_score, team2_score]);
+
+        const [{ id }] = await dbManager.execute(
+            'SELECT id FROM matches WHERE source = ? AND source_match_id = ?',
+            [source, source_match_id]
+        );
+        if (players.length === 0) return id;
+
+        const columns = ['player_name', 'team', 'result', ...SCORELINE_COLUMNS];
+        const playersQuery = `
+            INSERT INTO match_players (match_id, steam_id64, ${columns.join(', ')})
+            VALUES ${players.map(() => `(${['?', '?', ...columns.map(() => '?')].join(', ')})`).join(', ')}
+            ${upsert('match_id, steam_id64', Object.fromEntries(columns.map(column => [column, inserted(column)])))}
+        `;
+        await dbManager.execute(playersQuery, players.flatMap(player => [
+            id,
+            player.steam_id64,
+            ...columns.map(column => player[column] ?? null)
+        ]));
+
+        return id;
+    }
+
+    // Source match IDs that are already stored with their scoreboard
+    async getStoredMatchIds(source, sourceMatchIds) {
+        if (sourceMatchIds.length === 0) return new Set();
+
+        const query = `
+            SELECT m.source_match_id
+            FROM matches m
+            WHERE m.source = ? AND m.source_match_id IN (${sourceMatchIds.map(() => '?').join(', ')})
+                AND EXISTS (SELECT 1 FROM match_players mp WHERE mp.match_id = m.id)
+        `;
+        const rows = await dbManager.execute(query, [source, ...sourceMatchIds]);
+        return new Set(rows.map(row => row.source_match_id));
+    }
+
+    // The player's scoreline in each of their most recent matches
+    async getPlayerMatches(steamId64, limit = 20) {
+        const query = `
+            SELECT m.id AS match_id, m.source, m.source_match_id, m.url, m.map_name, m.played_at,
+                m.team1_score, m.team2_score, mp.team, mp.result,
+                ${SCORELINE_COLUMNS.map(column => `mp.${column}`).join(', ')}
+            FROM match_players mp
+            JOIN matches m ON m.id = mp.match_id
+            WHERE mp.steam_id64 = ?
+            ORDER BY m.played_at DESC, m.id DESC
+            LIMIT ?
+        `;
+        return await dbManager.execute(query, [steamId64, limit]);
+    }
+
+    async getMatch(matchId) {
+        const [match] = await dbManager.execute('SELECT * FROM matches WHERE id = ?', [matchId]);
+        if (!match) return null;
+
+        match.players = await dbManager.execute(
+            'SELECT * FROM match_players WHERE match_id = ? ORDER BY team ASC, kills DESC',
+            [matchId]
+        );
+        return match;
+    }
+
+    // Totals and averages over the player's most recent matches
+    async getPlayerMatchSummary(steamId64, limit = 20) {
+        const matches = await this.getPlayerMatches(steamId64, limit);
+        const sum = (column) => matches.reduce((total, match) => total + (parseFloat(match[column]) || 0), 0);
+        const average = (column) => {
+            const values = matches.map(match => parseFloat(match[column])).filter(value => !Number.isNaN(value));
+            return values.length ? Math.round(values.reduce((a, b) => a + b, 0) / values.length * 100) / 100 : null;
+        };
+        const kills = sum('kills');
+        const deaths = sum('deaths');
+
+        return {
+            steam_id64: steamId64,
+            matches: matches.length,
+            wins: matches.filter(match => match.result === 'win').length,
+            losses: matches.filter(match => match.result === 'loss').length,
+            ties: matches.filter(match => match.result === 'tie').length,
+            kills,
+            deaths,
+            kd_ratio: deaths > 0 ? Math.round(kills / deaths * 100) / 100 : null,
+            avg_adr: average('adr'),
+            avg_headshot_percentage: average('headshot_percentage'),
+            avg_rating: average('rating')
+        };
+    }
+
+    // Page Archive
+    async savePageArchive(steamId64, { source, url = null, outcome = null, contentHash, size, data }) {
+        const query = `
+            INSERT INTO page_archive (
+                steam_id64, source, url, outcome, content_hash, html_size, html_gzip
+            ) VALUES (?, ?, ?, ?, ?, ?, ?)
+        `;
+        const result = await dbManager.execute(query, [steamId64, source, url, outcome, contentHash, size, data]);
+        return result.insertId;
+    }
+
+    // Pages after `afterId` in id order, for keyset pagination. Unless an
+    // archive ID is given only the newest page per Steam ID is returned.
+    async getArchivedPages({ afterId = 0, limit = 100, archiveId = null, steamId64 = null, source = null, since = null } = {}) {
+        let query = `
+            SELECT pa.id, pa.steam_id64, pa.source, pa.url, pa.outcome, pa.content_hash,
+                pa.html_gzip, pa.scraped_at, ps.last_scraped
+            FROM page_archive pa
+            LEFT JOIN player_stats ps ON ps.steam_id64 = pa.steam_id64
+            WHERE pa.id > ?
+        `;
+        const params = [afterId];
+
+        if (archiveId) {
+            query += ' AND pa.id = ?';
+            params.push(archiveId);
+        } else {
+            query += ' AND pa.id = (SELECT MAX(id) FROM page_archive WHERE steam_id64 = pa.steam_id64)';
+        }
+        if (steamId64) {
+            query += ' AND pa.steam_id64 = ?';
+            params.push(steamId64);
+        }
+        if (source) {
+            query += ' AND pa.source = ?';
+            params.push(source);
+        }
+        if (since) {
+            query += ' AND pa.scraped_at >= ?';
+            params.push(new Date(since));
+        }
+
+        query += ' ORDER BY pa.id ASC LIMIT ?';
+        params.push(limit);
+
+        return await dbManager.execute(query, params);
+    }
+
+    // Exports
+    getExportColumns(dataset) {
+        const columns = EXPORT_COLUMNS[dataset];
+        if (!columns) {
+            throw new Error(`Unknown dataset "${dataset}" (use ${Object.keys(EXPORT_COLUMNS).join(', ')})`);
+        }
+        return columns;
+    }
+
+    // Streams rows of `dataset` matching the filters, so exports of any size
+    // run in constant memory
+    streamExport(dataset, { columns = null, minMatches = null, since = null, successfulOnly = false, steamId64 = null, outcome = null } = {}) {
+        const allowed = this.getExportColumns(dataset);
+        const selected = columns && columns.length > 0 ? columns : allowed;
+
+        const unknown = selected.filter(column => !allowed.includes(column));
+        if (unknown.length > 0) {
+            throw new Error(`Unknown ${dataset} column(s): ${unknown.join(', ')}`);
+        }
+
+        const table = { stats: 'player_stats', history: 'player_stats_history', logs: 'scrape_logs' }[dataset];
+        const timeColumn = { stats: 'last_scraped', history: 'scraped_at', logs: 'created_at' }[dataset];
+        const conditions = [];
+        const params = [];
+
+        if (minMatches !== null && dataset !== 'logs') {
+            conditions.push('matches_played >= ?');
+            params.push(minMatches);
+        }
+        if (since) {
+            conditions.push(`${timeColumn} >= ?`);
+            params.push(new Date(since));
+        }
+        // History only ever holds successful scrapes
+        if (successfulOnly && dataset !== 'history') {
+            conditions.push(dataset === 'logs' ? "status = 'success'" : 'scrape_success = TRUE');
+        }
+        if (steamId64) {
+            conditions.push('steam_id64 = ?');
+            params.push(steamId64);
+        }
+        if (outcome && dataset === 'logs') {
+            conditions.push('outcome = ?');
+            params.push(outcome);
+        }
+
+        let query = `SELECT ${selected.join(', ')} FROM ${table}`;
+        if (conditions.length > 0) {
+            query += ` WHERE ${conditions.join(' AND ')}`;
+        }
+        query += dataset === 'stats' ? ' ORDER BY steam_id64 ASC' : ' ORDER BY id ASC';
+
+        return { columns: selected, rows: dbManager.stream(query, params) };
+    }
+
     // Scrape Logs Management
-    async logScrapeStart(steamId64) {
+    async logScrapeStart(steamId64, jobType = JOB_TYPES.PROFILE) {
         const query = `
-            INSERT INTO scrape_logs (steam_id64, status, message) 
-            VALUES (?, 'started', 'Scraping started')
+            INSERT INTO scrape_logs (steam_id64, job_type, status, message) 
+            VALUES (?, ?, 'started', 'Scraping started')
         `;
-        const result = await dbManager.execute(query, [steamId64]);
+        const result = await dbManager.execute(query, [steamId64, jobType]);
+        logger.debug(`📝 Opened scrape log #${result.insertId} for ${steamId64}`, { log_id: result.insertId });
         return result.insertId;
     }
 
@@ -180,37 +1008,64 @@ class DatabaseService {
         const query = `
             UPDATE scrape_logs 
             SET status = 'success', 
+                outcome = 'success',
                 message = 'Scraping completed successfully',
                 execution_time = ?,
                 stats_extracted = ?
             WHERE id = ? AND steam_id64 = ?
         `;
-        return await dbManager.execute(query, [executionTime, statsExtracted, logId, steamId64]);
+        const result = await dbManager.execute(query, [executionTime, statsExtracted, logId, steamId64]);
+        logger.debug(`📝 Closed scrape log #${logId} as success`, { log_id: logId });
+        return result;
     }
 
-    async logScrapeFailure(logId, steamId64, executionTime, errorMessage) {
+    async logScrapeFailure(logId, steamId64, executionTime, errorMessage, outcome = 'error') {
         const query = `
             UPDATE scrape_logs 
             SET status = 'failed', 
+                outcome = ?,
                 message = ?,
                 execution_time = ?
             WHERE id = ? AND steam_id64 = ?
         `;
-        return await dbManager.execute(query, [errorMessage, executionTime, logId, steamId64]);
+        const result = await dbManager.execute(query, [outcome, errorMessage, executionTime, logId, steamId64]);
+        logger.debug(`📝 Closed scrape log #${logId} as ${outcome}`, { log_id: logId, outcome });
+        return result;
+    }
+
+    // For jobs a shutdown gave up on; logs that were closed meanwhile are left alone
+    async logScrapeInterrupted(logId) {
+        const query = `
+            UPDATE scrape_logs 
+            SET status = 'interrupted', 
+                message = 'Interrupted by shutdown'
+            WHERE id = ? AND status = 'started'
+        `;
+        const result = await dbManager.execute(query, [logId]);
+        logger.debug(`📝 Closed scrape log #${logId} as interrupted`, { log_id: logId });
+        return result;
     }
 
-    async getScrapeLogs(limit = 50, steamId64 = null) {
+    async getScrapeLogs(limit = 50, steamId64 = null, outcome = null) {
         let query = `
             SELECT sl.*, ps.player_name 
             FROM scrape_logs sl
             LEFT JOIN player_stats ps ON sl.steam_id64 = ps.steam_id64
         `;
         let params = [];
+        const conditions = [];
 
         if (steamId64) {
-            query += ' WHERE sl.steam_id64 = ?';
+            conditions.push('sl.steam_id64 = ?');
             params.push(steamId64);
         }
+        if (outcome) {
+            conditions.push('sl.outcome = ?');
+            params.push(outcome);
+        }
+        if (conditions.length > 0) {
+            query += ` WHERE ${conditions.join(' AND ')}`;
+        }
 
         query += ' ORDER BY sl.created_at DESC LIMIT ?';
         params.push(limit);
@@ -219,16 +1074,24 @@ class DatabaseService {
     }
 
     // Statistics and Analytics
+    // A few aggregate queries rather than one per figure. COUNT(CASE ...)
+    // stays an integer on MySQL, where SUM comes back as a decimal string.
     async getScrapingStats() {
         const queries = [
-            'SELECT COUNT(*) as total_steam_ids FROM steam_ids',
-            'SELECT COUNT(*) as pending_steam_ids FROM steam_ids WHERE status = "pending"',
-            'SELECT COUNT(*) as completed_steam_ids FROM steam_ids WHERE status = "completed"',
-            'SELECT COUNT(*) as failed_steam_ids FROM steam_ids WHERE status = "failed"',
-            'SELECT COUNT(*) as total_player_stats FROM player_stats',
-            'SELECT COUNT(*) as successful_scrapes FROM player_stats WHERE scrape_success = TRUE',
-            'SELECT COUNT(*) as failed_scrapes FROM player_stats WHERE scrape_success = FALSE',
-            'SELECT AVG(execution_time) as avg_execution_time FROM scrape_logs WHERE status = "success"'
+            `SELECT COUNT(*) as total_steam_ids,
+                COUNT(CASE WHEN status = 'pending' THEN 1 END) as pending_steam_ids,
+                COUNT(CASE WHEN status = 'completed' THEN 1 END) as completed_steam_ids,
+                COUNT(CASE WHEN status = 'failed' THEN 1 END) as failed_steam_ids,
+                COUNT(CASE WHEN status = 'dead' THEN 1 END) as dead_steam_ids,
+                COUNT(CASE WHEN status = 'pending' AND next_attempt_at > CURRENT_TIMESTAMP THEN 1 END) as retrying_steam_ids
+            FROM steam_ids`,
+            `SELECT COUNT(*) as total_player_stats,
+                COUNT(CASE WHEN scrape_success = TRUE THEN 1 END) as successful_scrapes,
+                COUNT(CASE WHEN scrape_success = FALSE THEN 1 END) as failed_scrapes
+            FROM player_stats`,
+            `SELECT (SELECT COUNT(*) FROM match_jobs WHERE status = 'pending') as pending_match_jobs,
+                (SELECT COUNT(*) FROM matches) as total_matches,
+                (SELECT AVG(execution_time) FROM scrape_logs WHERE status = 'success') as avg_execution_time`
         ];
 
         const results = {};
@@ -240,12 +1103,40 @@ class DatabaseService {
         return results;
     }
 
+    // Jobs per job type and status, for the queue depth gauge. Pending jobs
+    // waiting out a retry backoff are counted as 'retrying'.
+    async getQueueDepth() {
+        const byStatus = (jobType) => `
+            SELECT '${jobType}' AS job,
+                CASE WHEN status = 'pending' AND next_attempt_at > CURRENT_TIMESTAMP THEN 'retrying' ELSE status END AS queue_status
+            FROM ${JOB_TABLES[jobType]}
+        `;
+        const query = `
+            SELECT job, queue_status AS status, COUNT(*) AS count
+            FROM (${Object.keys(JOB_TABLES).map(byStatus).join(' UNION ALL ')}) jobs
+            GROUP BY job, queue_status
+        `;
+        return await dbManager.execute(query);
+    }
+
+    // Latest outcome per Steam ID, e.g. { success: 120, private_profile: 8 }
+    async getOutcomeSummary() {
+        const query = `
+            SELECT COALESCE(last_outcome, 'unscraped') AS outcome, COUNT(*) AS count 
+            FROM steam_ids 
+            GROUP BY last_outcome 
+            ORDER BY count DESC
+        `;
+        const rows = await dbManager.execute(query);
+        return Object.fromEntries(rows.map(row => [row.outcome, row.count]));
+    }
+
     async cleanupOldLogs(daysOld = 30) {
         const query = `
             DELETE FROM scrape_logs 
-            WHERE created_at < DATE_SUB(NOW(), INTERVAL ? DAY)
+            WHERE created_at < ${dbManager.dialect.secondsFromNow('?')}
         `;
-        return await dbManager.execute(query, [daysOld]);
+        return await dbManager.execute(query, [-daysOld * 24 * 60 * 60]);
     }
 
     // Utility methods
@@ -261,7 +1152,8 @@ class DatabaseService {
     async resetAllFailedSteamIds() {
         const query = `
             UPDATE steam_ids 
-            SET status = 'pending', updated_at = CURRENT_TIMESTAMP 
+            SET status = 'pending', updated_at = CURRENT_TIMESTAMP,
+                attempts = 0, next_attempt_at = NULL
             WHERE status = 'failed'
         `;
         return await dbManager.execute(query);
@@ -1,15 +1,77 @@
+import fs from 'fs/promises';
 import puppeteer from 'puppeteer';
+import { getProvider } from '../providers/index.js';
+import { OUTCOMES, ScrapeError, outcomeFromError } from '../scrapeOutcome.js';
+import settings, { parseResourceTypes } from '../config/settings.js';
+import { createLogger } from '../logger.js';
+import { browserPagesOpen, browserRestarts, browserMemory, blockedRequests, blockedBytes } from '../metrics.js';
+
+const logger = createLogger('scraperService');
+
+// Requests to these hosts and their subdomains are skipped with browser.blockAds
+const AD_HOSTS = [
+    'doubleclick.net', 'googlesyndication.com', 'googletagmanager.com', 'googletagservices.com',
+    'google-analytics.com', 'adservice.google.com', 'amazon-adsystem.com', 'adnxs.com', 'criteo.com',
+    'pubmatic.com', 'rubiconproject.com', 'taboola.com', 'outbrain.com', 'scorecardresearch.com',
+    'quantserve.com', 'hotjar.com', 'moatads.com', 'connect.facebook.net'
+];
+
+// Blocked requests are never downloaded, so their size is unknown. The bytes
+// saved are not measured but estimated: a fixed guess per resource type.
+const ESTIMATED_BYTES = { image: 40 * 1024, font: 30 * 1024, media: 500 * 1024, script: 25 * 1024 };
+const ESTIMATED_BYTES_OTHER = 10 * 1024;
+
+// Walking the process tree reads hundreds of /proc files, so not for every page
+const MEMORY_CHECK_INTERVAL = 30000;
+
+const isAdHost = (url) => {
+    try {
+        const { hostname } = new URL(url);
+        return AD_HOSTS.some(host => hostname === host || hostname.endsWith(`.${host}`));
+    } catch {
+        return false;
+    }
+};
+
+// Resident memory of the browser process and everything it started
+// (renderers, GPU, zygotes), read from /proc. Null where /proc is missing.
+async function processTreeMemory(pid) {
+    let total = 0;
+    const pids = [pid];
+    try {
+        for (let index = 0; index < pids.length; index++) {
+            const status = await fs.readFile(`/proc/${pids[index]}/status`, 'utf8');
+            total += Number(status.match(/^VmRSS:\s+(\d+) kB/m)?.[1] ?? 0) * 1024;
+
+            for (const thread of await fs.readdir(`/proc/${pids[index]}/task`)) {
+                const children = await fs.readFile(`/proc/${pids[index]}/task/${thread}/children`, 'utf8').catch(() => '');
+                pids.push(...children.split(/\s+/).filter(Boolean).map(Number));
+            }
+        }
+    } catch {
+        // A child that exits mid-walk is fine; no /proc at all is not
+        if (pids.length === 1) return null;
+    }
+    return total;
+}
 
 class ScraperService {
     constructor() {
         this.browser = null;
+        this.launching = null;
+        // Counted out on the page's close event, or when the browser closes
+        this.openPages = new Set();
+        this.pagesServed = 0; // pages opened by the current browser
+        this.restartReason = null; // why the next launch is a relaunch
+        this.retiring = new Set(); // recycled browsers closing once their last page is done
+        this.memoryCheckedAt = 0;
     }
 
     async initialize() {
         try {
-            console.log('🚀 Initializing browser...');
-            this.browser = await puppeteer.launch({
-                headless: true,
+            logger.info('🚀 Initializing browser...');
+            const browser = await puppeteer.launch({
+                headless: settings.get('browser.headless'),
                 args: [
                     '--no-sandbox',
                     '--disable-setuid-sandbox',
@@ -18,228 +80,305 @@ class ScraperService {
                     '--disable-features=VizDisplayCompositor'
                 ]
             });
-            console.log('✅ Browser initialized successfully');
+            browser.on('disconnected', () => this.onDisconnected(browser));
+            this.browser = browser;
+            this.pagesServed = 0;
+
+            if (this.restartReason) {
+                browserRestarts.inc({ reason: this.restartReason });
+                this.restartReason = null;
+            }
+            logger.info('✅ Browser initialized successfully');
         } catch (error) {
-            console.error('❌ Browser initialization failed:', error.message);
+            logger.error('❌ Browser initialization failed', { error });
             throw error;
         }
     }
 
-    async scrapePlayerStats(steamId64) {
-        if (!this.browser) {
-            await this.initialize();
-        }
-
+    // `provider` names a registered stats provider; the default one is
+    // used when it is omitted. With `keepHtml` the rendered page is returned
+    // as `page: { html, url }`, also for failures once the page has loaded.
+    async scrapePlayerStats(steamId64, { provider = null, keepHtml = false } = {}) {
         const startTime = Date.now();
         let page;
+        let source = null;
 
         try {
-            console.log(`📊 Scraping stats for Steam ID: ${steamId64}`);
+            source = getProvider(provider);
+            logger.debug(`📊 Scraping stats for Steam ID: ${steamId64} from ${source.label}`, { source: source.name });
             
-            page = await this.browser.newPage();
-            
-            // Configure page with default settings
-            await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36');
-            await page.setViewport({ width: 1920, height: 1080 });
-
-            const url = `https://csgostats.gg/player/${steamId64}`;
-            console.log(`🌐 Navigating to: ${url}`);
-
-            const response = await page.goto(url, {
-                waitUntil: 'networkidle2'
-            });
-
-            if (!response.ok()) {
-                throw new Error(`HTTP ${response.status()}: ${response.statusText()}`);
-            }
+            page = await this.newPage();
 
-            console.log('✅ Page loaded successfully');
-            console.log('⏳ Waiting for stats to load...');
-
-            // Wait for stats elements
-            try {
-                await page.waitForSelector('[data-tippy-content], .stat-card, .stats-section', {
-                    visible: true,
-                    timeout: 30000
-                });
-                console.log('📈 Stats elements found');
-            } catch (error) {
-                try {
-                    await page.waitForSelector('text/K/D', { timeout: 10000 });
-                    console.log('📈 Basic stats found');
-                } catch {
-                    throw new Error('Stats elements not found - player might not have CS2 data');
-                }
-            }
-
-            // Extract stats
-            const stats = await page.evaluate(() => {
-                const extractedStats = {};
-
-                // Get player name
-                const playerName = document.querySelector('h1, .player-name, .username')?.textContent?.trim() ||
-                                 document.querySelector('title')?.textContent?.split('-')[0]?.trim();
-
-                const getText = (element) => element?.textContent?.trim() || '';
-
-                // Extract K/D ratio and HLTV rating
-                const kdElements = document.querySelectorAll('text');
-                kdElements.forEach(el => {
-                    const text = getText(el);
-                    const parent = el.closest('svg')?.parentElement;
-                    if (text.match(/^\d+\.\d+$/) && parent) {
-                        const label = parent.querySelector('*')?.textContent?.toLowerCase();
-                        if (label?.includes('k/d') || label?.includes('kd')) {
-                            extractedStats.kd_ratio = parseFloat(text);
-                        } else if (label?.includes('hltv') || label?.includes('rating')) {
-                            extractedStats.hltv_rating = parseFloat(text);
-                        }
-                    }
-                });
-
-                // Extract percentage stats
-                const percentageElements = document.querySelectorAll('*');
-                percentageElements.forEach(el => {
-                    const text = getText(el);
-                    if (text.match(/^\d+%$/)) {
-                        const context = el.parentElement?.textContent?.toLowerCase() || '';
-                        if (context.includes('win')) {
-                            extractedStats.win_rate = text;
-                        } else if (context.includes('hs') || context.includes('headshot')) {
-                            extractedStats.headshot_percentage = text;
-                        } else if (context.includes('clutch')) {
-                            extractedStats.clutch_success = text;
-                        } else if (context.includes('entry')) {
-                            extractedStats.entry_success = text;
-                        }
-                    }
-                });
-
-                // Extract numeric stats
-                const allElements = document.querySelectorAll('*');
-                allElements.forEach(el => {
-                    const text = getText(el);
-                    const parentText = getText(el.parentElement);
-                    const context = (text + ' ' + parentText).toLowerCase();
-
-                    if (text.match(/^\d+$/)) {
-                        const num = parseInt(text);
-                        if (num > 0) {
-                            if (context.includes('kill') && !context.includes('death')) {
-                                extractedStats.kills = num;
-                            } else if (context.includes('death') && !context.includes('kill')) {
-                                extractedStats.deaths = num;
-                            } else if (context.includes('assist')) {
-                                extractedStats.assists = num;
-                            } else if (context.includes('headshot') && num < 50000) {
-                                extractedStats.headshots = num;
-                            } else if (context.includes('played') || context.includes('match')) {
-                                extractedStats.matches_played = num;
-                            } else if (context.includes('won') && num < 10000) {
-                                extractedStats.matches_won = num;
-                            } else if (context.includes('lost') && num < 10000) {
-                                extractedStats.matches_lost = num;
-                            } else if (context.includes('round') && num > 1000) {
-                                extractedStats.rounds_played = num;
-                            } else if (context.includes('damage') && num > 100000) {
-                                extractedStats.total_damage = num;
-                            }
-                        }
-                    }
-
-                    // ADR
-                    if (text.match(/^\d{2,3}$/) && context.includes('adr')) {
-                        extractedStats.adr = parseInt(text);
-                    }
-                });
-
-                // Look for specific stat labels
-                const statLabels = {
-                    'PLAYED': 'matches_played',
-                    'KILLS': 'kills',
-                    'DAMAGE': 'total_damage',
-                    'WON': 'matches_won',
-                    'DEATHS': 'deaths',
-                    'ROUNDS': 'rounds_played',
-                    'LOST': 'matches_lost',
-                    'ASSISTS': 'assists',
-                    'TIED': 'matches_tied',
-                    'HEADSHOTS': 'headshots'
-                };
-
-                Object.keys(statLabels).forEach(label => {
-                    const labelElement = Array.from(document.querySelectorAll('*')).find(el =>
-                        getText(el).toUpperCase() === label
-                    );
-                    if (labelElement) {
-                        const siblings = Array.from(labelElement.parentElement?.children || []);
-                        const index = siblings.indexOf(labelElement);
-                        for (let i = Math.max(0, index - 2); i < Math.min(siblings.length, index + 3); i++) {
-                            const siblingText = getText(siblings[i]);
-                            if (siblingText.match(/^\d+$/) && siblingText !== label) {
-                                const value = parseInt(siblingText);
-                                extractedStats[statLabels[label]] = value;
-                                break;
-                            }
-                        }
-                    }
-                });
-
-                return {
-                    player_info: {
-                        steam_id64: window.location.pathname.split('/').pop(),
-                        player_name: playerName || 'Unknown',
-                        profile_url: window.location.href
-                    },
-                    stats: extractedStats
-                };
-            });
+            // Fetch, parse and map the page into our columns
+            const { html, url } = await source.fetch(page, steamId64);
+            const stats = source.mapFields(source.parse(html, { url, steamId64 }));
+            stats.player_info.steam_id64 = stats.player_info.steam_id64 || steamId64;
 
             const executionTime = Date.now() - startTime;
 
             if (!stats.stats || Object.keys(stats.stats).length === 0) {
-                throw new Error('No stats data found - player might have no recorded matches');
+                throw new ScrapeError(
+                    source.detectPageState(html) || OUTCOMES.LAYOUT_CHANGED,
+                    'No stats found on the loaded page - page layout may have changed'
+                );
             }
 
-            console.log(`✅ Successfully extracted ${Object.keys(stats.stats).length} stats in ${executionTime}ms`);
+            logger.debug(`✅ Successfully extracted ${Object.keys(stats.stats).length} stats in ${executionTime}ms`);
+            if (stats.maps.length > 0 || stats.weapons.length > 0) {
+                logger.debug(`🗺️ Found ${stats.maps.length} maps and ${stats.weapons.length} weapons`);
+            }
 
             return {
                 success: true,
+                outcome: OUTCOMES.SUCCESS,
+                source: source.name,
                 data: {
                     ...stats.player_info,
-                    ...stats.stats
+                    ...stats.stats,
+                    source: source.name
                 },
+                fields: stats.fields,
+                maps: stats.maps,
+                weapons: stats.weapons,
+                linkedSteamIds: source.linkedSteamIds(html).filter(id => id !== steamId64),
+                page: keepHtml ? { html, url } : null,
                 executionTime,
                 statsCount: Object.keys(stats.stats).length
             };
 
         } catch (error) {
             const executionTime = Date.now() - startTime;
-            console.error(`❌ Scraping failed for ${steamId64}:`, error.message);
+            logger.warn(`❌ Scraping failed for ${steamId64}`, { error });
+
+            let failedPage = null;
+            if (keepHtml && page) {
+                failedPage = await page.content()
+                    .then(html => ({ html, url: page.url() }))
+                    .catch(() => null);
+            }
             
             return {
                 success: false,
+                outcome: outcomeFromError(error),
+                source: source?.name ?? provider,
                 error: error.message,
+                retryAfterMs: error.retryAfterMs ?? null,
+                page: failedPage,
                 executionTime,
                 statsCount: 0
             };
         } finally {
+            // Closing fails once the browser has crashed; the result stands either way
             if (page) {
-                await page.close();
+                await page.close().catch(() => {});
             }
         }
     }
 
+    // Reads the list of a player's recent matches, newest first. Returns
+    // { success, outcome, source, matches } with at most `limit` matches.
+    async scrapeMatchList(steamId64, { provider = null, limit = 20 } = {}) {
+        return await this.withMatchPage(provider, async (source, page) => {
+            logger.debug(`📜 Scraping match history for Steam ID: ${steamId64} from ${source.label}`, { source: source.name });
+            const { html, url } = await source.fetchMatchList(page, steamId64);
+            const matches = source.parseMatchList(html, { url, steamId64 }).slice(0, limit);
+
+            if (matches.length === 0 && source.detectPageState(html)) {
+                throw new ScrapeError(source.detectPageState(html), 'No match history found');
+            }
+
+            logger.info(`✅ Found ${matches.length} recent matches`);
+            return { matches };
+        });
+    }
+
+    // Reads one match's scoreboard. Returns { success, outcome, source, match }
+    async scrapeMatch(matchUrl, { provider = null } = {}) {
+        return await this.withMatchPage(provider, async (source, page) => {
+            const { html, url } = await source.fetchMatch(page, matchUrl);
+            const match = source.parseMatch(html, { url });
+
+            if (match.players.length === 0) {
+                throw new ScrapeError(
+                    source.detectPageState(html) || OUTCOMES.LAYOUT_CHANGED,
+                    'No scoreboard found - page layout may have changed'
+                );
+            }
+            return { match };
+        });
+    }
+
+    // Runs `task` on a fresh page for a provider that supports match
+    // history and turns its result or error into a scrape result
+    async withMatchPage(provider, task) {
+        const startTime = Date.now();
+        let page;
+        let source = null;
+
+        try {
+            source = getProvider(provider);
+            if (!source.supportsMatches) {
+                throw new Error(`Provider "${source.name}" does not support match history`);
+            }
+
+            page = await this.newPage();
+            const data = await task(source, page);
+
+            return {
+                success: true,
+                outcome: OUTCOMES.SUCCESS,
+                source: source.name,
+                ...data,
+                executionTime: Date.now() - startTime
+            };
+        } catch (error) {
+            logger.warn('❌ Match scraping failed', { error });
+            return {
+                success: false,
+                outcome: outcomeFromError(error),
+                source: source?.name ?? provider,
+                error: error.message,
+                retryAfterMs: error.retryAfterMs ?? null,
+                executionTime: Date.now() - startTime
+            };
+        } finally {
+            // Closing fails once the browser has crashed; the result stands either way
+            if (page) {
+                await page.close().catch(() => {});
+            }
+        }
+    }
+
+    // Launches the browser on first use, and again once it crashed or is due
+    // for recycling. Workers asking at the same time share one launch.
+    async ensureBrowser() {
+        if (this.browser) {
+            const reason = await this.recycleReason();
+            if (!reason) return this.browser;
+            this.retire(reason);
+        }
+
+        this.launching ??= this.initialize().finally(() => {
+            this.launching = null;
+        });
+        await this.launching;
+        return this.browser;
+    }
+
+    // Recycling bounds what a long-lived Chromium leaks
+    async recycleReason() {
+        const maxPages = settings.get('browser.recyclePages');
+        if (maxPages > 0 && this.pagesServed >= maxPages) {
+            return 'pages';
+        }
+
+        const maxMb = settings.get('browser.recycleMemoryMb');
+        const pid = this.browser.process()?.pid;
+        if (maxMb > 0 && pid && Date.now() - this.memoryCheckedAt >= MEMORY_CHECK_INTERVAL) {
+            this.memoryCheckedAt = Date.now();
+            const bytes = await processTreeMemory(pid);
+            if (bytes !== null) {
+                browserMemory.set({}, bytes);
+                if (bytes > maxMb * 1024 * 1024) return 'memory';
+            }
+        }
+        return null;
+    }
+
+    // New pages go to a fresh browser; the old one closes once the pages
+    // other workers still have open on it are done
+    retire(reason) {
+        const browser = this.browser;
+        if (!browser) return;
+
+        logger.info(`♻️ Recycling the browser after ${this.pagesServed} page(s)${reason === 'memory' ? ' (memory limit reached)' : ''}`);
+        this.browser = null;
+        this.restartReason = reason;
+        this.retiring.add(browser);
+        this.closeIfIdle(browser);
+    }
+
+    closeIfIdle(browser) {
+        if (!this.retiring.has(browser) || [...this.openPages].some(page => page.browser() === browser)) return;
+        browser.close().catch(error => logger.warn('⚠️ Failed to close the recycled browser', { error }));
+    }
+
+    onDisconnected(browser) {
+        for (const page of this.openPages) {
+            if (page.browser() === browser && this.openPages.delete(page)) browserPagesOpen.dec();
+        }
+        if (this.retiring.delete(browser) || this.browser !== browser) return;
+
+        // Chromium crashed or was killed; the next page relaunches it
+        logger.warn('💥 Browser disconnected unexpectedly, relaunching it for the next page');
+        this.browser = null;
+        this.restartReason = 'crash';
+    }
+
+    // Configure page with default settings
+    // Settings are read per page, so `set browser.*` applies to the next scrape
+    async newPage() {
+        const browser = await this.ensureBrowser();
+        const page = await browser.newPage();
+        this.pagesServed++;
+        this.openPages.add(page);
+        browserPagesOpen.inc();
+        page.once('close', () => {
+            if (this.openPages.delete(page)) browserPagesOpen.dec();
+            this.closeIfIdle(browser);
+        });
+
+        // The caller never gets a page that failed its setup, so close it here
+        try {
+            await page.setUserAgent(settings.get('browser.userAgent'));
+            await page.setViewport({
+                width: settings.get('browser.viewportWidth'),
+                height: settings.get('browser.viewportHeight')
+            });
+
+            const blockedTypes = parseResourceTypes(settings.get('browser.blockResources'));
+            const blockAds = settings.get('browser.blockAds');
+            if (blockedTypes.size > 0 || blockAds) {
+                await page.setRequestInterception(true);
+                page.on('request', request => this.filterRequest(request, blockedTypes, blockAds));
+            }
+        } catch (error) {
+            await page.close().catch(() => {});
+            throw error;
+        }
+        return page;
+    }
+
+    filterRequest(request, blockedTypes, blockAds) {
+        if (request.isInterceptResolutionHandled()) return;
+
+        const type = request.resourceType();
+        const blocked = blockedTypes.has(type) ? type : (blockAds && isAdHost(request.url()) ? 'ad' : null);
+        // The page may close while a request is pending
+        if (!blocked) {
+            request.continue().catch(() => {});
+            return;
+        }
+
+        blockedRequests.inc({ type: blocked });
+        blockedBytes.inc({}, ESTIMATED_BYTES[type] ?? ESTIMATED_BYTES_OTHER);
+        request.abort('blockedbyclient').catch(() => {});
+    }
+
     async delay(ms) {
         return new Promise(resolve => setTimeout(resolve, ms));
     }
 
     async close() {
-        if (this.browser) {
-            await this.browser.close();
-            this.browser = null;
-            console.log('🔒 Browser closed');
-        }
+        const browsers = [this.browser, ...this.retiring].filter(Boolean);
+        this.browser = null;
+        this.retiring.clear();
+        if (browsers.length === 0) return;
+
+        await Promise.all(browsers.map(browser => browser.close()));
+        browserPagesOpen.dec({}, this.openPages.size);
+        this.openPages.clear();
+        logger.info('🔒 Browser closed');
     }
 }
 
@@ -0,0 +1,97 @@
+import { createLogger } from './logger.js';
+
+const logger = createLogger('shutdown');
+
+export const SHUTDOWN_EXIT_CODES = Object.freeze({
+    CLEAN: 0, // every job in progress finished
+    FAILED: 1, // a shutdown step failed
+    INTERRUPTED: 4, // jobs still running at the drain timeout went back to the queue
+    FORCED: 130 // a second signal skipped the rest of the shutdown
+});
+
+// Runs the process's shutdown steps once, on SIGINT/SIGTERM or when asked to.
+// Steps run in reverse order of registration, so what was started last (the
+// API server) stops before what it depends on (the scraper and database). A
+// step may return { interrupted } with the jobs it had to abandon.
+class ShutdownCoordinator {
+    constructor() {
+        this.steps = [];
+        this.reason = null;
+        this.running = null;
+        this.done = new Promise(resolve => {
+            this.resolveDone = resolve;
+        });
+        this.onSignal = (signal) => this.handleSignal(signal);
+    }
+
+    get requested() {
+        return this.reason !== null;
+    }
+
+    install() {
+        process.on('SIGINT', this.onSignal);
+        process.on('SIGTERM', this.onSignal);
+    }
+
+    // Returns a function that removes the step again
+    register(name, step) {
+        const entry = { name, step };
+        this.steps.push(entry);
+        return () => {
+            this.steps = this.steps.filter(other => other !== entry);
+        };
+    }
+
+    async handleSignal(signal) {
+        if (this.requested) {
+            logger.warn(`⚠️ Received ${signal} during the shutdown, exiting without finishing it`);
+            process.exit(SHUTDOWN_EXIT_CODES.FORCED);
+        }
+
+        logger.info(`🛑 Received ${signal}, shutting down gracefully (send it again to force)...`);
+        process.exit(await this.shutdown(signal));
+    }
+
+    // Starts the shutdown, or joins the one in progress. Resolves with the exit code.
+    shutdown(reason = 'shutdown') {
+        if (!this.running) {
+            this.reason = reason;
+            this.running = this.runSteps().then(code => {
+                this.resolveDone(code);
+                return code;
+            });
+        }
+        return this.running;
+    }
+
+    // Resolves with the exit code once someone else has shut the process down
+    wait() {
+        return this.done;
+    }
+
+    async runSteps() {
+        let failed = false;
+        let interrupted = 0;
+
+        for (const { name, step } of [...this.steps].reverse()) {
+            try {
+                const result = await step();
+                interrupted += result?.interrupted?.length ?? 0;
+            } catch (error) {
+                failed = true;
+                logger.error(`❌ Shutdown step "${name}" failed`, { error });
+            }
+        }
+
+        if (failed) return SHUTDOWN_EXIT_CODES.FAILED;
+        if (interrupted > 0) {
+            logger.warn(`⏹️ Shut down with ${interrupted} job(s) interrupted and returned to the queue`);
+            return SHUTDOWN_EXIT_CODES.INTERRUPTED;
+        }
+
+        logger.info('👋 Shut down cleanly');
+        return SHUTDOWN_EXIT_CODES.CLEAN;
+    }
+}
+
+export default new ShutdownCoordinator();
@@ -0,0 +1,57 @@
+// SteamID64 = base + account ID for individual accounts in the public universe
+const STEAM_ID64_BASE = 76561197960265728n;
+const MAX_ACCOUNT_ID = 4294967295n;
+
+const STEAM_ID64 = /^\d{17}$/;
+const STEAM_ID2 = /^STEAM_[0-5]:([01]):(\d+)$/i;
+const STEAM_ID3 = /^\[?U:1:(\d+)\]?$/i;
+const ACCOUNT_ID = /^\d{1,10}$/;
+const PROFILE_URL = /^(?:https?:\/\/)?(?:www\.)?steamcommunity\.com\/profiles\/([^/?#\s]+)/i;
+const VANITY_URL = /^(?:https?:\/\/)?(?:www\.)?steamcommunity\.com\/id\/([^/?#\s]+)/i;
+const CSGOSTATS_URL = /^(?:https?:\/\/)?(?:www\.)?csgostats\.gg\/player\/(\d{17})/i;
+
+const fromAccountId = (accountId) => {
+    if (accountId < 1n || accountId > MAX_ACCOUNT_ID) {
+        return { error: 'account ID out of range' };
+    }
+    return { steamId64: (STEAM_ID64_BASE + accountId).toString() };
+};
+
+// Accepts SteamID64, SteamID2 (STEAM_0:1:x), SteamID3 ([U:1:x]), 32-bit
+// account IDs and profile URLs. Returns { steamId64 } or { error }.
+export function toSteamId64(input) {
+    const value = String(input ?? '').trim();
+    if (!value) return { error: 'empty value' };
+
+    if (STEAM_ID64.test(value)) {
+        const accountId = BigInt(value) - STEAM_ID64_BASE;
+        return accountId >= 1n && accountId <= MAX_ACCOUNT_ID
+            ? { steamId64: value }
+            : { error: 'not an individual account SteamID64' };
+    }
+
+    let match = value.match(STEAM_ID2);
+    if (match) {
+        return fromAccountId(BigInt(match[2]) * 2n + BigInt(match[1]));
+    }
+
+    match = value.match(STEAM_ID3);
+    if (match) {
+        return fromAccountId(BigInt(match[1]));
+    }
+
+    if (ACCOUNT_ID.test(value)) {
+        return fromAccountId(BigInt(value));
+    }
+
+    match = value.match(PROFILE_URL) || value.match(CSGOSTATS_URL);
+    if (match) {
+        return toSteamId64(match[1]);
+    }
+
+    if (VANITY_URL.test(value)) {
+        return { error: 'vanity URLs (/id/...) cannot be resolved without the Steam Web API' };
+    }
+
+    return { error: 'unrecognised Steam ID format' };
+}
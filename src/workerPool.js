@@ -0,0 +1,95 @@
+import RateLimiter from './rateLimiter.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('workerPool');
+
+class WorkerPool {
+    constructor({ concurrency = 1, limiter = new RateLimiter({ baseInterval: 0 }) } = {}) {
+        this.concurrency = Math.max(1, concurrency);
+        this.limiter = limiter;
+        this.isRunning = false;
+        this.workers = [];
+    }
+
+    async runWorker(worker, next, handler) {
+        while (this.isRunning) {
+            const item = await next();
+            if (item === null || item === undefined) break;
+
+            await this.limiter.acquire();
+            if (!this.isRunning) {
+                worker.unstarted.push(item);
+                break;
+            }
+
+            worker.status = 'busy';
+            worker.current = item;
+
+            try {
+                const result = await handler(item, worker);
+                if (result?.success === false) {
+                    worker.failed++;
+                } else {
+                    worker.succeeded++;
+                }
+            } catch (error) {
+                worker.failed++;
+                logger.error(`💥 Worker #${worker.id} failed on ${item}`, { error });
+            } finally {
+                worker.processed++;
+                worker.current = null;
+                worker.status = 'idle';
+            }
+        }
+
+        worker.status = 'stopped';
+    }
+
+    // Runs `handler` for every item returned by `next()` until it returns
+    // null or the pool is stopped. Returns items that were taken but never started.
+    async run(next, handler) {
+        if (this.isRunning) {
+            throw new Error('Worker pool is already running');
+        }
+
+        this.isRunning = true;
+        this.workers = Array.from({ length: this.concurrency }, (_, index) => ({
+            id: index + 1,
+            status: 'idle',
+            current: null,
+            processed: 0,
+            succeeded: 0,
+            failed: 0,
+            unstarted: []
+        }));
+
+        // A worker only rejects when `next()` fails; stop the others and let
+        // them finish their current item before reporting the error
+        const results = await Promise.allSettled(this.workers.map(worker =>
+            this.runWorker(worker, next, handler).catch(error => {
+                this.stop();
+                throw error;
+            })
+        ));
+        this.isRunning = false;
+
+        const failure = results.find(result => result.status === 'rejected');
+        if (failure) {
+            throw failure.reason;
+        }
+
+        return this.workers.flatMap(worker => worker.unstarted);
+    }
+
+    stop() {
+        this.isRunning = false;
+    }
+
+    getStatus() {
+        return this.workers.map(({ id, status, current, processed, succeeded, failed }) => ({
+            id, status, current, processed, succeeded, failed
+        }));
+    }
+}
+
+export default WorkerPool;
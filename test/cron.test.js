@@ -0,0 +1,74 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { matchesCron, nextCronRun, parseCron } from '../src/cron.js';
+
+// Cron runs in local time, so dates are built from local parts
+const at = (year, month, day, hour = 0, minute = 0) => new Date(year, month - 1, day, hour, minute);
+
+describe('parseCron', () => {
+    it('expands numbers, ranges, steps and lists', () => {
+        const cron = parseCron('*/15 9-17/4 1,15 * 1-5');
+
+        assert.deepEqual([...cron.minutes], [0, 15, 30, 45]);
+        assert.deepEqual([...cron.hours], [9, 13, 17]);
+        assert.deepEqual([...cron.days], [1, 15]);
+        assert.equal(cron.months.size, 12);
+        assert.deepEqual([...cron.weekdays], [1, 2, 3, 4, 5]);
+        assert.equal(cron.anyDay, false);
+    });
+
+    it('treats 7 as Sunday and understands the aliases', () => {
+        assert.deepEqual([...parseCron('0 0 * * 7').weekdays], [0]);
+        assert.deepEqual(parseCron('@daily'), { ...parseCron('0 0 * * *'), expression: '@daily' });
+        assert.equal(parseCron('@hourly').anyDay, true);
+    });
+
+    it('rejects malformed and out-of-range fields', () => {
+        assert.throws(() => parseCron('* * * *'), /must have 5 fields/);
+        assert.throws(() => parseCron(''), /must have 5 fields/);
+        assert.throws(() => parseCron('60 * * * *'), /minute "60" is out of range \(0-59\)/);
+        assert.throws(() => parseCron('* * 0 * *'), /day of month "0" is out of range/);
+        assert.throws(() => parseCron('* 5-3 * * *'), /hour "5-3" is out of range/);
+        assert.throws(() => parseCron('*/0 * * * *'), /out of range/);
+        assert.throws(() => parseCron('mon * * * *'), /Invalid cron minute "mon"/);
+    });
+});
+
+describe('matchesCron', () => {
+    it('needs both day fields when one is a wildcard', () => {
+        const weekdays = parseCron('0 12 * * 1-5');
+
+        assert.equal(matchesCron(weekdays, at(2026, 1, 5, 12)), true); // Monday
+        assert.equal(matchesCron(weekdays, at(2026, 1, 4, 12)), false); // Sunday
+        assert.equal(matchesCron(weekdays, at(2026, 1, 5, 12, 1)), false);
+    });
+
+    it('accepts either day field when both are restricted, like cron', () => {
+        const cron = parseCron('0 0 13 * 5');
+
+        assert.equal(matchesCron(cron, at(2026, 2, 13)), true); // Friday the 13th
+        assert.equal(matchesCron(cron, at(2026, 1, 13)), true); // Tuesday
+        assert.equal(matchesCron(cron, at(2026, 1, 2)), true); // Friday
+        assert.equal(matchesCron(cron, at(2026, 1, 3)), false);
+    });
+});
+
+describe('nextCronRun', () => {
+    it('returns the first matching minute strictly after the start', () => {
+        const hourly = parseCron('0 * * * *');
+
+        assert.deepEqual(nextCronRun(hourly, at(2026, 1, 1, 10, 30)), at(2026, 1, 1, 11, 0));
+        assert.deepEqual(nextCronRun(hourly, at(2026, 1, 1, 11, 0)), at(2026, 1, 1, 12, 0));
+        assert.deepEqual(nextCronRun(hourly, new Date(at(2026, 1, 1, 10, 59).getTime() + 59999)), at(2026, 1, 1, 11, 0));
+    });
+
+    it('rolls over days, months and years', () => {
+        assert.deepEqual(nextCronRun(parseCron('30 2 * * *'), at(2026, 1, 31, 3)), at(2026, 2, 1, 2, 30));
+        assert.deepEqual(nextCronRun(parseCron('@monthly'), at(2026, 12, 15)), at(2027, 1, 1));
+        assert.deepEqual(nextCronRun(parseCron('0 0 29 2 *'), at(2027, 6, 1)), at(2028, 2, 29));
+    });
+
+    it('gives up on expressions that never match', () => {
+        assert.throws(() => nextCronRun(parseCron('0 0 31 2 *'), at(2026, 1, 1)), /never matches/);
+    });
+});
@@ -0,0 +1,97 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { DataQualityPolicy, describeFlags, serializeFlags, validatePlayerStats } from '../src/dataQuality.js';
+
+const CLEAN = {
+    kd_ratio: 1.32,
+    win_rate: 54.8,
+    headshot_percentage: 48,
+    adr: 87.4,
+    matches_played: 1024,
+    matches_won: 561,
+    matches_lost: 420,
+    matches_tied: 43,
+    kills: 21456,
+    deaths: 16254,
+    headshots: 10300
+};
+
+const codes = (data) => validatePlayerStats(data).flags.map(flag => flag.code);
+
+describe('validatePlayerStats', () => {
+    it('passes consistent stats', () => {
+        assert.deepEqual(validatePlayerStats(CLEAN), { flags: [], severity: null });
+        assert.deepEqual(validatePlayerStats({}), { flags: [], severity: null });
+    });
+
+    it('flags values outside their plausible range as errors', () => {
+        const result = validatePlayerStats({ kd_ratio: 25, win_rate: '101', kills: -1, adr: 'n/a' });
+
+        assert.equal(result.severity, 'error');
+        assert.deepEqual(result.flags.map(flag => flag.code), [
+            'out_of_range:kd_ratio', 'out_of_range:win_rate', 'out_of_range:adr', 'out_of_range:kills'
+        ]);
+        assert.equal(result.flags[0].message, 'kd_ratio = 25 is outside 0-20');
+        assert.equal(result.flags[3].message, 'kills = -1 is outside 0-∞');
+    });
+
+    it('flags cross-field contradictions as errors', () => {
+        assert.deepEqual(codes({ ...CLEAN, matches_played: 1000 }), ['matches_sum_mismatch']);
+        assert.deepEqual(codes({ ...CLEAN, kd_ratio: 1.5 }), ['kd_mismatch']);
+        assert.deepEqual(codes({ ...CLEAN, headshots: 30000 }), ['headshots_exceed_kills', 'headshot_percentage_mismatch']);
+    });
+
+    it('tolerates rounding on the site\'s side', () => {
+        assert.deepEqual(codes({ ...CLEAN, kd_ratio: 1.35, win_rate: 58, headshot_percentage: 44 }), []);
+    });
+
+    it('only warns about derived percentages and averages', () => {
+        const result = validatePlayerStats({ ...CLEAN, win_rate: 70, adr: 60, total_damage: 2500000, rounds_played: 25000 });
+
+        assert.equal(result.severity, 'warning');
+        assert.deepEqual(result.flags.map(flag => flag.code), ['win_rate_mismatch', 'adr_mismatch']);
+        assert.deepEqual(codes({ matches_played: 10, rounds_played: 5 }), ['rounds_below_matches']);
+    });
+
+    it('leaves out checks whose fields are missing or zero', () => {
+        assert.deepEqual(codes({ kd_ratio: 3, kills: 10, deaths: 0 }), []);
+        assert.deepEqual(codes({ matches_won: 5, matches_lost: 1 }), []);
+    });
+});
+
+describe('serializeFlags and describeFlags', () => {
+    it('store codes and join messages', () => {
+        const { flags } = validatePlayerStats({ ...CLEAN, kd_ratio: 1.5, win_rate: 70 });
+
+        assert.equal(serializeFlags(flags), 'kd_mismatch,win_rate_mismatch');
+        assert.equal(serializeFlags([]), null);
+        assert.equal(describeFlags(flags), 'kills / deaths = 1.32, but kd_ratio = 1.5; won / played = 54.8%, but win_rate = 70');
+    });
+});
+
+describe('DataQualityPolicy', () => {
+    const invalid = { ...CLEAN, kd_ratio: 99 };
+    const suspicious = { ...CLEAN, win_rate: 70 };
+
+    it('saves flagged stats in flag mode', () => {
+        const review = new DataQualityPolicy({ mode: 'flag' }).review(invalid);
+
+        assert.equal(review.action, 'save');
+        assert.equal(review.severity, 'error');
+    });
+
+    it('quarantines or rejects stats with errors in the other modes', () => {
+        assert.equal(new DataQualityPolicy({ mode: 'quarantine' }).review(invalid).action, 'quarantine');
+        assert.equal(new DataQualityPolicy({ mode: 'reject' }).review(invalid).action, 'reject');
+    });
+
+    it('always saves stats that only have warnings', () => {
+        for (const mode of ['flag', 'quarantine', 'reject']) {
+            assert.equal(new DataQualityPolicy({ mode }).review(suspicious).action, 'save');
+        }
+    });
+
+    it('rejects unknown modes', () => {
+        assert.throws(() => new DataQualityPolicy({ mode: 'ignore' }), /must be one of flag, quarantine, reject/);
+    });
+});
@@ -0,0 +1,118 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'url';
+import DatabaseService from '../src/services/database.service.js';
+import { detectFormat, importSteamIds, normalizeRows } from '../src/importer.js';
+
+const fixture = (name) => fileURLToPath(new URL(`./fixtures/${name}`, import.meta.url));
+
+const S1MPLE = '76561198034202275';
+const ACCOUNT_2 = '76561197960265730';
+const ACCOUNT_9 = '76561197960265737';
+
+describe('detectFormat', () => {
+    it('goes by the file extension and falls back to txt', () => {
+        assert.equal(detectFormat('ids.CSV'), 'csv');
+        assert.equal(detectFormat('/data/ids.json'), 'json');
+        assert.equal(detectFormat('ids.list'), 'txt');
+        assert.equal(detectFormat('ids'), 'txt');
+    });
+});
+
+describe('normalizeRows', () => {
+    it('keeps the highest priority of duplicates', () => {
+        const { valid, invalid, duplicates } = normalizeRows([
+            { line: 1, input: S1MPLE, priority: '2' },
+            { line: 2, input: 'STEAM_0:1:36968273', priority: 7 },
+            { line: 3, input: '[U:1:73936547]' }
+        ], 1);
+
+        assert.deepEqual([...valid], [[S1MPLE, 7]]);
+        assert.deepEqual(invalid, []);
+        assert.equal(duplicates, 2);
+    });
+
+    it('reports bad IDs and priorities with their line', () => {
+        const { valid, invalid } = normalizeRows([
+            { line: 4, input: 'nonsense' },
+            { line: 5, input: S1MPLE, priority: 'high' },
+            { line: 6, input: undefined }
+        ]);
+
+        assert.equal(valid.size, 0);
+        assert.deepEqual(invalid, [
+            { line: 4, input: 'nonsense', reason: 'unrecognised Steam ID format' },
+            { line: 5, input: S1MPLE, reason: 'invalid priority "high"' },
+            { line: 6, input: null, reason: 'empty value' }
+        ]);
+    });
+});
+
+describe('importSteamIds', () => {
+    let added;
+
+    beforeEach(() => {
+        added = [];
+        mock.method(DatabaseService, 'getExistingSteamIds', async (ids) => new Set(ids.filter(id => id === ACCOUNT_9)));
+        mock.method(DatabaseService, 'addMultipleSteamIds', async (rows) => { added.push(...rows); });
+    });
+    afterEach(() => mock.restoreAll());
+
+    it('imports a text file with comments, blank lines and priorities', async () => {
+        const report = await importSteamIds(fixture('steam-ids.txt'));
+
+        assert.equal(report.format, 'txt');
+        assert.equal(report.rows, 5);
+        assert.deepEqual(report.added, [
+            { steam_id64: S1MPLE, priority: 9 },
+            { steam_id64: ACCOUNT_2, priority: 1 }
+        ]);
+        assert.deepEqual(report.already_queued, [ACCOUNT_9]);
+        assert.equal(report.duplicates, 1);
+        assert.deepEqual(report.invalid, [{ line: 7, input: 'nonsense', reason: 'unrecognised Steam ID format' }]);
+        assert.deepEqual(added, [[S1MPLE, 9, null, null], [ACCOUNT_2, 1, null, null]]);
+    });
+
+    it('finds the ID and priority columns of a CSV by their header', async () => {
+        const report = await importSteamIds(fixture('steam-ids.csv'), { priority: 2 });
+
+        assert.deepEqual(report.added, [{ steam_id64: S1MPLE, priority: 3 }]);
+        assert.deepEqual(report.already_queued, [ACCOUNT_9]);
+        assert.deepEqual(report.invalid.map(({ line, reason }) => [line, reason]), [
+            [4, 'unrecognised Steam ID format'],
+            [5, 'invalid priority "abc"']
+        ]);
+    });
+
+    it('reads objects and plain strings from JSON', async () => {
+        const report = await importSteamIds(fixture('steam-ids.json'));
+
+        assert.deepEqual(report.added, [
+            { steam_id64: S1MPLE, priority: 1 },
+            { steam_id64: ACCOUNT_2, priority: 4 }
+        ]);
+        assert.deepEqual(report.already_queued, [ACCOUNT_9]);
+        assert.deepEqual(report.invalid, [{ line: 4, input: null, reason: 'empty value' }]);
+    });
+
+    it('pins every new ID to the chosen provider and tag', async () => {
+        const report = await importSteamIds(fixture('steam-ids.txt'), { provider: 'csgostats', tag: 'pro' });
+
+        assert.equal(report.provider, 'csgostats');
+        assert.equal(report.tag, 'pro');
+        assert.deepEqual(added, [[S1MPLE, 9, 'csgostats', 'pro'], [ACCOUNT_2, 1, 'csgostats', 'pro']]);
+        await assert.rejects(importSteamIds(fixture('steam-ids.txt'), { provider: 'nope' }));
+    });
+
+    it('writes nothing on a dry run', async () => {
+        const report = await importSteamIds(fixture('steam-ids.txt'), { dryRun: true });
+
+        assert.equal(report.added.length, 2);
+        assert.deepEqual(added, []);
+    });
+
+    it('rejects unknown formats and malformed JSON', async () => {
+        await assert.rejects(importSteamIds(fixture('steam-ids.txt'), { format: 'xml' }), /Unsupported format "xml"/);
+        await assert.rejects(importSteamIds(fixture('steam-ids.csv'), { format: 'json' }), /Invalid JSON/);
+    });
+});
@@ -0,0 +1,146 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { normalizeMapName, parseMatch, parseMatchList, resultFromScore } from '../src/parsers/matches.parser.js';
+
+const fixture = (name) => readFileSync(new URL(`./fixtures/${name}.html`, import.meta.url), 'utf8');
+
+describe('normalizeMapName', () => {
+    it('drops the game mode prefix and case', () => {
+        assert.equal(normalizeMapName('de_mirage'), 'mirage');
+        assert.equal(normalizeMapName('DE_ANCIENT'), 'ancient');
+        assert.equal(normalizeMapName('cs_office'), 'office');
+        assert.equal(normalizeMapName('  Dust  II '), 'dust ii');
+    });
+
+    it('returns null for nothing usable', () => {
+        assert.equal(normalizeMapName(''), null);
+        assert.equal(normalizeMapName(null), null);
+        assert.equal(normalizeMapName('x'.repeat(51)), null);
+    });
+});
+
+describe('resultFromScore', () => {
+    it('compares the scores from the first team\'s point of view', () => {
+        assert.equal(resultFromScore(16, 12), 'win');
+        assert.equal(resultFromScore(10, 13), 'loss');
+        assert.equal(resultFromScore(15, 15), 'tie');
+        assert.equal(resultFromScore(null, 13), null);
+    });
+});
+
+describe('parseMatchList', () => {
+    const matches = parseMatchList(fixture('match-list'), { url: 'https://csgostats.gg/player/76561198034202275' });
+
+    it('lists every linked match once, in page order', () => {
+        assert.deepEqual(matches.map(match => match.source_match_id), ['1001', '1002', '1003', 'live-7']);
+        assert.equal(matches[1].url, 'https://csgostats.gg/match/1002');
+    });
+
+    it('reads the map, date, score and result of each row', () => {
+        assert.deepEqual(matches[0], {
+            source_match_id: '1001',
+            url: 'https://csgostats.gg/match/1001',
+            played_at: new Date('2026-03-14T20:15:00Z'),
+            map_name: 'mirage',
+            team_score: 16,
+            opponent_score: 12,
+            result: 'win'
+        });
+        assert.deepEqual(matches[1].played_at, new Date(1773345600 * 1000));
+        assert.equal(matches[1].map_name, 'nuke');
+        assert.equal(matches[1].result, 'loss');
+    });
+
+    it('prefers a labelled map and does not take dates for scores', () => {
+        assert.equal(matches[2].map_name, 'inferno');
+        assert.deepEqual([matches[2].team_score, matches[2].opponent_score, matches[2].result], [15, 15, 'tie']);
+    });
+
+    it('leaves out what a row does not show', () => {
+        assert.deepEqual(matches[3], {
+            source_match_id: 'live-7',
+            url: 'https://csgostats.gg/match/live-7',
+            played_at: null,
+            map_name: null,
+            team_score: null,
+            opponent_score: null,
+            result: null
+        });
+    });
+
+    it('returns nothing for a page without match links', () => {
+        assert.deepEqual(parseMatchList(fixture('no-data')), []);
+    });
+});
+
+describe('parseMatch', () => {
+    const match = parseMatch(fixture('match'), { url: 'https://csgostats.gg/match/1001' });
+
+    it('reads the match details', () => {
+        assert.equal(match.source_match_id, '1001');
+        assert.equal(match.map_name, 'mirage');
+        assert.deepEqual(match.played_at, new Date('2026-03-14T20:15:00Z'));
+        assert.deepEqual([match.team1_score, match.team2_score], [16, 12]);
+    });
+
+    it('reads each player once with their team, result and scoreline', () => {
+        assert.deepEqual(match.players, [
+            {
+                steam_id64: '76561198034202275',
+                player_name: 's1mple',
+                team: 1,
+                kills: 28,
+                deaths: 15,
+                assists: 4,
+                adr: 104.3,
+                headshot_percentage: 46,
+                rating: 1.52,
+                mvps: 5,
+                result: 'win'
+            },
+            {
+                steam_id64: '76561197960265737',
+                player_name: 'teammate',
+                team: 1,
+                kills: 17,
+                deaths: 18,
+                assists: 6,
+                adr: 78.1,
+                rating: 1.01,
+                mvps: 2,
+                result: 'win'
+            },
+            {
+                steam_id64: '76561197960265730',
+                player_name: 'opponent',
+                team: 2,
+                kills: 20,
+                deaths: 21,
+                assists: 3,
+                adr: 85,
+                headshot_percentage: 55,
+                rating: 0.98,
+                mvps: 3,
+                result: 'loss'
+            }
+        ]);
+    });
+
+    it('falls back to the score in the page text', () => {
+        const html = `
+            <div>de_overpass 13:16</div>
+            <table>
+                <tr><th>Player</th><th>K</th></tr>
+                <tr><td><a href="/player/76561198034202275">s1mple</a></td><td>21</td></tr>
+            </table>`;
+        const parsed = parseMatch(html);
+
+        assert.equal(parsed.source_match_id, null);
+        assert.equal(parsed.map_name, 'overpass');
+        assert.deepEqual([parsed.team1_score, parsed.team2_score], [13, 16]);
+        assert.deepEqual(parsed.players, [
+            { steam_id64: '76561198034202275', player_name: 's1mple', team: 1, kills: 21, result: 'loss' }
+        ]);
+    });
+});
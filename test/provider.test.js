@@ -0,0 +1,34 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import CsgostatsProvider from '../src/providers/csgostats.provider.js';
+import { OUTCOMES } from '../src/scrapeOutcome.js';
+
+const fixture = (name) => readFileSync(new URL(`./fixtures/${name}.html`, import.meta.url), 'utf8');
+
+// Just enough of a puppeteer page for waitForStats
+const fakePage = (html, { appears = false } = {}) => ({
+    waitForSelector: async (selector) => {
+        if (!appears) throw Object.assign(new Error(`Waiting for selector \`${selector}\` failed`), { name: 'TimeoutError' });
+    },
+    content: async () => html
+});
+
+describe('StatsProvider.waitForStats', () => {
+    const provider = new CsgostatsProvider();
+
+    it('returns once a ready selector appears', async () => {
+        await provider.waitForStats(fakePage(fixture('profile'), { appears: true }));
+    });
+
+    it('reports stats that never appear as a timeout, which is retried', async () => {
+        await assert.rejects(provider.waitForStats(fakePage('<html><body><div class="spinner"></div></body></html>')), {
+            name: 'ScrapeError',
+            outcome: OUTCOMES.TIMEOUT
+        });
+    });
+
+    it('recognises a page that cannot hold stats while waiting', async () => {
+        await assert.rejects(provider.waitForStats(fakePage(fixture('private'))), { outcome: OUTCOMES.PRIVATE_PROFILE });
+    });
+});
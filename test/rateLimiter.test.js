@@ -0,0 +1,106 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import RateLimiter, { parseRetryAfter } from '../src/rateLimiter.js';
+
+const NOW = Date.parse('2026-01-01T12:00:00Z');
+
+describe('parseRetryAfter', () => {
+    it('reads a number of seconds', () => {
+        assert.equal(parseRetryAfter('120'), 120000);
+        assert.equal(parseRetryAfter('0'), 0);
+        assert.equal(parseRetryAfter(-5), 0);
+    });
+
+    it('reads an HTTP date relative to now', () => {
+        assert.equal(parseRetryAfter('Thu, 01 Jan 2026 12:00:30 GMT', NOW), 30000);
+        assert.equal(parseRetryAfter('Thu, 01 Jan 2026 11:59:00 GMT', NOW), 0);
+    });
+
+    it('returns null when there is nothing usable', () => {
+        assert.equal(parseRetryAfter(undefined), null);
+        assert.equal(parseRetryAfter(''), null);
+        assert.equal(parseRetryAfter('soon'), null);
+    });
+});
+
+describe('RateLimiter', () => {
+    beforeEach(() => {
+        mock.method(console, 'log', () => {});
+        mock.method(Date, 'now', () => NOW);
+    });
+    afterEach(() => mock.restoreAll());
+
+    it('doubles the interval on every throttle up to the maximum', () => {
+        const limiter = new RateLimiter({ baseInterval: 2000, maxInterval: 10000 });
+
+        const intervals = [1, 2, 3, 4].map(() => {
+            limiter.reportThrottle(0);
+            return limiter.interval;
+        });
+        assert.deepEqual(intervals, [4000, 8000, 10000, 10000]);
+        assert.equal(limiter.getStats().throttle_count, 4);
+    });
+
+    it('backs off to at least the minimum interval when there is no delay', () => {
+        const limiter = new RateLimiter({ baseInterval: 0, minThrottleInterval: 1000, rampUpAfter: 1 });
+
+        limiter.reportThrottle(0);
+        assert.equal(limiter.interval, 1000);
+        limiter.reportThrottle(0);
+        assert.equal(limiter.interval, 2000);
+
+        for (let i = 0; i < 50; i++) limiter.reportSuccess();
+        assert.equal(limiter.interval, 0);
+    });
+
+    it('pauses for Retry-After, or the cooldown when the site sent none', () => {
+        const limiter = new RateLimiter({ cooldown: 60000 });
+
+        limiter.reportThrottle(5000);
+        assert.equal(limiter.pausedUntil, NOW + 5000);
+        limiter.reportThrottle();
+        assert.equal(limiter.pausedUntil, NOW + 60000);
+        limiter.reportThrottle(1000);
+        assert.equal(limiter.pausedUntil, NOW + 60000, 'a shorter pause does not cut a longer one short');
+        assert.equal(limiter.getStats().paused_for_ms, 60000);
+    });
+
+    it('ramps back down to the base interval after runs of successes', () => {
+        const limiter = new RateLimiter({ baseInterval: 1000, rampUpAfter: 2, rampUpFactor: 0.5 });
+        limiter.reportThrottle(0);
+        limiter.reportThrottle(0);
+        assert.equal(limiter.interval, 4000);
+
+        limiter.reportSuccess();
+        assert.equal(limiter.interval, 4000);
+        limiter.reportSuccess();
+        assert.equal(limiter.interval, 2000);
+        limiter.reportSuccess();
+        limiter.reportSuccess();
+        assert.equal(limiter.interval, 1000);
+        limiter.reportSuccess();
+        limiter.reportSuccess();
+        assert.equal(limiter.interval, 1000);
+    });
+
+    it('starts counting successes again after a throttle', () => {
+        const limiter = new RateLimiter({ baseInterval: 1000, rampUpAfter: 2, rampUpFactor: 0.5 });
+        limiter.reportThrottle(0);
+        limiter.reportSuccess();
+        limiter.reportThrottle(0);
+        limiter.reportSuccess();
+
+        assert.equal(limiter.interval, 4000);
+    });
+
+    it('spaces request starts by the interval', async () => {
+        mock.restoreAll();
+        const limiter = new RateLimiter({ baseInterval: 30 });
+
+        const startedAt = Date.now();
+        await Promise.all([limiter.acquire(), limiter.acquire(), limiter.acquire()]);
+
+        assert.ok(Date.now() - startedAt >= 55);
+        assert.equal(limiter.getStats().requests_last_minute, 3);
+    });
+});
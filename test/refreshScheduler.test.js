@@ -0,0 +1,43 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseAge, parseRefreshRules } from '../src/refreshScheduler.js';
+
+describe('parseAge', () => {
+    it('converts every unit to seconds', () => {
+        assert.deepEqual(['45s', '90m', '6h', '7d', '2W'].map(parseAge), [45, 5400, 21600, 604800, 1209600]);
+        assert.equal(parseAge(' 12 h '), 43200);
+    });
+
+    it('rejects zero, missing units and unknown units', () => {
+        for (const text of ['0d', '12', 'd', '1y', '', null]) {
+            assert.throws(() => parseAge(text), /Invalid age/);
+        }
+    });
+});
+
+describe('parseRefreshRules', () => {
+    it('parses every selector in order and appends the default', () => {
+        assert.deepEqual(parseRefreshRules('tag:pro=6h, priority:5+=1d, priority:2-4=3d, priority:-1=2w', '10d'), [
+            { label: 'tag:pro', maxAgeSeconds: 21600, tag: 'pro' },
+            { label: 'priority:5+', maxAgeSeconds: 86400, minPriority: 5, maxPriority: null },
+            { label: 'priority:2-4', maxAgeSeconds: 259200, minPriority: 2, maxPriority: 4 },
+            { label: 'priority:-1', maxAgeSeconds: 1209600, minPriority: -1, maxPriority: -1 },
+            { label: '*', maxAgeSeconds: 864000 }
+        ]);
+    });
+
+    it('keeps an explicit catch-all instead of the default', () => {
+        assert.deepEqual(parseRefreshRules(['tag:pro=1d', '*=3d']), [
+            { label: 'tag:pro', maxAgeSeconds: 86400, tag: 'pro' },
+            { label: '*', maxAgeSeconds: 259200 }
+        ]);
+        assert.deepEqual(parseRefreshRules('', '2d'), [{ label: '*', maxAgeSeconds: 172800 }]);
+    });
+
+    it('rejects malformed rules', () => {
+        assert.throws(() => parseRefreshRules('bogus'), /expected selector=age/);
+        assert.throws(() => parseRefreshRules('team:navi=1d'), /selectors are \*, tag:NAME/);
+        assert.throws(() => parseRefreshRules('priority:4-2=1d'), /empty priority range/);
+        assert.throws(() => parseRefreshRules('tag:pro=soon'), /Invalid age "soon"/);
+    });
+});
@@ -0,0 +1,58 @@
+import { describe, it, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import RetryPolicy from '../src/retryPolicy.js';
+import { OUTCOMES } from '../src/scrapeOutcome.js';
+
+const policy = (options = {}) => new RetryPolicy({ maxAttempts: 3, baseDelay: 60, maxDelay: 600, ...options });
+
+describe('RetryPolicy', () => {
+    afterEach(() => mock.restoreAll());
+
+    it('doubles the backoff with every attempt up to the maximum', () => {
+        const retry = policy({ jitter: 0 });
+
+        assert.deepEqual([1, 2, 3, 4, 5].map(attempts => retry.backoff(attempts)), [60, 120, 240, 480, 600]);
+    });
+
+    it('keeps the jitter within its share of the delay', () => {
+        const retry = policy({ jitter: 0.2 });
+
+        mock.method(Math, 'random', () => 0);
+        assert.equal(retry.backoff(2), 96);
+        mock.method(Math, 'random', () => 0.999999);
+        assert.equal(retry.backoff(2), 144);
+        assert.equal(retry.backoff(10), 720);
+    });
+
+    it('never backs off for less than a second', () => {
+        mock.method(Math, 'random', () => 0);
+
+        assert.equal(policy({ baseDelay: 1, jitter: 1 }).backoff(1), 1);
+    });
+
+    it('retries transient errors until the attempts run out', () => {
+        const retry = policy({ jitter: 0 });
+
+        assert.deepEqual(retry.decide(1, 'Navigation timeout of 30000 ms exceeded'), {
+            retry: true, errorType: 'transient', delaySeconds: 60
+        });
+        assert.deepEqual(retry.decide(3, 'Navigation timeout of 30000 ms exceeded'), {
+            retry: false, errorType: 'transient', reason: 'gave up after 3 attempts'
+        });
+    });
+
+    it('gives up on permanent errors straight away', () => {
+        assert.deepEqual(policy().decide(1, 'HTTP 404'), { retry: false, errorType: 'permanent', reason: 'permanent error' });
+        assert.equal(policy().classify('No stats data found on the page'), 'permanent');
+        assert.equal(policy().classify(null), 'transient');
+    });
+
+    it('classifies by the outcome code before the message', () => {
+        assert.equal(policy().classify('HTTP 404', OUTCOMES.TIMEOUT), 'transient');
+        assert.equal(policy().classify('Unexpected page', OUTCOMES.PRIVATE_PROFILE), 'permanent');
+        assert.equal(policy().decide(1, 'Unexpected page', OUTCOMES.NOT_FOUND).retry, false);
+        assert.equal(policy().decide(1, 'Unexpected page', OUTCOMES.BLOCKED).retry, true);
+        assert.equal(policy().decide(1, 'No stats found', OUTCOMES.LAYOUT_CHANGED).retry, true);
+        assert.equal(policy().decide(1, 'Stats elements did not appear in time', OUTCOMES.TIMEOUT).retry, true);
+    });
+});
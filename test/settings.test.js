@@ -0,0 +1,153 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync } from 'child_process';
+import { fileURLToPath } from 'url';
+import settings, { ConfigError, coerceSetting } from '../src/config/settings.js';
+
+const CONFIG_FILE = fileURLToPath(new URL('./fixtures/config.json', import.meta.url));
+
+describe('coerceSetting', () => {
+    it('converts raw values to the setting type', () => {
+        assert.equal(coerceSetting('scraper.batchSize', ' 25 '), 25);
+        assert.equal(coerceSetting('scraper.batchSize', 25), 25);
+        assert.equal(coerceSetting('discovery.enabled', 'Yes'), true);
+        assert.equal(coerceSetting('discovery.enabled', 0), false);
+        assert.equal(coerceSetting('quality.mode', 'REJECT'), 'reject');
+        assert.equal(coerceSetting('refresh.maxAge', 6), '6');
+    });
+
+    it('says where a bad value came from', () => {
+        assert.throws(() => coerceSetting('scraper.batchSize', '2.5', 'SCRAPER_BATCH_SIZE'),
+            { name: 'ConfigError', message: 'SCRAPER_BATCH_SIZE must be an integer, got "2.5"' });
+        assert.throws(() => coerceSetting('scraper.batchSize', 0), /must be at least 1, got 0/);
+        assert.throws(() => coerceSetting('api.port', 70000), /must be at most 65535/);
+        assert.throws(() => coerceSetting('discovery.enabled', 'maybe'), /must be true or false/);
+        assert.throws(() => coerceSetting('quality.mode', 'ignore'), /must be one of flag, quarantine, reject/);
+        assert.throws(() => coerceSetting('refresh.schedule', '* * *'), /refresh.schedule: Cron expression/);
+        assert.throws(() => coerceSetting('refresh.rules', { pro: '6h' }), /must be a string/);
+        assert.throws(() => coerceSetting('scraper.nope', 1), /Unknown setting "scraper.nope"/);
+    });
+});
+
+describe('Settings', () => {
+    const env = { SCRAPER_BATCH_SIZE: process.env.SCRAPER_BATCH_SIZE };
+
+    beforeEach(() => {
+        process.env.SCRAPER_BATCH_SIZE = '20';
+        settings.load({ file: CONFIG_FILE, overrides: { 'scraper.batchSize': '30' } });
+    });
+    afterEach(() => {
+        settings.removeAllListeners('change');
+        for (const [name, value] of Object.entries(env)) {
+            if (value === undefined) delete process.env[name];
+            else process.env[name] = value;
+        }
+        settings.load({ file: CONFIG_FILE });
+    });
+
+    it('layers the config file, environment, command line and runtime over the defaults', () => {
+        assert.equal(settings.file, CONFIG_FILE);
+        assert.deepEqual(['scraper.concurrency', 'scraper.delay', 'retry.maxAttempts'].map(key => [settings.get(key), settings.source(key)]), [
+            [1, 'default'], [1500, 'file'], [3, 'file']
+        ]);
+        assert.deepEqual([settings.get('scraper.batchSize'), settings.source('scraper.batchSize')], [30, 'cli']);
+
+        settings.set('scraper.batchSize', 40);
+        assert.deepEqual([settings.get('scraper.batchSize'), settings.source('scraper.batchSize')], [40, 'runtime']);
+
+        settings.load({ file: CONFIG_FILE });
+        assert.deepEqual([settings.get('scraper.batchSize'), settings.source('scraper.batchSize')], [20, 'env']);
+    });
+
+    it('tells listeners about changes that alter the effective value', () => {
+        const changes = [];
+        settings.on('change', change => changes.push(change));
+
+        settings.set('scraper.delay', '500');
+        settings.set('scraper.delay', 500);
+        settings.set('retry.maxAttempts', 3, 'cli');
+
+        assert.deepEqual(changes, [{ key: 'scraper.delay', value: 500, previous: 1500 }]);
+    });
+
+    it('keeps the old value when a listener rejects the new one', () => {
+        settings.on('change', ({ key }) => {
+            if (key === 'refresh.rules') throw new Error('bad rule');
+        });
+
+        assert.throws(() => settings.set('refresh.rules', 'bogus'), { name: 'ConfigError', message: 'refresh.rules: bad rule' });
+        assert.equal(settings.get('refresh.rules'), '');
+        assert.equal(settings.source('refresh.rules'), 'default');
+    });
+
+    it('undoes the keys already set when a later one is rejected', () => {
+        const applied = [];
+        settings.on('change', ({ key, value }) => {
+            if (key === 'refresh.rules' && value === 'bogus') throw new Error('bad rule');
+            applied.push([key, value]);
+        });
+
+        assert.throws(() => settings.setAll([['scraper.delay', 100], ['quality.mode', 'reject'], ['refresh.rules', 'bogus']]),
+            /refresh.rules: bad rule/);
+        assert.deepEqual([settings.get('scraper.delay'), settings.source('scraper.delay')], [1500, 'file']);
+        assert.deepEqual([settings.get('quality.mode'), settings.source('quality.mode')], ['flag', 'default']);
+        assert.deepEqual(applied, [
+            ['scraper.delay', 100], ['quality.mode', 'reject'], ['quality.mode', 'flag'], ['scraper.delay', 1500]
+        ]);
+    });
+
+    it('sets nothing when a value fails its check', () => {
+        const changes = [];
+        settings.on('change', change => changes.push(change));
+
+        assert.throws(() => settings.setAll([['scraper.delay', 100], ['scraper.batchSize', 'many']]), /must be an integer/);
+        assert.equal(settings.get('scraper.delay'), 1500);
+        assert.deepEqual(changes, []);
+
+        settings.setAll([['scraper.delay', 100], ['scraper.batchSize', 50]]);
+        assert.deepEqual([settings.get('scraper.delay'), settings.get('scraper.batchSize')], [100, 50]);
+    });
+
+    it('refuses runtime changes to settings only read at startup', () => {
+        assert.throws(() => settings.set('db.host', 'elsewhere'), /only takes effect at startup/);
+        assert.equal(settings.check('db.host', 'elsewhere', 'cli'), 'elsewhere');
+    });
+
+    it('rejects bad values in the environment and config file', () => {
+        process.env.SCRAPER_BATCH_SIZE = 'lots';
+        assert.throws(() => settings.load({ file: CONFIG_FILE }), /SCRAPER_BATCH_SIZE \(scraper.batchSize\) must be an integer/);
+        assert.equal(settings.get('scraper.batchSize'), 30, 'a failed load keeps the settings in use');
+
+        process.env.SCRAPER_BATCH_SIZE = '20';
+        assert.throws(() => settings.load({ file: '/nonexistent/config.json' }), ConfigError);
+        assert.throws(() => settings.load({ file: CONFIG_FILE, overrides: { 'scraper.nope': 1 } }), /Unknown setting/);
+    });
+
+    it('leaves a bad environment at import to the entry point', () => {
+        const script = `
+            const { default: settings, ConfigError } = await import('./src/config/settings.js');
+            try { settings.load(); } catch (error) { console.log(error instanceof ConfigError, settings.get('scraper.batchSize')); }
+        `;
+        const output = execFileSync(process.execPath, ['--input-type=module', '-e', script], {
+            cwd: fileURLToPath(new URL('..', import.meta.url)),
+            env: { ...process.env, SCRAPER_BATCH_SIZE: 'lots' },
+            encoding: 'utf8'
+        });
+
+        assert.equal(output.trim(), 'true 5');
+    });
+
+    it('hides secrets when describing the settings', () => {
+        settings.load({ file: CONFIG_FILE, overrides: { 'db.password': 'hunter2' } });
+        const password = settings.describe().find(({ key }) => key === 'db.password');
+
+        assert.deepEqual(password, {
+            key: 'db.password',
+            value: '********',
+            source: 'cli',
+            env: 'DB_PASSWORD',
+            apply: 'restart',
+            description: 'MySQL password'
+        });
+    });
+});
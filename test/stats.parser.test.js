@@ -0,0 +1,153 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { OUTCOMES } from '../src/scrapeOutcome.js';
+import { detectPageState, normalizeValue, parsePlayerStats } from '../src/parsers/stats.parser.js';
+
+const fixture = (name) => readFileSync(new URL(`./fixtures/${name}.html`, import.meta.url), 'utf8');
+
+const PROFILE_URL = 'https://csgostats.gg/player/76561198034202275';
+
+describe('normalizeValue', () => {
+    it('parses counts with thousands separators', () => {
+        assert.equal(normalizeValue('1,234', 'integer'), 1234);
+        assert.equal(normalizeValue('12 345', 'integer'), 12345);
+        assert.equal(normalizeValue(' 42 ', 'integer'), 42);
+    });
+
+    it('turns percentages into plain numbers', () => {
+        assert.equal(normalizeValue('55%', 'percent'), 55);
+        assert.equal(normalizeValue('54.8 %', 'percent'), 54.8);
+        assert.equal(normalizeValue('31', 'percent'), 31);
+    });
+
+    it('parses decimals', () => {
+        assert.equal(normalizeValue('1.05', 'decimal'), 1.05);
+        assert.equal(normalizeValue('87', 'decimal'), 87);
+    });
+
+    it('rejects text that does not fit the field type', () => {
+        assert.equal(normalizeValue('55%', 'integer'), null);
+        assert.equal(normalizeValue('1.5', 'integer'), null);
+        assert.equal(normalizeValue('-3', 'integer'), null);
+        assert.equal(normalizeValue('101%', 'percent'), null);
+        assert.equal(normalizeValue('12%', 'decimal'), null);
+        assert.equal(normalizeValue('-0.5', 'decimal'), null);
+        assert.equal(normalizeValue('12', 'unknown'), null);
+    });
+
+    it('rejects non-numeric text', () => {
+        assert.equal(normalizeValue('N/A', 'decimal'), null);
+        assert.equal(normalizeValue('12 kills', 'integer'), null);
+        assert.equal(normalizeValue('1,23', 'integer'), null);
+        assert.equal(normalizeValue('', 'integer'), null);
+        assert.equal(normalizeValue(null, 'integer'), null);
+    });
+});
+
+describe('detectPageState', () => {
+    it('treats a regular profile as parseable', () => {
+        assert.equal(detectPageState(fixture('profile')), null);
+    });
+
+    it('recognises a challenge page from its markup', () => {
+        assert.equal(detectPageState(fixture('challenge')), OUTCOMES.BLOCKED);
+    });
+
+    it('recognises private, missing and empty profiles', () => {
+        assert.equal(detectPageState(fixture('private')), OUTCOMES.PRIVATE_PROFILE);
+        assert.equal(detectPageState(fixture('not-found')), OUTCOMES.NOT_FOUND);
+        assert.equal(detectPageState(fixture('no-data')), OUTCOMES.NO_DATA);
+    });
+
+    it('ignores the same phrases outside the site\'s notices', () => {
+        const html = fixture('profile-phrases');
+
+        assert.equal(detectPageState(html), null);
+        assert.deepEqual(parsePlayerStats(html).stats, { kd_ratio: 1.08, win_rate: 51, matches_played: 212 });
+    });
+
+    it('ignores matching text inside scripts', () => {
+        const html = '<html><body><h1>s1mple</h1><script>const error = "Player not found";</script></body></html>';
+        assert.equal(detectPageState(html), null);
+    });
+});
+
+describe('parsePlayerStats', () => {
+    const result = parsePlayerStats(fixture('profile'), { url: PROFILE_URL });
+
+    it('reads the player info', () => {
+        assert.deepEqual(result.player_info, {
+            steam_id64: '76561198034202275',
+            player_name: 's1mple',
+            profile_url: PROFILE_URL
+        });
+    });
+
+    it('extracts every career stat on the page as a number', () => {
+        assert.deepEqual(result.stats, {
+            kd_ratio: 1.32,
+            hltv_rating: 1.25,
+            win_rate: 54.8,
+            headshot_percentage: 48,
+            adr: 87.4,
+            matches_played: 1024,
+            matches_won: 561,
+            matches_lost: 420,
+            matches_tied: 43,
+            kills: 21456,
+            deaths: 16254,
+            clutch_success: 31,
+            entry_success: 58
+        });
+    });
+
+    it('records the raw text, source and confidence of each field', () => {
+        assert.deepEqual(result.fields.win_rate, { value: 54.8, raw: '54.8%', source: 'label:win rate', confidence: 0.9 });
+        assert.deepEqual(result.fields.kd_ratio, { value: 1.32, raw: '1.32', source: 'gauge:k/d', confidence: 0.8 });
+        assert.deepEqual(result.fields.clutch_success, { value: 31, raw: '31%', source: 'tooltip:clutch success', confidence: 0.7 });
+        assert.deepEqual(result.fields.kills, { value: 21456, raw: '21,456', source: 'near-label:kills', confidence: 0.5 });
+    });
+
+    it('keeps breakdown table values out of the career stats', () => {
+        assert.equal(result.stats.assists, undefined);
+        assert.notEqual(result.stats.kills, 6842);
+    });
+
+    it('parses the per-map breakdown without duplicate maps', () => {
+        assert.deepEqual(result.maps, [
+            { map_name: 'mirage', matches_played: 312, matches_won: 180, win_rate: 57.7, kd_ratio: 1.41, kills: 6842 },
+            { map_name: 'inferno', matches_played: 250, matches_won: 131, win_rate: 52.4, kd_ratio: 1.28, kills: 5120 }
+        ]);
+    });
+
+    it('parses the per-weapon breakdown from a table without a thead', () => {
+        assert.deepEqual(result.weapons, [
+            { weapon_name: 'awp', kills: 8012, headshot_percentage: 4, accuracy: 41.2 },
+            { weapon_name: 'ak-47', kills: 7530, headshot_percentage: 61, accuracy: 24.8 }
+        ]);
+    });
+
+    it('does not assign numbers to a field just because they are near a keyword', () => {
+        const html = `
+            <html><body>
+                <h1>nobody</h1>
+                <p>Last 20 matches</p>
+                <div><span>Matches</span><span>Leaderboards</span></div>
+            </body></html>`;
+        const parsed = parsePlayerStats(html);
+
+        assert.deepEqual(parsed.stats, {});
+        assert.equal(parsed.player_info.steam_id64, null);
+    });
+
+    it('skips values of the wrong type', () => {
+        const parsed = parsePlayerStats('<div><span>Kills</span><span>55%</span></div>');
+        assert.equal(parsed.stats.kills, undefined);
+    });
+
+    it('falls back to the page title for the player name', () => {
+        const parsed = parsePlayerStats('<html><head><title>device - CS2 Stats</title></head><body></body></html>');
+        assert.equal(parsed.player_info.player_name, 'device');
+    });
+});
@@ -0,0 +1,50 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { toSteamId64 } from '../src/steamId.js';
+
+// Account ID 73936547 in every format
+const STEAM_ID64 = '76561198034202275';
+
+describe('toSteamId64', () => {
+    it('accepts a SteamID64 as is', () => {
+        assert.deepEqual(toSteamId64(STEAM_ID64), { steamId64: STEAM_ID64 });
+        assert.deepEqual(toSteamId64(`  ${STEAM_ID64}\t`), { steamId64: STEAM_ID64 });
+    });
+
+    it('converts SteamID2 in any universe', () => {
+        assert.deepEqual(toSteamId64('STEAM_0:1:36968273'), { steamId64: STEAM_ID64 });
+        assert.deepEqual(toSteamId64('steam_1:1:36968273'), { steamId64: STEAM_ID64 });
+        assert.deepEqual(toSteamId64('STEAM_0:0:1'), { steamId64: '76561197960265730' });
+    });
+
+    it('converts SteamID3 with or without brackets', () => {
+        assert.deepEqual(toSteamId64('[U:1:73936547]'), { steamId64: STEAM_ID64 });
+        assert.deepEqual(toSteamId64('U:1:73936547'), { steamId64: STEAM_ID64 });
+    });
+
+    it('converts 32-bit account IDs', () => {
+        assert.deepEqual(toSteamId64('73936547'), { steamId64: STEAM_ID64 });
+        assert.deepEqual(toSteamId64(73936547), { steamId64: STEAM_ID64 });
+        assert.deepEqual(toSteamId64('1'), { steamId64: '76561197960265729' });
+    });
+
+    it('reads the ID from profile URLs', () => {
+        assert.deepEqual(toSteamId64(`https://steamcommunity.com/profiles/${STEAM_ID64}/`), { steamId64: STEAM_ID64 });
+        assert.deepEqual(toSteamId64(`steamcommunity.com/profiles/${STEAM_ID64}?l=english`), { steamId64: STEAM_ID64 });
+        assert.deepEqual(toSteamId64(`https://www.csgostats.gg/player/${STEAM_ID64}#/matches`), { steamId64: STEAM_ID64 });
+    });
+
+    it('rejects IDs that are not individual accounts', () => {
+        assert.deepEqual(toSteamId64('76561197960265728'), { error: 'not an individual account SteamID64' });
+        assert.deepEqual(toSteamId64('0'), { error: 'account ID out of range' });
+        assert.deepEqual(toSteamId64('STEAM_0:1:2147483648'), { error: 'account ID out of range' });
+    });
+
+    it('explains what cannot be converted', () => {
+        assert.deepEqual(toSteamId64(''), { error: 'empty value' });
+        assert.deepEqual(toSteamId64(null), { error: 'empty value' });
+        assert.match(toSteamId64('https://steamcommunity.com/id/s1mple').error, /vanity URLs/);
+        assert.deepEqual(toSteamId64('not an id'), { error: 'unrecognised Steam ID format' });
+        assert.deepEqual(toSteamId64('[G:1:123]'), { error: 'unrecognised Steam ID format' });
+    });
+});